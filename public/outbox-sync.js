@@ -0,0 +1,52 @@
+/**
+ * Outbox Background Sync handler
+ *
+ * Imported into the Workbox-generated service worker (see vite.config.js).
+ * Uploads need the signed-in Supabase session, which only lives in the
+ * page, so the worker asks an open tab to drain the IndexedDB outbox and
+ * waits for its answer. Rejecting the sync makes the browser retry later.
+ */
+
+const OUTBOX_SYNC_TAG = 'recording-outbox';
+const DRAIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+const requestDrain = (client) => {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => reject(new Error('Outbox drain timed out')), DRAIN_TIMEOUT_MS);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeout);
+      if (event.data?.error) {
+        reject(new Error(event.data.error));
+      } else {
+        resolve(event.data?.remaining ?? 0);
+      }
+    };
+
+    client.postMessage({ type: 'DRAIN_OUTBOX' }, [channel.port2]);
+  });
+};
+
+const drainOutboxFromClient = async () => {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (clients.length === 0) {
+    console.log('[OutboxSync] No open clients, will retry later');
+    throw new Error('No client available to drain outbox');
+  }
+
+  const remaining = await requestDrain(clients[0]);
+  console.log('[OutboxSync] Drain finished, remaining:', remaining);
+
+  if (remaining > 0) {
+    throw new Error(`${remaining} recording(s) still queued`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    console.log('[OutboxSync] Background sync fired');
+    event.waitUntil(drainOutboxFromClient());
+  }
+});
@@ -6,6 +6,8 @@ import History from './pages/History.jsx';
 import Dashboard from './pages/Dashboard.jsx';
 import Settings from './pages/Settings.jsx';
 import SalesforceCallback from './pages/SalesforceCallback.jsx';
+import HubSpotCallback from './pages/HubSpotCallback.jsx';
+import PipedriveCallback from './pages/PipedriveCallback.jsx';
 
 function App() {
   console.log('[App] Initialized');
@@ -20,6 +22,8 @@ function App() {
           <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/settings" element={<Settings />} />
           <Route path="/settings/crm/callback/salesforce" element={<SalesforceCallback />} />
+          <Route path="/settings/crm/callback/hubspot" element={<HubSpotCallback />} />
+          <Route path="/settings/crm/callback/pipedrive" element={<PipedriveCallback />} />
         </Routes>
       </BrowserRouter>
     </AuthProvider>
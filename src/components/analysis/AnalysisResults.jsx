@@ -1,24 +1,133 @@
+import { useState } from 'react';
 import { typography, colors } from '../../styles/index.js';
 import SentimentBadge from './SentimentBadge.jsx';
+import { getEditedFields } from '../../services/analysis.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Team-defined fields are stored by snake_case name
+const fieldLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+
+const formatFieldValue = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const formatTimestamp = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Hover text: the transcript words an item was extracted from. Items added
+// by hand, or analyzed before evidence was recorded, have none (undefined).
+const evidenceTitle = (evidence) => {
+  if (evidence === undefined) return undefined;
+  if (evidence === null) return 'No quote from the transcript';
+  const at = evidence.start_ms != null ? ` (at ${formatTimestamp(evidence.start_ms)})` : '';
+  const check = evidence.verified ? '' : '\nNot found in the transcript';
+  return `"${evidence.quote}"${at}${check}`;
+};
+
+/**
+ * Extracted call data. Passing `onSave` makes contacts, companies, action
+ * items and the summary editable; `onSync` adds the "Sync to CRM" action.
+ */
+function AnalysisResults({ analysis, onSave, onSync }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(null); // 'saving' | 'syncing'
+  const [message, setMessage] = useState(null);
 
-function AnalysisResults({ analysis }) {
   if (!analysis) {
     return null;
   }
 
   const {
-    summary,
     overall_sentiment,
     sentiment_explanation,
-    contacts = [],
-    companies = [],
-    action_items = [],
     buying_signals = [],
     key_points = [],
-    next_steps,
     confidence_score,
+    review_status,
+    user_edited,
+    summary_en,
+    custom_fields = {},
   } = analysis;
 
+  // While editing, the editable fields come from the working copy
+  const {
+    summary,
+    contacts = [],
+    companies = [],
+    action_items = [],
+    next_steps,
+  } = isEditing ? draft : analysis;
+
+  const customFieldEntries = Object.entries(custom_fields || {}).filter(
+    ([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  );
+  const isDraft = review_status === 'draft';
+  const editedFields = getEditedFields(analysis);
+
+  const startEditing = () => {
+    setDraft({
+      summary: analysis.summary || '',
+      contacts: (analysis.contacts || []).map((contact) => ({ ...contact })),
+      companies: (analysis.companies || []).map((company) => ({ ...company })),
+      action_items: (analysis.action_items || []).map((item) => ({ ...item })),
+      next_steps: analysis.next_steps || '',
+    });
+    setMessage(null);
+    setIsEditing(true);
+  };
+
+  const updateItem = (field, index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      [field]: current[field].map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+  };
+
+  const removeItem = (field, index) => {
+    setDraft((current) => ({
+      ...current,
+      [field]: current[field].filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleSave = async () => {
+    setBusy('saving');
+    setMessage(null);
+
+    const { error } = await onSave(draft);
+
+    setBusy(null);
+    if (error) {
+      setMessage({ type: 'error', text: 'Failed to save changes' });
+      return;
+    }
+
+    setIsEditing(false);
+    setMessage({ type: 'success', text: 'Changes saved' });
+  };
+
+  const handleSync = async () => {
+    setBusy('syncing');
+    setMessage(null);
+
+    const { data, error } = await onSync();
+
+    setBusy(null);
+    if (error) {
+      setMessage({ type: 'error', text: `CRM sync failed: ${error}` });
+    } else {
+      setMessage({ type: 'success', text: data?.queued ? 'CRM sync queued' : 'Synced to CRM' });
+    }
+  };
+
   const styles = {
     container: {
       display: 'flex',
@@ -93,6 +202,20 @@ function AnalysisResults({ analysis }) {
       color: colors.primary[700],
       marginLeft: '8px',
     },
+    unverifiedBadge: {
+      ...typography.caption,
+      padding: '2px 8px',
+      borderRadius: '8px',
+      backgroundColor: colors.warning[100],
+      color: colors.warning[700],
+      marginLeft: '8px',
+    },
+    rejectedNote: {
+      ...typography.caption,
+      color: colors.neutral[500],
+      fontStyle: 'italic',
+      marginTop: '4px',
+    },
     confidenceBadge: {
       ...typography.caption,
       padding: '4px 12px',
@@ -103,6 +226,72 @@ function AnalysisResults({ analysis }) {
       backgroundColor: colors.success[100],
       color: colors.success[700],
     },
+    reviewBar: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '12px',
+    },
+    reviewText: {
+      ...typography.bodySmall,
+      color: colors.neutral[700],
+    },
+    reviewActions: {
+      display: 'flex',
+      gap: '8px',
+    },
+    actionButton: {
+      ...typography.button,
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      cursor: 'pointer',
+      backgroundColor: colors.primary[600],
+      color: colors.white,
+    },
+    secondaryButton: {
+      backgroundColor: colors.neutral[200],
+      color: colors.neutral[700],
+    },
+    removeButton: {
+      ...typography.caption,
+      border: 'none',
+      background: 'none',
+      color: colors.danger[600],
+      cursor: 'pointer',
+      padding: '4px 0',
+    },
+    input: {
+      ...typography.input,
+      width: '100%',
+      boxSizing: 'border-box',
+      padding: '6px 10px',
+      marginBottom: '6px',
+      borderRadius: '6px',
+      border: `1px solid ${colors.neutral[300]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[900],
+    },
+    inputRow: {
+      display: 'flex',
+      gap: '8px',
+    },
+    textarea: {
+      ...typography.input,
+      width: '100%',
+      boxSizing: 'border-box',
+      minHeight: '96px',
+      padding: '8px 10px',
+      borderRadius: '6px',
+      border: `1px solid ${colors.neutral[300]}`,
+      color: colors.neutral[900],
+      resize: 'vertical',
+    },
+    message: {
+      ...typography.bodySmall,
+      marginTop: '12px',
+    },
     emptyState: {
       ...typography.bodySmall,
       color: colors.neutral[500],
@@ -120,16 +309,101 @@ function AnalysisResults({ analysis }) {
     );
   };
 
+  // Items the analysis could not tie to the transcript
+  const getEvidenceBadge = (evidence) => (
+    evidence === undefined || evidence?.verified ? null : <span style={styles.unverifiedBadge}>unverified</span>
+  );
+
+  const textInput = (value, onChange, placeholder, type = 'text') => (
+    <input
+      type={type}
+      value={value || ''}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      style={styles.input}
+    />
+  );
+
   return (
     <div style={styles.container}>
+      {/* Review bar */}
+      {onSave && (
+        <div style={styles.card}>
+          <div style={styles.reviewBar}>
+            <div style={styles.reviewText}>
+              {isDraft
+                ? 'Draft - review and correct the extraction, then sync it to your CRM.'
+                : 'Approved for CRM sync.'}
+              {user_edited && editedFields.length > 0 && (
+                <span style={styles.badge}>Edited: {editedFields.join(', ').replace(/_/g, ' ')}</span>
+              )}
+            </div>
+            <div style={styles.reviewActions}>
+              {isEditing ? (
+                <>
+                  <button style={styles.actionButton} onClick={handleSave} disabled={!!busy}>
+                    {busy === 'saving' ? 'Saving...' : 'Save Changes'}
+                  </button>
+                  <button
+                    style={{ ...styles.actionButton, ...styles.secondaryButton }}
+                    onClick={() => setIsEditing(false)}
+                    disabled={!!busy}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    style={{ ...styles.actionButton, ...styles.secondaryButton }}
+                    onClick={startEditing}
+                    disabled={!!busy}
+                  >
+                    Edit
+                  </button>
+                  {onSync && (
+                    <button style={styles.actionButton} onClick={handleSync} disabled={!!busy}>
+                      {busy === 'syncing' ? 'Syncing...' : 'Sync to CRM'}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+          {message && (
+            <div
+              style={{
+                ...styles.message,
+                color: message.type === 'error' ? colors.danger[600] : colors.success[700],
+              }}
+            >
+              {message.text}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Summary Card */}
-      {summary && (
+      {(summary || isEditing) && (
         <div style={styles.card}>
           <div style={styles.header}>
             <h3 style={styles.title}>Summary</h3>
             {overall_sentiment && <SentimentBadge sentiment={overall_sentiment} />}
           </div>
-          <p style={styles.text}>{summary}</p>
+          {isEditing ? (
+            <textarea
+              value={summary}
+              onChange={(e) => setDraft({ ...draft, summary: e.target.value })}
+              style={styles.textarea}
+            />
+          ) : (
+            <p style={styles.text}>{summary}</p>
+          )}
+          {summary_en && !isEditing && (
+            <p style={{ ...styles.text, marginTop: '12px', fontSize: '14px', color: colors.neutral[600] }}>
+              <strong>In English:</strong> {summary_en}
+            </p>
+          )}
           {sentiment_explanation && (
             <p style={{ ...styles.text, marginTop: '12px', fontSize: '14px', color: colors.neutral[600] }}>
               {sentiment_explanation}
@@ -143,16 +417,42 @@ function AnalysisResults({ analysis }) {
         <div style={styles.card}>
           <h3 style={styles.title}>Contacts ({contacts.length})</h3>
           <ul style={styles.list}>
-            {contacts.map((contact, index) => (
+            {contacts.map((contact, index) => isEditing ? (
               <li key={index} style={{ ...styles.listItem, ...styles.contactItem }}>
+                {textInput(contact.name, (name) => updateItem('contacts', index, { name, first_name: null, last_name: null, name_suffix: null }), 'Name')}
+                <div style={styles.inputRow}>
+                  {textInput(contact.title, (title) => updateItem('contacts', index, { title }), 'Title')}
+                  {textInput(contact.company, (company) => updateItem('contacts', index, { company }), 'Company')}
+                </div>
+                <div style={styles.inputRow}>
+                  {textInput(contact.email, (email) => updateItem('contacts', index, { email: email || null }), 'Email', 'email')}
+                  {textInput(contact.phone, (phone) => updateItem('contacts', index, { phone: phone || null }), 'Phone', 'tel')}
+                </div>
+                <button style={styles.removeButton} onClick={() => removeItem('contacts', index)}>
+                  Remove contact
+                </button>
+              </li>
+            ) : (
+              <li key={index} style={{ ...styles.listItem, ...styles.contactItem }} title={evidenceTitle(contact.evidence)}>
                 <div style={styles.itemTitle}>
                   {contact.name}
+                  {getEvidenceBadge(contact.evidence)}
                   {contact.confidence && getConfidenceBadge(contact.confidence)}
                 </div>
                 {contact.title && <div style={styles.itemDetail}>{contact.title}</div>}
                 {contact.company && <div style={styles.itemDetail}>{contact.company}</div>}
                 {contact.email && <div style={styles.itemDetail}>{contact.email}</div>}
                 {contact.phone && <div style={styles.itemDetail}>{contact.phone}</div>}
+                {contact.rejected_fields?.length > 0 && (
+                  <div style={styles.rejectedNote}>
+                    Removed {contact.rejected_fields.join(' and ')}: not heard in the recording
+                  </div>
+                )}
+                {Object.entries(contact.invalid_fields || {}).map(([field, heard]) => (
+                  <div key={field} style={styles.rejectedNote}>
+                    Could not read {field}: "{heard}"
+                  </div>
+                ))}
               </li>
             ))}
           </ul>
@@ -164,7 +464,14 @@ function AnalysisResults({ analysis }) {
         <div style={styles.card}>
           <h3 style={styles.title}>Companies ({companies.length})</h3>
           <ul style={styles.list}>
-            {companies.map((company, index) => (
+            {companies.map((company, index) => isEditing ? (
+              <li key={index} style={styles.listItem}>
+                {textInput(company.name, (name) => updateItem('companies', index, { name }), 'Company name')}
+                <button style={styles.removeButton} onClick={() => removeItem('companies', index)}>
+                  Remove company
+                </button>
+              </li>
+            ) : (
               <li key={index} style={styles.listItem}>
                 <div style={styles.itemTitle}>
                   {company.name}
@@ -183,8 +490,27 @@ function AnalysisResults({ analysis }) {
         <div style={styles.card}>
           <h3 style={styles.title}>Action Items ({action_items.length})</h3>
           <ul style={styles.list}>
-            {action_items.map((item, index) => (
+            {action_items.map((item, index) => isEditing ? (
               <li key={index} style={{ ...styles.listItem, ...styles.actionItem }}>
+                {textInput(item.task, (task) => updateItem('action_items', index, { task }), 'Task')}
+                <div style={styles.inputRow}>
+                  {textInput(item.due_date, (due_date) => updateItem('action_items', index, { due_date: due_date || null, due_phrase: null }), 'Due date', 'date')}
+                  <select
+                    value={item.priority || 'medium'}
+                    onChange={(e) => updateItem('action_items', index, { priority: e.target.value })}
+                    style={styles.input}
+                  >
+                    {PRIORITIES.map((priority) => (
+                      <option key={priority} value={priority}>{priority}</option>
+                    ))}
+                  </select>
+                </div>
+                <button style={styles.removeButton} onClick={() => removeItem('action_items', index)}>
+                  Remove action item
+                </button>
+              </li>
+            ) : (
+              <li key={index} style={{ ...styles.listItem, ...styles.actionItem }} title={evidenceTitle(item.evidence)}>
                 <div style={styles.itemTitle}>
                   {item.task}
                   {item.priority && (
@@ -198,9 +524,15 @@ function AnalysisResults({ analysis }) {
                       {item.priority}
                     </span>
                   )}
+                  {getEvidenceBadge(item.evidence)}
                   {item.confidence && getConfidenceBadge(item.confidence)}
                 </div>
-                {item.due_date && <div style={styles.itemDetail}>Due: {item.due_date}</div>}
+                {item.due_date && (
+                  <div style={styles.itemDetail}>
+                    Due: {item.due_date}
+                    {item.due_phrase && ` ("${item.due_phrase}")`}
+                  </div>
+                )}
               </li>
             ))}
           </ul>
@@ -213,7 +545,7 @@ function AnalysisResults({ analysis }) {
           <h3 style={styles.title}>Buying Signals ({buying_signals.length})</h3>
           <ul style={styles.list}>
             {buying_signals.map((signal, index) => (
-              <li key={index} style={{ ...styles.listItem, ...styles.buyingSignal }}>
+              <li key={index} style={{ ...styles.listItem, ...styles.buyingSignal }} title={evidenceTitle(signal.evidence)}>
                 <div style={styles.itemTitle}>
                   {signal.signal}
                   {signal.strength && (
@@ -227,6 +559,7 @@ function AnalysisResults({ analysis }) {
                       {signal.strength}
                     </span>
                   )}
+                  {getEvidenceBadge(signal.evidence)}
                   {signal.confidence && getConfidenceBadge(signal.confidence)}
                 </div>
               </li>
@@ -235,6 +568,21 @@ function AnalysisResults({ analysis }) {
         </div>
       )}
 
+      {/* Team custom fields */}
+      {customFieldEntries.length > 0 && (
+        <div style={styles.card}>
+          <h3 style={styles.title}>Details</h3>
+          <ul style={styles.list}>
+            {customFieldEntries.map(([name, value]) => (
+              <li key={name} style={styles.listItem}>
+                <div style={styles.itemTitle}>{fieldLabel(name)}</div>
+                <div style={styles.itemDetail}>{formatFieldValue(value)}</div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Key Points */}
       {key_points.length > 0 && (
         <div style={styles.card}>
@@ -261,10 +609,18 @@ function AnalysisResults({ analysis }) {
       )}
 
       {/* Next Steps */}
-      {next_steps && (
+      {(next_steps || isEditing) && (
         <div style={styles.card}>
           <h3 style={styles.title}>Next Steps</h3>
-          <p style={styles.text}>{next_steps}</p>
+          {isEditing ? (
+            <textarea
+              value={next_steps}
+              onChange={(e) => setDraft({ ...draft, next_steps: e.target.value })}
+              style={styles.textarea}
+            />
+          ) : (
+            <p style={styles.text}>{next_steps}</p>
+          )}
         </div>
       )}
 
@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { typography, colors } from '../../styles/index.js';
+import { getSyncLogs } from '../../services/crm/index.js';
+
+const PROVIDER_NAMES = {
+  salesforce: 'Salesforce',
+  hubspot: 'HubSpot',
+  pipedrive: 'Pipedrive',
+};
+
+const RECORD_TYPE_LABELS = {
+  contact: 'Contact',
+  account: 'Company',
+  task: 'Task',
+  note: 'Summary note',
+};
+
+/**
+ * CRM records a recording was synced to, with links into the CRM.
+ * `refreshKey` reloads the log when it changes (e.g. after a sync).
+ */
+function CRMSyncLog({ recordingId, refreshKey }) {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadLogs = async () => {
+      const { data } = await getSyncLogs(recordingId);
+      setLogs(data || []);
+      setLoading(false);
+    };
+
+    loadLogs();
+  }, [recordingId, refreshKey]);
+
+  if (loading || logs.length === 0) {
+    return null;
+  }
+
+  const styles = {
+    container: {
+      backgroundColor: colors.white,
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      marginTop: '16px',
+    },
+    title: {
+      ...typography.h3,
+      color: colors.neutral[900],
+      marginBottom: '16px',
+    },
+    list: {
+      listStyle: 'none',
+      padding: 0,
+      margin: 0,
+    },
+    row: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '10px 0',
+      borderBottom: `1px solid ${colors.neutral[100]}`,
+    },
+    recordInfo: {
+      flex: 1,
+      minWidth: 0,
+    },
+    recordTitle: {
+      ...typography.bodySmall,
+      fontWeight: 600,
+      color: colors.neutral[900],
+    },
+    recordMeta: {
+      ...typography.caption,
+      color: colors.neutral[500],
+    },
+    error: {
+      ...typography.caption,
+      color: colors.danger[600],
+      marginTop: '2px',
+    },
+    link: {
+      ...typography.caption,
+      color: colors.primary[600],
+      whiteSpace: 'nowrap',
+    },
+    status: {
+      ...typography.caption,
+      padding: '2px 8px',
+      borderRadius: '8px',
+      fontWeight: 600,
+    },
+  };
+
+  const statusStyles = {
+    completed: { backgroundColor: colors.success[100], color: colors.success[700] },
+    skipped: { backgroundColor: colors.neutral[100], color: colors.neutral[700] },
+    failed: { backgroundColor: colors.danger[100], color: colors.danger[700] },
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>CRM Sync</h3>
+      <ul style={styles.list}>
+        {logs.map((log) => {
+          const provider = PROVIDER_NAMES[log.crm_provider] || 'CRM';
+          const connectionName = log.crm_connections?.display_name;
+
+          return (
+            <li key={log.id} style={styles.row}>
+              <div style={styles.recordInfo}>
+                <div style={styles.recordTitle}>
+                  {RECORD_TYPE_LABELS[log.crm_record_type] || 'Sync'}
+                  {log.crm_record_id && ` #${log.crm_record_id}`}
+                </div>
+                <div style={styles.recordMeta}>
+                  {provider}
+                  {connectionName && ` · ${connectionName}`}
+                  {' · '}
+                  {new Date(log.created_at).toLocaleString()}
+                  {log.sync_duration_ms != null && ` · ${log.sync_duration_ms} ms`}
+                </div>
+                {log.error_message && <div style={styles.error}>{log.error_message}</div>}
+              </div>
+              {log.crm_record_url && (
+                <a href={log.crm_record_url} target="_blank" rel="noopener noreferrer" style={styles.link}>
+                  Open in {provider} ↗
+                </a>
+              )}
+              <span style={{ ...styles.status, ...(statusStyles[log.sync_status] || statusStyles.skipped) }}>
+                {log.sync_status}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default CRMSyncLog;
@@ -137,7 +137,7 @@ function ActivityFeed({ activities = [] }) {
               </div>
 
               <div style={styles.details}>
-                Duration: {formatDuration(activity.duration_ms)}
+                {activity.entry_type === 'note' ? 'Typed note' : `Duration: ${formatDuration(activity.duration_ms)}`}
                 {contacts.length > 0 && ` • ${contacts.length} contact${contacts.length > 1 ? 's' : ''}`}
                 {actionItems.length > 0 && ` • ${actionItems.length} action item${actionItems.length > 1 ? 's' : ''}`}
               </div>
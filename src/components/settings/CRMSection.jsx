@@ -2,23 +2,26 @@ import { useState } from 'react';
 import { typography, colors } from '../../styles/index.js';
 import SettingsSection from './SettingsSection.jsx';
 import { initiateSalesforceAuth } from '../../services/crm/salesforce.js';
+import { initiateHubSpotAuth } from '../../services/crm/hubspot.js';
+import { initiatePipedriveAuth } from '../../services/crm/pipedrive.js';
 
-function CRMSection({ profile, onDisconnect, onConnect }) {
-  const [disconnecting, setDisconnecting] = useState(false);
+function CRMSection({ profile, connections = [], onDisconnect, onSetDefault, onConnect }) {
+  // ID of the connection currently being disconnected
+  const [disconnecting, setDisconnecting] = useState(null);
   const [message, setMessage] = useState(null);
 
-  const handleDisconnect = async () => {
-    if (!window.confirm('Are you sure you want to disconnect your CRM? This will stop automatic syncing.')) {
+  const handleDisconnect = async (connection) => {
+    if (!window.confirm('Are you sure you want to disconnect this CRM? Recordings will stop syncing to it.')) {
       return;
     }
 
-    console.log('[CRMSection] Disconnecting CRM');
-    setDisconnecting(true);
+    console.log('[CRMSection] Disconnecting CRM connection:', connection.id);
+    setDisconnecting(connection.id);
     setMessage(null);
 
-    const result = await onDisconnect();
+    const result = await onDisconnect(connection.id);
 
-    setDisconnecting(false);
+    setDisconnecting(null);
 
     if (result.error) {
       setMessage({ type: 'error', text: 'Failed to disconnect CRM' });
@@ -39,12 +42,33 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
       } catch (error) {
         console.error('[CRMSection] Error during Salesforce OAuth:', error);
       }
+    } else if (provider === 'hubspot') {
+      try {
+        await initiateHubSpotAuth();
+      } catch (error) {
+        console.error('[CRMSection] Error during HubSpot OAuth:', error);
+      }
+    } else if (provider === 'pipedrive') {
+      try {
+        await initiatePipedriveAuth();
+      } catch (error) {
+        console.error('[CRMSection] Error during Pipedrive OAuth:', error);
+      }
     } else {
       // For other providers, use the parent handler
       onConnect(provider);
     }
   };
 
+  const handleSetDefault = async (connection) => {
+    setMessage(null);
+    const result = await onSetDefault(connection.id);
+
+    if (result.error) {
+      setMessage({ type: 'error', text: 'Failed to change default CRM' });
+    }
+  };
+
   const styles = {
     status: {
       display: 'flex',
@@ -70,6 +94,9 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
     disconnectedIcon: {
       backgroundColor: colors.neutral[200],
     },
+    reauthIcon: {
+      backgroundColor: colors.warning[100],
+    },
     statusInfo: {
       flex: 1,
     },
@@ -97,6 +124,44 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
       backgroundColor: colors.neutral[200],
       color: colors.neutral[700],
     },
+    reauthBadge: {
+      backgroundColor: colors.warning[100],
+      color: colors.warning[700],
+    },
+    connectionList: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      marginBottom: '20px',
+    },
+    connectionRow: {
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '12px',
+      padding: '12px 16px',
+      border: `1px solid ${colors.neutral[200]}`,
+      borderRadius: '12px',
+    },
+    connectionLogo: {
+      fontSize: '24px',
+    },
+    connectionActions: {
+      display: 'flex',
+      gap: '8px',
+    },
+    smallButton: {
+      ...typography.caption,
+      fontWeight: 600,
+      padding: '6px 12px',
+      borderRadius: '8px',
+      border: 'none',
+      cursor: 'pointer',
+    },
+    secondaryButton: {
+      backgroundColor: colors.neutral[100],
+      color: colors.neutral[700],
+    },
     providers: {
       display: 'grid',
       gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
@@ -138,12 +203,9 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
       display: 'inline-block',
       marginTop: '8px',
     },
-    button: {
-      ...typography.button,
-      padding: '10px 20px',
-      borderRadius: '8px',
-      border: 'none',
-      cursor: 'pointer',
+    primaryButton: {
+      backgroundColor: colors.primary[600],
+      color: colors.white,
     },
     dangerButton: {
       backgroundColor: colors.danger[600],
@@ -167,8 +229,9 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
     },
   };
 
-  const isConnected = profile?.crm_connected;
-  const provider = profile?.crm_provider;
+  const isConnected = connections.length > 0 || profile?.crm_connected;
+  // Set by crm-sync when a stored refresh token stops working
+  const needsReauth = connections.some((c) => c.needs_reauth) || (isConnected && profile?.crm_needs_reauth);
 
   const providers = [
     {
@@ -183,17 +246,22 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
       name: 'HubSpot',
       logo: '🟠',
       description: 'All-in-one CRM platform',
-      available: false,
+      available: true,
     },
     {
       id: 'pipedrive',
       name: 'Pipedrive',
       logo: '🔵',
       description: 'Sales-focused CRM',
-      available: false,
+      available: true,
     },
   ];
 
+  const providerInfo = (id) => providers.find((p) => p.id === id) || { name: id, logo: '🔗' };
+  const connectedLabel = connections.length > 1
+    ? `${connections.length} CRMs`
+    : providerInfo(connections[0]?.provider || profile?.crm_provider).name;
+
   return (
     <SettingsSection
       title="CRM Integration"
@@ -202,61 +270,106 @@ function CRMSection({ profile, onDisconnect, onConnect }) {
       <div style={styles.status}>
         <div style={{
           ...styles.statusIcon,
-          ...(isConnected ? styles.connectedIcon : styles.disconnectedIcon),
+          ...(needsReauth ? styles.reauthIcon : isConnected ? styles.connectedIcon : styles.disconnectedIcon),
         }}>
-          {isConnected ? '✓' : '○'}
+          {needsReauth ? '!' : isConnected ? '✓' : '○'}
         </div>
         <div style={styles.statusInfo}>
           <div style={styles.statusTitle}>
-            {isConnected ? `Connected to ${provider}` : 'Not Connected'}
+            {needsReauth
+              ? 'Reconnect needed'
+              : isConnected
+                ? `Connected to ${connectedLabel}`
+                : 'Not Connected'}
           </div>
           <div style={styles.statusDescription}>
-            {isConnected
-              ? 'Your recordings will be automatically synced'
-              : 'Connect a CRM to start syncing data'}
+            {needsReauth
+              ? 'A CRM session expired. Reconnect it to resume syncing.'
+              : isConnected
+                ? 'Your recordings will be automatically synced to the default CRM'
+                : 'Connect a CRM to start syncing data'}
           </div>
         </div>
         <span style={{
           ...styles.badge,
-          ...(isConnected ? styles.connectedBadge : styles.disconnectedBadge),
+          ...(needsReauth ? styles.reauthBadge : isConnected ? styles.connectedBadge : styles.disconnectedBadge),
         }}>
-          {isConnected ? 'Active' : 'Inactive'}
+          {needsReauth ? 'Action needed' : isConnected ? 'Active' : 'Inactive'}
         </span>
       </div>
 
-      {!isConnected ? (
-        <>
-          <div style={{ ...typography.bodySmall, color: colors.neutral[700], marginBottom: '12px' }}>
-            Choose a CRM to connect:
-          </div>
-          <div style={styles.providers}>
-            {providers.map((p) => (
-              <div
-                key={p.id}
-                onClick={() => p.available && handleConnect(p.id)}
-                style={{
-                  ...styles.providerCard,
-                  ...(p.available ? {} : { opacity: 0.6, cursor: 'not-allowed' }),
-                }}
-              >
-                <div style={styles.providerLogo}>{p.logo}</div>
-                <div style={styles.providerName}>{p.name}</div>
-                <div style={styles.providerDescription}>{p.description}</div>
-                {!p.available && <div style={styles.comingSoon}>Coming Soon</div>}
+      {connections.length > 0 && (
+        <div style={styles.connectionList}>
+          {connections.map((connection) => {
+            const info = providerInfo(connection.provider);
+
+            return (
+              <div key={connection.id} style={styles.connectionRow}>
+                <span style={styles.connectionLogo}>{info.logo}</span>
+                <div style={styles.statusInfo}>
+                  <div style={styles.statusTitle}>{info.name}</div>
+                  <div style={styles.statusDescription}>
+                    {connection.display_name || connection.external_org_id}
+                  </div>
+                </div>
+                {connection.is_default && (
+                  <span style={{ ...styles.badge, ...styles.connectedBadge }}>Default</span>
+                )}
+                {connection.needs_reauth && (
+                  <span style={{ ...styles.badge, ...styles.reauthBadge }}>Action needed</span>
+                )}
+                <div style={styles.connectionActions}>
+                  {connection.needs_reauth && (
+                    <button
+                      onClick={() => handleConnect(connection.provider)}
+                      style={{ ...styles.smallButton, ...styles.primaryButton }}
+                    >
+                      Reconnect
+                    </button>
+                  )}
+                  {!connection.is_default && (
+                    <button
+                      onClick={() => handleSetDefault(connection)}
+                      style={{ ...styles.smallButton, ...styles.secondaryButton }}
+                    >
+                      Make Default
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDisconnect(connection)}
+                    disabled={disconnecting === connection.id}
+                    style={{ ...styles.smallButton, ...styles.dangerButton }}
+                  >
+                    {disconnecting === connection.id ? 'Disconnecting...' : 'Disconnect'}
+                  </button>
+                </div>
               </div>
-            ))}
-          </div>
-        </>
-      ) : (
-        <button
-          onClick={handleDisconnect}
-          disabled={disconnecting}
-          style={{ ...styles.button, ...styles.dangerButton }}
-        >
-          {disconnecting ? 'Disconnecting...' : 'Disconnect CRM'}
-        </button>
+            );
+          })}
+        </div>
       )}
 
+      <div style={{ ...typography.bodySmall, color: colors.neutral[700], marginBottom: '12px' }}>
+        {isConnected ? 'Connect another CRM or org:' : 'Choose a CRM to connect:'}
+      </div>
+      <div style={styles.providers}>
+        {providers.map((p) => (
+          <div
+            key={p.id}
+            onClick={() => p.available && handleConnect(p.id)}
+            style={{
+              ...styles.providerCard,
+              ...(p.available ? {} : { opacity: 0.6, cursor: 'not-allowed' }),
+            }}
+          >
+            <div style={styles.providerLogo}>{p.logo}</div>
+            <div style={styles.providerName}>{p.name}</div>
+            <div style={styles.providerDescription}>{p.description}</div>
+            {!p.available && <div style={styles.comingSoon}>Coming Soon</div>}
+          </div>
+        ))}
+      </div>
+
       {message && (
         <div
           style={{
@@ -0,0 +1,234 @@
+import { useState } from 'react';
+import { typography, colors } from '../../styles/index.js';
+import SettingsSection from './SettingsSection.jsx';
+
+const FIELD_TYPES = [
+  { id: 'text', label: 'Text' },
+  { id: 'number', label: 'Number' },
+  { id: 'boolean', label: 'Yes / No' },
+  { id: 'date', label: 'Date' },
+  { id: 'enum', label: 'One of a list' },
+  { id: 'list', label: 'List of text' },
+];
+
+const MAX_FIELDS = 20;
+
+// Field names become keys in the stored results
+const toFieldName = (value) =>
+  value.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^[^a-z]+/, '').slice(0, 40);
+
+/**
+ * Team admins define extra fields the analysis extracts from every note,
+ * e.g. products discussed or the competitor in place
+ */
+function ExtractionFieldsSection({ fields, onUpdate }) {
+  // Enum values are edited as comma-separated text
+  const [draft, setDraft] = useState(
+    (fields || []).map((field) => ({ ...field, values: (field.values || []).join(', ') }))
+  );
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const updateField = (index, changes) => {
+    setDraft((current) => current.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+  };
+
+  const addField = () => {
+    setDraft((current) => [...current, { name: '', type: 'text', description: '', values: '' }]);
+  };
+
+  const removeField = (index) => {
+    setDraft((current) => current.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    const payload = draft.map(({ name, type, description, values }) => ({
+      name,
+      type,
+      description: description.trim(),
+      ...(type === 'enum'
+        ? { values: values.split(',').map((value) => value.trim()).filter(Boolean) }
+        : {}),
+    }));
+
+    console.log('[ExtractionFieldsSection] Saving fields:', payload);
+    setSaving(true);
+    setMessage(null);
+
+    const result = await onUpdate(payload);
+
+    setSaving(false);
+
+    if (result.error) {
+      setMessage({ type: 'error', text: result.error.message || 'Failed to save fields' });
+    } else {
+      setMessage({ type: 'success', text: 'Extraction fields saved. New analyses will include them.' });
+      setTimeout(() => setMessage(null), 3000);
+    }
+  };
+
+  const styles = {
+    fieldCard: {
+      padding: '12px',
+      backgroundColor: colors.neutral[50],
+      borderRadius: '8px',
+      marginBottom: '12px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+    },
+    row: {
+      display: 'flex',
+      gap: '8px',
+    },
+    input: {
+      ...typography.input,
+      flex: 1,
+      minWidth: 0,
+      padding: '8px 12px',
+      borderRadius: '8px',
+      border: `1px solid ${colors.neutral[300]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[900],
+    },
+    description: {
+      ...typography.caption,
+      color: colors.neutral[500],
+    },
+    emptyState: {
+      ...typography.bodySmall,
+      color: colors.neutral[500],
+      fontStyle: 'italic',
+      marginBottom: '12px',
+    },
+    removeButton: {
+      ...typography.caption,
+      alignSelf: 'flex-start',
+      border: 'none',
+      background: 'none',
+      color: colors.danger[600],
+      cursor: 'pointer',
+      padding: '4px 0',
+    },
+    addButton: {
+      ...typography.button,
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: `1px dashed ${colors.neutral[400]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[700],
+      cursor: 'pointer',
+    },
+    button: {
+      ...typography.button,
+      padding: '10px 20px',
+      borderRadius: '8px',
+      border: 'none',
+      cursor: 'pointer',
+      backgroundColor: colors.primary[600],
+      color: colors.white,
+      marginTop: '20px',
+    },
+    message: {
+      ...typography.bodySmall,
+      padding: '12px 16px',
+      borderRadius: '8px',
+      marginTop: '16px',
+    },
+    successMessage: {
+      backgroundColor: colors.success[50],
+      color: colors.success[700],
+      border: `1px solid ${colors.success[200]}`,
+    },
+    errorMessage: {
+      backgroundColor: colors.danger[50],
+      color: colors.danger[700],
+      border: `1px solid ${colors.danger[200]}`,
+    },
+  };
+
+  return (
+    <SettingsSection
+      title="Extraction Fields"
+      description="Extra details your team's analyses extract from every voice note, alongside contacts and action items"
+    >
+      {draft.length === 0 && (
+        <p style={styles.emptyState}>No custom fields yet.</p>
+      )}
+
+      {draft.map((field, index) => (
+        <div key={index} style={styles.fieldCard}>
+          <div style={styles.row}>
+            <input
+              type="text"
+              value={field.name}
+              placeholder="field_name"
+              onChange={(e) => updateField(index, { name: toFieldName(e.target.value) })}
+              style={styles.input}
+            />
+            <select
+              value={field.type}
+              onChange={(e) => updateField(index, { type: e.target.value })}
+              style={styles.input}
+            >
+              {FIELD_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <input
+            type="text"
+            value={field.description}
+            placeholder="What to look for, e.g. Products the customer asked about"
+            onChange={(e) => updateField(index, { description: e.target.value })}
+            style={styles.input}
+          />
+          {field.type === 'enum' && (
+            <>
+              <input
+                type="text"
+                value={field.values}
+                placeholder="Allowed values, comma separated"
+                onChange={(e) => updateField(index, { values: e.target.value })}
+                style={styles.input}
+              />
+              <div style={styles.description}>The analysis picks one of these values, or none.</div>
+            </>
+          )}
+          <button style={styles.removeButton} onClick={() => removeField(index)}>
+            Remove field
+          </button>
+        </div>
+      ))}
+
+      {draft.length < MAX_FIELDS && (
+        <button style={styles.addButton} onClick={addField}>
+          + Add field
+        </button>
+      )}
+
+      {message && (
+        <div
+          style={{
+            ...styles.message,
+            ...(message.type === 'success' ? styles.successMessage : styles.errorMessage),
+          }}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          style={styles.button}
+        >
+          {saving ? 'Saving...' : 'Save Fields'}
+        </button>
+      </div>
+    </SettingsSection>
+  );
+}
+
+export default ExtractionFieldsSection;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { typography, colors } from '../../styles/index.js';
+import SettingsSection from './SettingsSection.jsx';
+
+// Keep in step with PHONE_REGIONS in supabase/functions/_shared/contacts.ts
+const PHONE_REGIONS = [
+  { code: 'US', label: 'United States (+1)' },
+  { code: 'CA', label: 'Canada (+1)' },
+  { code: 'GB', label: 'United Kingdom (+44)' },
+  { code: 'IE', label: 'Ireland (+353)' },
+  { code: 'FR', label: 'France (+33)' },
+  { code: 'DE', label: 'Germany (+49)' },
+  { code: 'ES', label: 'Spain (+34)' },
+  { code: 'IT', label: 'Italy (+39)' },
+  { code: 'NL', label: 'Netherlands (+31)' },
+  { code: 'BE', label: 'Belgium (+32)' },
+  { code: 'CH', label: 'Switzerland (+41)' },
+  { code: 'PT', label: 'Portugal (+351)' },
+  { code: 'AU', label: 'Australia (+61)' },
+  { code: 'NZ', label: 'New Zealand (+64)' },
+  { code: 'IN', label: 'India (+91)' },
+  { code: 'MX', label: 'Mexico (+52)' },
+  { code: 'BR', label: 'Brazil (+55)' },
+];
+
+const DEFAULT_REGION = 'US';
+
+/**
+ * Team admins choose the country phone numbers are read in when a contact's
+ * number is said without a country code
+ */
+function PhoneRegionSection({ region, onUpdate }) {
+  const [selected, setSelected] = useState(region || DEFAULT_REGION);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSave = async () => {
+    console.log('[PhoneRegionSection] Saving region:', selected);
+    setSaving(true);
+    setMessage(null);
+
+    const result = await onUpdate(selected);
+
+    setSaving(false);
+
+    if (result.error) {
+      setMessage({ type: 'error', text: result.error.message || 'Failed to save phone region' });
+    } else {
+      setMessage({ type: 'success', text: 'Phone region saved' });
+      setTimeout(() => setMessage(null), 3000);
+    }
+  };
+
+  const styles = {
+    input: {
+      ...typography.input,
+      padding: '8px 12px',
+      borderRadius: '8px',
+      border: `1px solid ${colors.neutral[300]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[900],
+    },
+    description: {
+      ...typography.caption,
+      color: colors.neutral[500],
+      marginTop: '8px',
+    },
+    button: {
+      ...typography.button,
+      padding: '10px 20px',
+      borderRadius: '8px',
+      border: 'none',
+      cursor: 'pointer',
+      backgroundColor: colors.primary[600],
+      color: colors.white,
+      marginTop: '20px',
+    },
+    message: {
+      ...typography.bodySmall,
+      padding: '12px 16px',
+      borderRadius: '8px',
+      marginTop: '16px',
+    },
+    successMessage: {
+      backgroundColor: colors.success[50],
+      color: colors.success[700],
+      border: `1px solid ${colors.success[200]}`,
+    },
+    errorMessage: {
+      backgroundColor: colors.danger[50],
+      color: colors.danger[700],
+      border: `1px solid ${colors.danger[200]}`,
+    },
+  };
+
+  return (
+    <SettingsSection
+      title="Phone Numbers"
+      description="How your team's analyses read phone numbers said without a country code"
+    >
+      <select
+        value={selected}
+        onChange={(e) => setSelected(e.target.value)}
+        style={styles.input}
+      >
+        {PHONE_REGIONS.map((option) => (
+          <option key={option.code} value={option.code}>{option.label}</option>
+        ))}
+      </select>
+      <div style={styles.description}>
+        Numbers are stored and sent to your CRM in international format, e.g. +1 for the United States.
+        Local numbers said without an area code are kept as heard, e.g. 555-1234.
+      </div>
+
+      {message && (
+        <div
+          style={{
+            ...styles.message,
+            ...(message.type === 'success' ? styles.successMessage : styles.errorMessage),
+          }}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          style={styles.button}
+        >
+          {saving ? 'Saving...' : 'Save Region'}
+        </button>
+      </div>
+    </SettingsSection>
+  );
+}
+
+export default PhoneRegionSection;
@@ -2,22 +2,77 @@ import { useState } from 'react';
 import { typography, colors } from '../../styles/index.js';
 import SettingsSection from './SettingsSection.jsx';
 
+const RECORD_TYPES = [
+  { id: 'contacts', label: 'Contacts' },
+  { id: 'accounts', label: 'Companies' },
+  { id: 'tasks', label: 'Tasks' },
+  { id: 'notes', label: 'Summary notes' },
+];
+
+const DEFAULT_RECORD_TYPES = { contacts: true, accounts: true, tasks: true, notes: true };
+
+// ISO 639-1 codes passed to the speech-to-text provider; '' lets it detect the language
+const TRANSCRIPTION_LANGUAGES = [
+  { code: '', label: 'Auto-detect' },
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'French' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'nl', label: 'Dutch' },
+];
+
+// Relative dates in recordings ("next Tuesday") are resolved in this timezone
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [...new Set([BROWSER_TIMEZONE, 'UTC'])];
+
 function PreferencesSection({ settings, onUpdate }) {
   const [autoSync, setAutoSync] = useState(settings?.autoSyncToCRM ?? true);
+  const [reviewBeforeSync, setReviewBeforeSync] = useState(settings?.reviewBeforeSync ?? false);
+  const [minConfidence, setMinConfidence] = useState(
+    Math.round((settings?.autoSyncMinConfidence ?? 0.8) * 100)
+  );
+  const [syncOnActionItems, setSyncOnActionItems] = useState(settings?.autoSyncOnActionItems ?? false);
+  const [recordTypes, setRecordTypes] = useState({
+    ...DEFAULT_RECORD_TYPES,
+    ...(settings?.syncRecordTypes || {}),
+  });
   const [notifyOnComplete, setNotifyOnComplete] = useState(settings?.notifyOnComplete ?? true);
   const [maxDuration, setMaxDuration] = useState(settings?.maxRecordingDuration ?? 300);
+  const [transcriptionLanguage, setTranscriptionLanguage] = useState(settings?.transcriptionLanguage ?? '');
+  const [timezone, setTimezone] = useState(settings?.timezone ?? BROWSER_TIMEZONE);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
 
   const handleSave = async () => {
-    console.log('[PreferencesSection] Saving preferences:', { autoSync, notifyOnComplete, maxDuration });
+    console.log('[PreferencesSection] Saving preferences:', {
+      autoSync,
+      reviewBeforeSync,
+      minConfidence,
+      syncOnActionItems,
+      recordTypes,
+      notifyOnComplete,
+      maxDuration,
+      transcriptionLanguage,
+      timezone,
+    });
     setSaving(true);
     setMessage(null);
 
     const result = await onUpdate({
       autoSyncToCRM: autoSync,
+      reviewBeforeSync,
+      autoSyncMinConfidence: minConfidence / 100,
+      autoSyncOnActionItems: syncOnActionItems,
+      syncRecordTypes: recordTypes,
       notifyOnComplete,
       maxRecordingDuration: maxDuration,
+      transcriptionLanguage,
+      timezone,
     });
 
     setSaving(false);
@@ -119,6 +174,19 @@ function PreferencesSection({ settings, onUpdate }) {
       backgroundColor: colors.primary[600],
       borderRadius: '2px',
     },
+    checkboxGroup: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '16px',
+    },
+    checkboxLabel: {
+      ...typography.bodySmall,
+      color: colors.neutral[700],
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      cursor: 'pointer',
+    },
     button: {
       ...typography.button,
       padding: '10px 20px',
@@ -182,6 +250,59 @@ function PreferencesSection({ settings, onUpdate }) {
         description="Automatically sync recordings to your connected CRM when analysis completes"
       />
 
+      <ToggleSwitch
+        checked={reviewBeforeSync}
+        onChange={setReviewBeforeSync}
+        title="Review before sync"
+        description="Keep every analysis as a draft you can correct, and only sync it when you approve it"
+      />
+
+      <div style={styles.field}>
+        <label style={styles.label}>Auto-sync Minimum Confidence</label>
+        <div style={styles.slider}>
+          <input
+            type="number"
+            value={minConfidence}
+            onChange={(e) => setMinConfidence(Math.max(0, Math.min(100, parseInt(e.target.value) || 0)))}
+            min="0"
+            max="100"
+            step="5"
+            style={styles.input}
+            disabled={!autoSync || reviewBeforeSync}
+          />
+          <span style={{ ...typography.bodySmall, color: colors.neutral[600] }}>%</span>
+        </div>
+        <div style={styles.description}>
+          Analyses below this confidence wait for your review instead of syncing automatically
+        </div>
+      </div>
+
+      <ToggleSwitch
+        checked={syncOnActionItems}
+        onChange={setSyncOnActionItems}
+        title="Auto-sync action items without contacts"
+        description="Sync calls that produced action items even when no contact was identified"
+      />
+
+      <div style={styles.field}>
+        <label style={styles.label}>Records to Push</label>
+        <div style={styles.checkboxGroup}>
+          {RECORD_TYPES.map((type) => (
+            <label key={type.id} style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={recordTypes[type.id]}
+                onChange={(e) => setRecordTypes({ ...recordTypes, [type.id]: e.target.checked })}
+              />
+              {type.label}
+            </label>
+          ))}
+        </div>
+        <div style={styles.description}>
+          Applies to automatic and manual syncs
+        </div>
+      </div>
+
       <ToggleSwitch
         checked={notifyOnComplete}
         onChange={setNotifyOnComplete}
@@ -195,16 +316,48 @@ function PreferencesSection({ settings, onUpdate }) {
           <input
             type="number"
             value={maxDuration}
-            onChange={(e) => setMaxDuration(Math.max(30, Math.min(600, parseInt(e.target.value) || 300)))}
+            onChange={(e) => setMaxDuration(Math.max(30, Math.min(3600, parseInt(e.target.value) || 300)))}
             min="30"
-            max="600"
+            max="3600"
             step="30"
             style={styles.input}
           />
           <span style={{ ...typography.bodySmall, color: colors.neutral[600] }}>seconds</span>
         </div>
         <div style={styles.description}>
-          Recordings will automatically stop after this duration (30-600 seconds)
+          Recordings will automatically stop after this duration (30 seconds to 60 minutes)
+        </div>
+      </div>
+
+      <div style={styles.field}>
+        <label style={styles.label}>Recording Language</label>
+        <select
+          value={transcriptionLanguage}
+          onChange={(e) => setTranscriptionLanguage(e.target.value)}
+          style={{ ...styles.input, width: 'auto', textAlign: 'left' }}
+        >
+          {TRANSCRIPTION_LANGUAGES.map((language) => (
+            <option key={language.code} value={language.code}>{language.label}</option>
+          ))}
+        </select>
+        <div style={styles.description}>
+          The language you usually record in. Extracted details stay in that language, with an English summary added.
+        </div>
+      </div>
+
+      <div style={styles.field}>
+        <label style={styles.label}>Timezone</label>
+        <select
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          style={{ ...styles.input, width: 'auto', textAlign: 'left' }}
+        >
+          {(TIMEZONES.includes(timezone) ? TIMEZONES : [timezone, ...TIMEZONES]).map((zone) => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+        <div style={styles.description}>
+          Dates you mention, like "next Tuesday" or "end of the quarter", are worked out from the day you recorded in this timezone.
         </div>
       </div>
 
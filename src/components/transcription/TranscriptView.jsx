@@ -1,6 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
 import { typography, colors } from '../../styles/index.js';
+import { getTranscriptSegments, getAudioPlaybackUrl } from '../../services/recording.js';
+
+// Segments below this are flagged as unclear (same threshold as the analysis)
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const formatTimestamp = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Transcript with the recording's audio. When the transcription has timed
+ * segments, clicking a line seeks the player there, the line being played
+ * is highlighted and low-confidence lines are flagged.
+ */
+function TranscriptView({ transcript, confidence, wordCount, transcriptionId, audioFilePath }) {
+  const [segments, setSegments] = useState([]);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const audioRef = useRef(null);
+  const segmentRefs = useRef([]);
+
+  useEffect(() => {
+    if (!transcriptionId) return;
+
+    const loadSegments = async () => {
+      const { data } = await getTranscriptSegments(transcriptionId);
+      setSegments(data || []);
+    };
+
+    loadSegments();
+  }, [transcriptionId]);
+
+  useEffect(() => {
+    if (!audioFilePath) return;
+
+    const loadAudio = async () => {
+      const { data } = await getAudioPlaybackUrl(audioFilePath);
+      setAudioUrl(data);
+    };
+
+    loadAudio();
+  }, [audioFilePath]);
+
+  // Keep the playing line in view
+  useEffect(() => {
+    segmentRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeIndex]);
+
+  const handleTimeUpdate = () => {
+    const positionMs = audioRef.current.currentTime * 1000;
+    setActiveIndex(segments.findIndex((segment) => positionMs >= segment.start_ms && positionMs < segment.end_ms));
+  };
+
+  const isUnclear = (segment) =>
+    segment.confidence !== null && segment.confidence < LOW_CONFIDENCE_THRESHOLD;
+
+  const handleSegmentClick = (segment) => {
+    if (!audioRef.current) return;
+
+    audioRef.current.currentTime = segment.start_ms / 1000;
+    audioRef.current.play();
+  };
 
-function TranscriptView({ transcript, confidence, wordCount }) {
   const styles = {
     container: {
       backgroundColor: colors.white,
@@ -48,6 +113,46 @@ function TranscriptView({ transcript, confidence, wordCount }) {
       lineHeight: '1.8',
       whiteSpace: 'pre-wrap',
     },
+    player: {
+      width: '100%',
+      marginBottom: '16px',
+    },
+    segmentList: {
+      maxHeight: '360px',
+      overflowY: 'auto',
+    },
+    segment: {
+      display: 'flex',
+      gap: '12px',
+      padding: '6px 8px',
+      borderRadius: '8px',
+      cursor: audioUrl ? 'pointer' : 'default',
+    },
+    activeSegment: {
+      backgroundColor: colors.primary[50],
+    },
+    timestamp: {
+      ...typography.caption,
+      color: colors.primary[600],
+      fontVariantNumeric: 'tabular-nums',
+      paddingTop: '4px',
+      minWidth: '40px',
+    },
+    segmentText: {
+      ...typography.body,
+      color: colors.neutral[800],
+      lineHeight: '1.8',
+    },
+    unclearText: {
+      textDecoration: `underline wavy ${colors.warning[500]}`,
+      textUnderlineOffset: '4px',
+    },
+    unclearLabel: {
+      ...typography.caption,
+      color: colors.warning[700],
+      marginLeft: '8px',
+      whiteSpace: 'nowrap',
+    },
   };
 
   const getConfidenceBadgeStyle = () => {
@@ -66,7 +171,7 @@ function TranscriptView({ transcript, confidence, wordCount }) {
     <div style={styles.container}>
       <div style={styles.header}>
         <h3 style={styles.title}>Transcription</h3>
-        {confidence !== undefined && (
+        {confidence != null && (
           <span style={getConfidenceBadgeStyle()}>
             {getConfidenceLabel()}
           </span>
@@ -79,9 +184,43 @@ function TranscriptView({ transcript, confidence, wordCount }) {
         </div>
       )}
 
-      <div style={styles.text}>
-        {transcript || 'No transcription available'}
-      </div>
+      {audioUrl && (
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          controls
+          preload="metadata"
+          onTimeUpdate={handleTimeUpdate}
+          style={styles.player}
+        />
+      )}
+
+      {segments.length > 0 ? (
+        <div style={styles.segmentList}>
+          {segments.map((segment, index) => (
+            <div
+              key={segment.id}
+              ref={(element) => { segmentRefs.current[index] = element; }}
+              onClick={() => handleSegmentClick(segment)}
+              style={{ ...styles.segment, ...(index === activeIndex ? styles.activeSegment : {}) }}
+            >
+              <span style={styles.timestamp}>{formatTimestamp(segment.start_ms)}</span>
+              {isUnclear(segment) ? (
+                <span style={styles.segmentText} title={`Low confidence (${Math.round(segment.confidence * 100)}%) - check against the audio`}>
+                  <span style={styles.unclearText}>{segment.text}</span>
+                  <span style={styles.unclearLabel}>unclear</span>
+                </span>
+              ) : (
+                <span style={styles.segmentText}>{segment.text}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={styles.text}>
+          {transcript || 'No transcription available'}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,282 @@
+import { useState, useRef } from 'react';
+import { typography, colors } from '../../styles/index.js';
+import { uploadAudioFile, UPLOAD_AUDIO_TYPES } from '../../services/recording.js';
+
+// Matches the storage bucket's file size limit
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+// Only WebM is split into pieces for transcription; other formats are sent to
+// the speech-to-text provider whole, so they must fit in one Whisper request
+// (keep in step with supabase/functions/_shared/stt/openai.ts)
+const SPLITTABLE_EXTENSIONS = ['webm'];
+const MAX_UNSPLIT_BYTES = 24 * 1024 * 1024;
+const MAX_UNSPLIT_DURATION_MS = 10 * 60 * 1000;
+// Split recordings are limited to what transcribe sends in one round of
+// requests (keep in step with MAX_PIECES in supabase/functions/transcribe)
+const MAX_SPLIT_DURATION_MS = 60 * 60 * 1000;
+const DURATION_TIMEOUT = 10000; // Give up reading the duration after 10 seconds
+const ACCEPT = Object.entries(UPLOAD_AUDIO_TYPES)
+  .flatMap(([extension, mimeType]) => [`.${extension}`, mimeType])
+  .join(',');
+
+/**
+ * Read the duration of an audio file from its metadata
+ * Resolves to milliseconds, or null when the browser cannot tell.
+ */
+const readAudioDuration = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const audio = new Audio();
+
+    let timeout = null;
+    const finish = (durationMs) => {
+      clearTimeout(timeout);
+      audio.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      resolve(durationMs);
+    };
+    timeout = setTimeout(() => finish(null), DURATION_TIMEOUT);
+
+    audio.preload = 'metadata';
+    audio.addEventListener('loadedmetadata', () => {
+      if (Number.isFinite(audio.duration)) {
+        finish(Math.round(audio.duration * 1000));
+        return;
+      }
+      // WebM from MediaRecorder has no duration in its header; seeking past
+      // the end makes the browser scan the file for it
+      audio.addEventListener('durationchange', () => {
+        if (Number.isFinite(audio.duration)) finish(Math.round(audio.duration * 1000));
+      });
+      audio.currentTime = Number.MAX_SAFE_INTEGER;
+    });
+    audio.addEventListener('error', () => finish(null));
+    audio.src = url;
+  });
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+function AudioFileUpload() {
+  const [file, setFile] = useState(null);
+  const [durationMs, setDurationMs] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [recordingId, setRecordingId] = useState(null);
+
+  const inputRef = useRef(null);
+  const isUploading = progress !== null && !recordingId;
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    setError(null);
+    setRecordingId(null);
+    setProgress(null);
+    setFile(null);
+    setDurationMs(null);
+
+    if (!selected) return;
+
+    const extension = selected.name.split('.').pop().toLowerCase();
+    if (!UPLOAD_AUDIO_TYPES[extension]) {
+      setError(`Unsupported file type. Upload one of: ${Object.keys(UPLOAD_AUDIO_TYPES).join(', ')}`);
+      return;
+    }
+
+    const splittable = SPLITTABLE_EXTENSIONS.includes(extension);
+    const maxBytes = splittable ? MAX_UPLOAD_BYTES : MAX_UNSPLIT_BYTES;
+    if (selected.size > maxBytes) {
+      setError(splittable
+        ? `File is too large (max ${maxBytes / 1024 / 1024} MB)`
+        : `${extension.toUpperCase()} files can be up to ${maxBytes / 1024 / 1024} MB. Convert longer recordings to WebM to upload them.`);
+      return;
+    }
+
+    const duration = await readAudioDuration(selected);
+    if (duration === null) {
+      setError('Could not read this audio file. It may be damaged or in an unsupported format.');
+      return;
+    }
+
+    if (!splittable && duration > MAX_UNSPLIT_DURATION_MS) {
+      setError(`${extension.toUpperCase()} files can be up to ${MAX_UNSPLIT_DURATION_MS / 60000} minutes long. Convert longer recordings to WebM to upload them.`);
+      return;
+    }
+
+    if (splittable && duration > MAX_SPLIT_DURATION_MS) {
+      setError(`Recordings can be up to ${MAX_SPLIT_DURATION_MS / 60000} minutes long`);
+      return;
+    }
+
+    console.log('[AudioFileUpload] File selected:', { name: selected.name, size: selected.size, duration });
+    setFile(selected);
+    setDurationMs(duration);
+  };
+
+  const handleUpload = async () => {
+    if (!file) return;
+
+    setError(null);
+    setProgress(0);
+
+    try {
+      const result = await uploadAudioFile(file, durationMs, {
+        onProgress: (percent) => setProgress(Math.round(percent)),
+      });
+
+      console.log('[AudioFileUpload] File uploaded:', result.recordingId);
+      setRecordingId(result.recordingId);
+      setFile(null);
+      if (inputRef.current) inputRef.current.value = '';
+    } catch (err) {
+      console.error('[AudioFileUpload] Upload error:', err);
+      setError(err.message || 'Failed to upload file. Please try again.');
+      setProgress(null);
+    }
+  };
+
+  const handleClear = () => {
+    setFile(null);
+    setDurationMs(null);
+    setError(null);
+    if (inputRef.current) inputRef.current.value = '';
+  };
+
+  const styles = {
+    card: {
+      backgroundColor: colors.white,
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+    },
+    title: {
+      ...typography.h4,
+      color: colors.neutral[900],
+    },
+    hint: {
+      ...typography.caption,
+      color: colors.neutral[500],
+    },
+    fileInfo: {
+      ...typography.bodySmall,
+      color: colors.neutral[700],
+      padding: '12px',
+      backgroundColor: colors.neutral[50],
+      borderRadius: '8px',
+      wordBreak: 'break-all',
+    },
+    progressTrack: {
+      height: '8px',
+      borderRadius: '4px',
+      backgroundColor: colors.neutral[200],
+      overflow: 'hidden',
+    },
+    progressBar: {
+      height: '100%',
+      width: `${progress || 0}%`,
+      backgroundColor: colors.primary[600],
+      transition: 'width 0.2s',
+    },
+    button: {
+      ...typography.button,
+      padding: '16px 32px',
+      borderRadius: '12px',
+      border: 'none',
+      cursor: 'pointer',
+      transition: 'all 0.2s',
+    },
+    uploadButton: {
+      backgroundColor: colors.primary[600],
+      color: colors.white,
+    },
+    secondaryButton: {
+      backgroundColor: colors.neutral[200],
+      color: colors.neutral[700],
+    },
+    errorText: {
+      ...typography.bodySmall,
+      color: colors.danger[600],
+      textAlign: 'center',
+      padding: '12px',
+      backgroundColor: colors.danger[50],
+      borderRadius: '8px',
+    },
+    successText: {
+      ...typography.bodySmall,
+      color: colors.success[700],
+      textAlign: 'center',
+      padding: '12px',
+      backgroundColor: colors.success[50],
+      borderRadius: '8px',
+    },
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>Upload an audio file</div>
+      <div style={styles.hint}>
+        Voicemails or call recordings from your phone ({Object.keys(UPLOAD_AUDIO_TYPES).join(', ')}).
+        WebM up to {MAX_UPLOAD_BYTES / 1024 / 1024} MB, other formats up to {MAX_UNSPLIT_BYTES / 1024 / 1024} MB
+        and {MAX_UNSPLIT_DURATION_MS / 60000} minutes.
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPT}
+        onChange={handleFileChange}
+        disabled={isUploading}
+      />
+
+      {error && <div style={styles.errorText}>{error}</div>}
+
+      {file && (
+        <div style={styles.fileInfo}>
+          {file.name} · {formatDuration(durationMs)} · {(file.size / 1024 / 1024).toFixed(1)} MB
+        </div>
+      )}
+
+      {isUploading && (
+        <div style={styles.progressTrack}>
+          <div style={styles.progressBar} />
+        </div>
+      )}
+
+      {file && (
+        <>
+          <button
+            style={{ ...styles.button, ...styles.uploadButton }}
+            onClick={handleUpload}
+            disabled={isUploading}
+          >
+            {isUploading ? `⏳ Uploading... ${progress}%` : '⇪ Upload & Transcribe'}
+          </button>
+          <button
+            style={{ ...styles.button, ...styles.secondaryButton }}
+            onClick={handleClear}
+            disabled={isUploading}
+          >
+            ✕ Clear
+          </button>
+        </>
+      )}
+
+      {recordingId && (
+        <div style={styles.successText}>
+          ✓ File uploaded! Transcription in progress...
+          <div style={{ marginTop: '8px', fontSize: '12px' }}>
+            Recording ID: {recordingId}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AudioFileUpload;
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { typography, colors } from '../../styles/index.js';
+import { saveTypedNote } from '../../services/recording.js';
+
+const MAX_NOTE_LENGTH = 10000;
+
+function TypedNoteForm() {
+  const [noteText, setNoteText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [recordingId, setRecordingId] = useState(null);
+
+  const handleSave = async () => {
+    if (!noteText.trim()) {
+      setError('Type a note first');
+      return;
+    }
+
+    console.log('[TypedNoteForm] Saving note...');
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await saveTypedNote(noteText);
+      console.log('[TypedNoteForm] Note saved:', result.recordingId);
+      setRecordingId(result.recordingId);
+      setNoteText('');
+    } catch (err) {
+      console.error('[TypedNoteForm] Save error:', err);
+      setError(err.message || 'Failed to save note. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const styles = {
+    card: {
+      backgroundColor: colors.white,
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+    },
+    hint: {
+      ...typography.caption,
+      color: colors.neutral[500],
+    },
+    textarea: {
+      ...typography.body,
+      minHeight: '200px',
+      padding: '12px',
+      borderRadius: '8px',
+      border: `1px solid ${colors.neutral[300]}`,
+      resize: 'vertical',
+      fontFamily: 'inherit',
+    },
+    counter: {
+      ...typography.caption,
+      color: colors.neutral[500],
+      textAlign: 'right',
+    },
+    button: {
+      ...typography.button,
+      padding: '16px 32px',
+      borderRadius: '12px',
+      border: 'none',
+      cursor: 'pointer',
+      transition: 'all 0.2s',
+      backgroundColor: colors.success[600],
+      color: colors.white,
+    },
+    errorText: {
+      ...typography.bodySmall,
+      color: colors.danger[600],
+      textAlign: 'center',
+      padding: '12px',
+      backgroundColor: colors.danger[50],
+      borderRadius: '8px',
+    },
+    successText: {
+      ...typography.bodySmall,
+      color: colors.success[700],
+      textAlign: 'center',
+      padding: '12px',
+      backgroundColor: colors.success[50],
+      borderRadius: '8px',
+    },
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.hint}>
+        Can't talk right now? Type what happened: who you met, what they need and what comes next.
+      </div>
+
+      <textarea
+        style={styles.textarea}
+        value={noteText}
+        onChange={(event) => {
+          setNoteText(event.target.value);
+          setRecordingId(null);
+        }}
+        maxLength={MAX_NOTE_LENGTH}
+        placeholder="Met Jane Doe (VP Ops, Acme). Wants a proposal for 50 seats..."
+        disabled={isSaving}
+      />
+      <div style={styles.counter}>
+        {noteText.length}/{MAX_NOTE_LENGTH}
+      </div>
+
+      {error && <div style={styles.errorText}>{error}</div>}
+
+      <button
+        style={styles.button}
+        onClick={handleSave}
+        disabled={isSaving || !noteText.trim()}
+      >
+        {isSaving ? '⏳ Saving...' : '✓ Save & Analyze'}
+      </button>
+
+      {recordingId && (
+        <div style={styles.successText}>
+          ✓ Note saved! Analysis in progress...
+          <div style={{ marginTop: '8px', fontSize: '12px' }}>
+            Recording ID: {recordingId}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TypedNoteForm;
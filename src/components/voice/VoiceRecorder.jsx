@@ -2,10 +2,21 @@ import { useState, useRef, useEffect } from 'react';
 import { typography, colors } from '../../styles/index.js';
 import AudioVisualizer from './AudioVisualizer.jsx';
 import { saveRecording as saveRecordingToSupabase } from '../../services/recording.js';
+import { queueRecording, isOfflineModeEnabled, isNetworkError } from '../../services/outbox.js';
+import { getCRMConnections, getUserProfile } from '../../services/settings.js';
 
 // Constants from environment
-const MAX_RECORDING_DURATION = import.meta.env.VITE_MAX_RECORDING_DURATION || 300000; // 5 minutes
+const MAX_RECORDING_DURATION = Number(import.meta.env.VITE_MAX_RECORDING_DURATION) || 3600000; // 60 minutes
+const DEFAULT_RECORDING_DURATION = 300000; // 5 minutes, until the user's preference loads
 const MIN_RECORDING_DURATION = 5000; // 5 seconds
+// Keeps an hour of audio around 30 MB; longer files are split for transcription
+const AUDIO_BITS_PER_SECOND = 64000;
+
+const CRM_PROVIDER_NAMES = {
+  salesforce: 'Salesforce',
+  hubspot: 'HubSpot',
+  pipedrive: 'Pipedrive',
+};
 
 function VoiceRecorder() {
   const [permissionStatus, setPermissionStatus] = useState('prompt'); // 'prompt' | 'granted' | 'denied'
@@ -16,7 +27,11 @@ function VoiceRecorder() {
   const [error, setError] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
+  const [savedOffline, setSavedOffline] = useState(false);
   const [recordingId, setRecordingId] = useState(null);
+  const [crmConnections, setCrmConnections] = useState([]);
+  const [crmTargets, setCrmTargets] = useState([]);
+  const [maxDuration, setMaxDuration] = useState(Math.min(DEFAULT_RECORDING_DURATION, MAX_RECORDING_DURATION));
 
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
@@ -24,6 +39,43 @@ function VoiceRecorder() {
   const streamRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
+  const maxDurationRef = useRef(maxDuration); // read by the timer interval
+
+  // Load CRM connections so the user can pick where this recording syncs
+  useEffect(() => {
+    const loadConnections = async () => {
+      const { data, error: connectionsError } = await getCRMConnections();
+      if (connectionsError || !data) return;
+
+      setCrmConnections(data);
+      setCrmTargets(data.filter((c) => c.is_default).map((c) => c.id));
+    };
+
+    loadConnections();
+  }, []);
+
+  // Apply the user's max recording duration (seconds), capped by the app limit
+  useEffect(() => {
+    const loadMaxDuration = async () => {
+      const { data } = await getUserProfile();
+      const preferred = data?.settings?.maxRecordingDuration;
+      if (!preferred) return;
+
+      const limit = Math.min(preferred * 1000, MAX_RECORDING_DURATION);
+      maxDurationRef.current = limit;
+      setMaxDuration(limit);
+    };
+
+    loadMaxDuration();
+  }, []);
+
+  const toggleCrmTarget = (connectionId) => {
+    setCrmTargets((current) =>
+      current.includes(connectionId)
+        ? current.filter((id) => id !== connectionId)
+        : [...current, connectionId]
+    );
+  };
 
   // Request microphone permission
   const requestPermission = async () => {
@@ -72,7 +124,7 @@ function VoiceRecorder() {
     }
 
     // Create MediaRecorder
-    const options = { mimeType: 'audio/webm' };
+    const options = { mimeType: 'audio/webm', audioBitsPerSecond: AUDIO_BITS_PER_SECOND };
 
     // Check for supported MIME types
     if (!MediaRecorder.isTypeSupported(options.mimeType)) {
@@ -124,10 +176,10 @@ function VoiceRecorder() {
           const newDuration = prev + 100;
 
           // Auto-stop at max duration
-          if (newDuration >= MAX_RECORDING_DURATION) {
+          if (newDuration >= maxDurationRef.current) {
             console.warn('[VoiceRecorder] Max duration reached, stopping recording');
             stopRecording();
-            return MAX_RECORDING_DURATION;
+            return maxDurationRef.current;
           }
 
           return newDuration;
@@ -166,10 +218,10 @@ function VoiceRecorder() {
           const newDuration = prev + 100;
 
           // Auto-stop at max duration
-          if (newDuration >= MAX_RECORDING_DURATION) {
+          if (newDuration >= maxDurationRef.current) {
             console.warn('[VoiceRecorder] Max duration reached, stopping recording');
             stopRecording();
-            return MAX_RECORDING_DURATION;
+            return maxDurationRef.current;
           }
 
           return newDuration;
@@ -227,6 +279,28 @@ function VoiceRecorder() {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  // Reset recorder after a delay so the success message stays visible
+  const resetAfterSave = () => {
+    setTimeout(() => {
+      setAudioBlob(null);
+      setDuration(0);
+      setSaveSuccess(false);
+      setSavedOffline(false);
+      setIsSaving(false);
+    }, 3000);
+  };
+
+  // Keep the recording in the offline outbox until connectivity returns
+  const queueForUpload = async () => {
+    console.log('[VoiceRecorder] Queueing recording for later upload');
+    await queueRecording(audioBlob, duration, {}, { crmTargetConnectionIds: crmTargets });
+    setError(null);
+    setRecordingId(null);
+    setSavedOffline(true);
+    setSaveSuccess(true);
+    resetAfterSave();
+  };
+
   // Save recording
   const saveRecording = async () => {
     if (!audioBlob) {
@@ -239,31 +313,37 @@ function VoiceRecorder() {
     setError(null);
 
     try {
-      const result = await saveRecordingToSupabase(audioBlob, duration);
+      if (isOfflineModeEnabled() && !navigator.onLine) {
+        await queueForUpload();
+        return;
+      }
+
+      const result = await saveRecordingToSupabase(audioBlob, duration, {}, {
+        crmTargetConnectionIds: crmTargets,
+      });
 
       if (result.success) {
         console.log('[VoiceRecorder] Recording saved successfully:', result.recordingId);
         setSaveSuccess(true);
         setRecordingId(result.recordingId);
+        setError(null);
 
-        if (result.transcriptionTriggered) {
-          setError(null);
-        } else {
-          setError('Recording saved, but transcription failed to start. You can retry from History.');
-        }
-
-        // Reset after delay to show success message
-        setTimeout(() => {
-          setAudioBlob(null);
-          setDuration(0);
-          setSaveSuccess(false);
-          setIsSaving(false);
-        }, 3000);
+        resetAfterSave();
       } else {
         throw new Error('Failed to save recording');
       }
     } catch (err) {
       console.error('[VoiceRecorder] Save error:', err);
+
+      if (isOfflineModeEnabled() && isNetworkError(err)) {
+        try {
+          await queueForUpload();
+          return;
+        } catch (queueError) {
+          console.error('[VoiceRecorder] Failed to queue recording:', queueError);
+        }
+      }
+
       setError(err.message || 'Failed to save recording. Please try again.');
       setIsSaving(false);
     }
@@ -345,6 +425,30 @@ function VoiceRecorder() {
       backgroundColor: colors.danger[50],
       borderRadius: '8px',
     },
+    crmTargets: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '8px',
+    },
+    crmTargetsLabel: {
+      ...typography.bodySmall,
+      color: colors.neutral[600],
+    },
+    crmTargetChip: {
+      ...typography.caption,
+      padding: '6px 12px',
+      borderRadius: '16px',
+      border: `1px solid ${colors.neutral[300]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[700],
+      cursor: 'pointer',
+    },
+    crmTargetChipSelected: {
+      borderColor: colors.primary[600],
+      backgroundColor: colors.primary[50],
+      color: colors.primary[700],
+    },
     successText: {
       ...typography.bodySmall,
       color: colors.success[700],
@@ -361,7 +465,7 @@ function VoiceRecorder() {
         {/* Timer */}
         <div style={styles.timer}>{formatDuration(duration)}</div>
         <div style={styles.maxDuration}>
-          Max: {formatDuration(MAX_RECORDING_DURATION)}
+          Max: {formatDuration(maxDuration)}
         </div>
 
         {/* Audio Visualizer */}
@@ -426,6 +530,26 @@ function VoiceRecorder() {
 
           {audioBlob && !saveSuccess && (
             <>
+              {crmConnections.length > 1 && (
+                <div style={styles.crmTargets}>
+                  <span style={styles.crmTargetsLabel}>Sync to:</span>
+                  {crmConnections.map((connection) => (
+                    <button
+                      key={connection.id}
+                      type="button"
+                      style={{
+                        ...styles.crmTargetChip,
+                        ...(crmTargets.includes(connection.id) ? styles.crmTargetChipSelected : {}),
+                      }}
+                      onClick={() => toggleCrmTarget(connection.id)}
+                      disabled={isSaving}
+                    >
+                      {CRM_PROVIDER_NAMES[connection.provider] || connection.provider}
+                      {connection.display_name ? ` · ${connection.display_name}` : ''}
+                    </button>
+                  ))}
+                </div>
+              )}
               <button
                 style={{ ...styles.button, ...styles.recordButton }}
                 onClick={saveRecording}
@@ -443,7 +567,13 @@ function VoiceRecorder() {
             </>
           )}
 
-          {saveSuccess && (
+          {saveSuccess && savedOffline && (
+            <div style={styles.successText}>
+              ✓ Saved on this device. It will upload automatically when you're back online.
+            </div>
+          )}
+
+          {saveSuccess && !savedOffline && (
             <div style={styles.successText}>
               ✓ Recording saved successfully! Transcription in progress...
               {recordingId && (
@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase.js';
 import { onAuthStateChange } from '../lib/auth.js';
+import { initOutbox, drainOutbox } from '../services/outbox.js';
 
 const AuthContext = createContext({});
 
@@ -33,6 +34,14 @@ export function AuthProvider({ children }) {
     return () => subscription.unsubscribe();
   }, []);
 
+  // Upload recordings this user queued while offline once they are signed in;
+  // entries queued by other accounts stay put (see services/outbox.js)
+  useEffect(() => {
+    if (!user) return;
+    initOutbox();
+    drainOutbox();
+  }, [user]);
+
   const value = {
     user,
     loading,
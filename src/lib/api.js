@@ -61,9 +61,11 @@ export const apiCall = async (endpoint, options = {}, retryCount = 0) => {
 
 /**
  * Upload file to API endpoint
+ * `options.baseUrl` targets another service (e.g. Supabase Storage) and
+ * `options.headers` adds request headers such as Authorization.
  */
-export const uploadFile = async (endpoint, file, onProgress = null) => {
-  const url = `${API_BASE_URL}${endpoint}`;
+export const uploadFile = async (endpoint, file, onProgress = null, options = {}) => {
+  const url = `${options.baseUrl || API_BASE_URL}${endpoint}`;
 
   console.log(`[API] Uploading file to ${endpoint}:`, {
     fileName: file.name,
@@ -117,6 +119,9 @@ export const uploadFile = async (endpoint, file, onProgress = null) => {
     formData.append('file', file);
 
     xhr.open('POST', url);
+    Object.entries(options.headers || {}).forEach(([name, value]) => {
+      xhr.setRequestHeader(name, value);
+    });
     xhr.send(formData);
   });
 };
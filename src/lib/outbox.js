@@ -0,0 +1,107 @@
+/**
+ * Outbox storage - IndexedDB persistence for recordings waiting to upload
+ *
+ * Each entry keeps the raw audio blob together with its duration and
+ * metadata so a recording made without connectivity survives reloads
+ * and can be uploaded later by the outbox service.
+ */
+
+const DB_NAME = 'field-intel-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'recordings';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the outbox database
+ */
+const openOutboxDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error('[Outbox] Failed to open database:', request.error);
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the recordings store
+ */
+const withStore = async (mode, operation) => {
+  const db = await openOutboxDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    const request = operation(store);
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Add a recording to the outbox
+ */
+export const addToOutbox = async (entry) => {
+  console.log('[Outbox] Adding entry:', { id: entry.id, size: entry.blob?.size });
+  await withStore('readwrite', (store) => store.put(entry));
+  return entry;
+};
+
+/**
+ * Get all queued recordings, oldest first
+ */
+export const getOutboxEntries = async () => {
+  const entries = await withStore('readonly', (store) => store.index('createdAt').getAll());
+  return entries || [];
+};
+
+/**
+ * Get a single queued recording
+ */
+export const getOutboxEntry = async (id) => {
+  return withStore('readonly', (store) => store.get(id));
+};
+
+/**
+ * Merge updates into a queued recording
+ */
+export const updateOutboxEntry = async (id, updates) => {
+  const entry = await getOutboxEntry(id);
+  if (!entry) return null;
+
+  const updated = { ...entry, ...updates };
+  await withStore('readwrite', (store) => store.put(updated));
+  return updated;
+};
+
+/**
+ * Remove a recording from the outbox (after a successful upload)
+ */
+export const removeFromOutbox = async (id) => {
+  console.log('[Outbox] Removing entry:', id);
+  await withStore('readwrite', (store) => store.delete(id));
+};
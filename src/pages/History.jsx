@@ -1,10 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { typography, colors } from '../styles/index.js';
-import { getRecordings } from '../services/recording.js';
+import { getRecordings, subscribeToRecording } from '../services/recording.js';
+import { getPendingUploads, subscribeToOutbox, retryQueuedRecording } from '../services/outbox.js';
+import { saveAnalysisEdits, approveAndSyncAnalysis } from '../services/analysis.js';
+import { retryRecordings } from '../services/pipeline.js';
 import TranscriptView from '../components/transcription/TranscriptView.jsx';
 import AnalysisResults from '../components/analysis/AnalysisResults.jsx';
 import SentimentBadge from '../components/analysis/SentimentBadge.jsx';
+import CRMSyncLog from '../components/analysis/CRMSyncLog.jsx';
 
 function History() {
   const navigate = useNavigate();
@@ -12,14 +16,36 @@ function History() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedRecording, setExpandedRecording] = useState(null);
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [syncCount, setSyncCount] = useState(0); // bumps CRM sync logs after a manual sync
+  const [retryErrors, setRetryErrors] = useState({}); // recordingId -> retry error
+  const [retryingAll, setRetryingAll] = useState(false);
+  const retrySubscriptions = useRef({}); // recordingId -> unsubscribe
 
   useEffect(() => {
     loadRecordings();
+    loadPendingUploads();
+
+    // Refresh when queued recordings are added or finish uploading
+    const unsubscribe = subscribeToOutbox(() => {
+      loadPendingUploads();
+      loadRecordings({ silent: true });
+    });
+
+    return () => {
+      unsubscribe();
+      Object.values(retrySubscriptions.current).forEach((stop) => stop());
+    };
   }, []);
 
-  const loadRecordings = async () => {
+  const loadPendingUploads = async () => {
+    const { data } = await getPendingUploads();
+    setPendingUploads(data);
+  };
+
+  const loadRecordings = async ({ silent = false } = {}) => {
     console.log('[History] Loading recordings');
-    setLoading(true);
+    if (!silent) setLoading(true);
     setError(null);
 
     try {
@@ -39,6 +65,86 @@ function History() {
     }
   };
 
+  const handleRetryUpload = async (event, entryId) => {
+    event.stopPropagation();
+    console.log('[History] Retrying queued upload:', entryId);
+    await retryQueuedRecording(entryId);
+  };
+
+  const handleSaveAnalysis = async (analysisId, changes) => {
+    console.log('[History] Saving analysis edits:', analysisId);
+    const result = await saveAnalysisEdits(analysisId, changes);
+    if (!result.error) await loadRecordings({ silent: true });
+    return result;
+  };
+
+  const handleSyncAnalysis = async (analysisId, recordingId) => {
+    console.log('[History] Syncing reviewed analysis:', analysisId);
+    const result = await approveAndSyncAnalysis(analysisId, recordingId);
+    setSyncCount((count) => count + 1);
+    await loadRecordings({ silent: true });
+    return result;
+  };
+
+  // Follow a retried recording through the pipeline until it finishes or fails again
+  const watchRecording = (recordingId) => {
+    if (retrySubscriptions.current[recordingId]) return;
+
+    retrySubscriptions.current[recordingId] = subscribeToRecording(recordingId, (updated) => {
+      setRecordings((current) => current.map((recording) => (
+        recording.id === updated.id
+          ? { ...recording, status: updated.status, error_message: updated.error_message, updated_at: updated.updated_at }
+          : recording
+      )));
+
+      // A finished stage has new transcription / analysis rows to show
+      if (['transcribed', 'analyzed', 'synced'].includes(updated.status)) {
+        loadRecordings({ silent: true });
+      }
+
+      if (updated.status === 'synced' || updated.status === 'failed') {
+        retrySubscriptions.current[recordingId]?.();
+        delete retrySubscriptions.current[recordingId];
+      }
+    });
+  };
+
+  const retryFailed = async (recordingIds) => {
+    console.log('[History] Retrying failed recordings:', recordingIds);
+    recordingIds.forEach(watchRecording);
+
+    const { data, error } = await retryRecordings(recordingIds);
+    const errors = {};
+
+    if (error) {
+      recordingIds.forEach((id) => { errors[id] = error; });
+    } else {
+      data.forEach((result) => { errors[result.recordingId] = result.error; });
+    }
+
+    // Nothing was queued for these, so there is nothing to follow
+    Object.keys(errors).filter((id) => errors[id]).forEach((id) => {
+      retrySubscriptions.current[id]?.();
+      delete retrySubscriptions.current[id];
+    });
+
+    setRetryErrors((current) => ({ ...current, ...errors }));
+    await loadRecordings({ silent: true });
+  };
+
+  const handleRetryRecording = async (event, recordingId) => {
+    event.stopPropagation();
+    await retryFailed([recordingId]);
+  };
+
+  const handleRetryAllFailed = async () => {
+    setRetryingAll(true);
+    await retryFailed(failedRecordings.map((recording) => recording.id));
+    setRetryingAll(false);
+  };
+
+  const failedRecordings = recordings.filter((recording) => recording.status === 'failed');
+
   const formatDuration = (ms) => {
     const totalSeconds = Math.floor(ms / 1000);
     const minutes = Math.floor(totalSeconds / 60);
@@ -64,6 +170,9 @@ function History() {
 
   const getStatusBadge = (status) => {
     const statusStyles = {
+      'pending upload': { bg: colors.warning[100], color: colors.warning[700] },
+      uploading: { bg: colors.primary[100], color: colors.primary[700] },
+      'upload failed': { bg: colors.danger[100], color: colors.danger[700] },
       completed: { bg: colors.neutral[100], color: colors.neutral[700] },
       transcribing: { bg: colors.primary[100], color: colors.primary[700] },
       transcribed: { bg: colors.primary[100], color: colors.primary[700] },
@@ -71,6 +180,7 @@ function History() {
       analyzed: { bg: colors.success[100], color: colors.success[700] },
       syncing: { bg: colors.warning[100], color: colors.warning[700] },
       synced: { bg: colors.success[100], color: colors.success[700] },
+      'needs review': { bg: colors.warning[100], color: colors.warning[700] },
       failed: { bg: colors.danger[100], color: colors.danger[700] },
     };
 
@@ -199,6 +309,24 @@ function History() {
       WebkitLineClamp: 2,
       WebkitBoxOrient: 'vertical',
     },
+    noteText: {
+      ...typography.body,
+      color: colors.neutral[800],
+      whiteSpace: 'pre-wrap',
+      padding: '16px',
+      marginBottom: '16px',
+      backgroundColor: colors.neutral[50],
+      borderRadius: '8px',
+    },
+    retryButton: {
+      ...typography.button,
+      padding: '6px 12px',
+      borderRadius: '8px',
+      border: `1px solid ${colors.neutral[300]}`,
+      backgroundColor: colors.white,
+      color: colors.neutral[700],
+      cursor: 'pointer',
+    },
     expandedContent: {
       marginTop: '24px',
       paddingTop: '24px',
@@ -221,9 +349,21 @@ function History() {
           <h2 style={styles.title}>Recording History</h2>
         </div>
         {recordings.length > 0 && (
-          <span style={{ ...typography.bodySmall, color: colors.neutral[500] }}>
-            {recordings.length} recording{recordings.length !== 1 ? 's' : ''}
-          </span>
+          <div style={styles.headerLeft}>
+            {failedRecordings.length > 0 && (
+              <button
+                onClick={handleRetryAllFailed}
+                disabled={retryingAll}
+                style={styles.retryButton}
+              >
+                {retryingAll ? 'Retrying...' : `Retry failed (${failedRecordings.length})`}
+              </button>
+            )}
+            <span style={{ ...typography.bodySmall, color: colors.neutral[500] }}>
+              {recordings.length} recording{recordings.length !== 1 ? 's' : ''}
+              {pendingUploads.length > 0 && ` • ${pendingUploads.length} waiting to upload`}
+            </span>
+          </div>
         )}
       </header>
 
@@ -234,7 +374,7 @@ function History() {
           <div style={styles.errorText}>
             {error}
             <button
-              onClick={loadRecordings}
+              onClick={() => loadRecordings()}
               style={{
                 ...typography.button,
                 marginTop: '12px',
@@ -251,7 +391,55 @@ function History() {
           </div>
         )}
 
-        {!loading && !error && recordings.length === 0 && (
+        {pendingUploads.length > 0 && (
+          <div>
+            {pendingUploads.map((entry) => {
+              const uploadStatus = entry.status === 'failed'
+                ? 'upload failed'
+                : entry.status === 'uploading' ? 'uploading' : 'pending upload';
+
+              return (
+                <div key={entry.id} style={{ ...styles.recordingCard, cursor: 'default' }}>
+                  <div style={styles.recordingHeader}>
+                    <div style={styles.recordingInfo}>
+                      <div style={styles.recordingDate}>
+                        {formatDate(entry.metadata?.recorded_at || entry.createdAt)}
+                      </div>
+                      <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+                        {getStatusBadge(uploadStatus)}
+                      </div>
+                    </div>
+                    {entry.status === 'failed' && (
+                      <button
+                        onClick={(event) => handleRetryUpload(event, entry.id)}
+                        style={styles.retryButton}
+                      >
+                        Retry Upload
+                      </button>
+                    )}
+                  </div>
+
+                  <div style={styles.recordingMeta}>
+                    <span style={styles.metaItem}>
+                      Duration: {formatDuration(entry.durationMs)}
+                    </span>
+                    <span style={styles.metaItem}>
+                      Saved on this device
+                    </span>
+                  </div>
+
+                  {entry.lastError && (
+                    <div style={{ ...styles.metaItem, color: colors.danger[600], marginTop: '8px' }}>
+                      Last attempt: {entry.lastError}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {!loading && !error && recordings.length === 0 && pendingUploads.length === 0 && (
           <p style={styles.emptyState}>
             No recordings yet. Start by recording your first voice note!
           </p>
@@ -261,7 +449,10 @@ function History() {
           <div>
             {recordings.map((recording) => {
               const isExpanded = expandedRecording === recording.id;
+              // getRecordings embeds only the newest transcription and analysis
               const transcription = recording.transcriptions?.[0];
+              // One note per entry, so it is embedded as an object
+              const note = recording.entry_type === 'note' ? recording.notes : null;
               const analysis = recording.analysis_results?.[0];
 
               return (
@@ -277,22 +468,48 @@ function History() {
                       </div>
                       <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
                         {getStatusBadge(recording.status)}
+                        {analysis?.review_status === 'draft' && getStatusBadge('needs review')}
                         {analysis?.overall_sentiment && (
                           <SentimentBadge sentiment={analysis.overall_sentiment} />
                         )}
                       </div>
                     </div>
+                    {recording.status === 'failed' && (
+                      <button
+                        onClick={(event) => handleRetryRecording(event, recording.id)}
+                        style={styles.retryButton}
+                      >
+                        Retry
+                      </button>
+                    )}
                   </div>
 
+                  {retryErrors[recording.id] && (
+                    <div style={{ ...styles.metaItem, color: colors.danger[600], marginBottom: '8px' }}>
+                      Retry failed: {retryErrors[recording.id]}
+                    </div>
+                  )}
+
                   <div style={styles.recordingMeta}>
-                    <span style={styles.metaItem}>
-                      Duration: {formatDuration(recording.duration_ms)}
-                    </span>
+                    {note ? (
+                      <span style={styles.metaItem}>
+                        Typed note{note.word_count ? ` · ${note.word_count} words` : ''}
+                      </span>
+                    ) : (
+                      <span style={styles.metaItem}>
+                        Duration: {formatDuration(recording.duration_ms)}
+                      </span>
+                    )}
                     {transcription?.word_count && (
                       <span style={styles.metaItem}>
                         {transcription.word_count} words
                       </span>
                     )}
+                    {transcription?.language && transcription.language !== 'en' && (
+                      <span style={styles.metaItem}>
+                        Language: {transcription.language.toUpperCase()}
+                      </span>
+                    )}
                     {transcription?.confidence_score && (
                       <span style={styles.metaItem}>
                         Confidence: {Math.round(transcription.confidence_score * 100)}%
@@ -306,6 +523,12 @@ function History() {
                     </div>
                   )}
 
+                  {note && !isExpanded && (
+                    <div style={styles.transcriptPreview}>
+                      {note.note_text}
+                    </div>
+                  )}
+
                   {analysis?.summary && !isExpanded && (
                     <div style={styles.transcriptPreview}>
                       <strong>Summary:</strong> {analysis.summary}
@@ -313,16 +536,32 @@ function History() {
                   )}
 
                   {isExpanded && (
-                    <div style={styles.expandedContent}>
+                    <div style={styles.expandedContent} onClick={(e) => e.stopPropagation()}>
                       {transcription && (
                         <TranscriptView
                           transcript={transcription.transcript_text}
                           confidence={transcription.confidence_score}
                           wordCount={transcription.word_count}
+                          transcriptionId={transcription.id}
+                          audioFilePath={recording.audio_file_path}
+                        />
+                      )}
+
+                      {note && (
+                        <div style={styles.noteText}>
+                          {note.note_text}
+                        </div>
+                      )}
+
+                      {analysis && (
+                        <AnalysisResults
+                          analysis={analysis}
+                          onSave={(changes) => handleSaveAnalysis(analysis.id, changes)}
+                          onSync={() => handleSyncAnalysis(analysis.id, recording.id)}
                         />
                       )}
 
-                      {analysis && <AnalysisResults analysis={analysis} />}
+                      <CRMSyncLog recordingId={recording.id} refreshKey={`${recording.updated_at}-${syncCount}`} />
 
                       {recording.status === 'failed' && recording.error_message && (
                         <div style={styles.errorText}>
@@ -1,9 +1,13 @@
+import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { typography, colors } from '../styles/index.js';
 import VoiceRecorder from '../components/voice/VoiceRecorder.jsx';
+import AudioFileUpload from '../components/voice/AudioFileUpload.jsx';
+import TypedNoteForm from '../components/voice/TypedNoteForm.jsx';
 
 function Record() {
   const navigate = useNavigate();
+  const [mode, setMode] = useState('voice'); // 'voice' | 'note'
 
   const styles = {
     container: {
@@ -35,6 +39,31 @@ function Record() {
       padding: '20px',
       maxWidth: '600px',
       margin: '0 auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '24px',
+    },
+    modeToggle: {
+      display: 'flex',
+      gap: '8px',
+      padding: '4px',
+      borderRadius: '12px',
+      backgroundColor: colors.neutral[200],
+    },
+    modeButton: {
+      ...typography.button,
+      flex: 1,
+      padding: '10px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      backgroundColor: 'transparent',
+      color: colors.neutral[600],
+      cursor: 'pointer',
+    },
+    modeButtonActive: {
+      backgroundColor: colors.white,
+      color: colors.neutral[900],
+      boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
     },
   };
 
@@ -49,11 +78,33 @@ function Record() {
         <button style={styles.backButton} onClick={handleBack}>
           ← Back
         </button>
-        <h2 style={styles.title}>Record Voice Note</h2>
+        <h2 style={styles.title}>{mode === 'note' ? 'Type a Note' : 'Record Voice Note'}</h2>
       </header>
 
       <div style={styles.content}>
-        <VoiceRecorder />
+        <div style={styles.modeToggle}>
+          <button
+            style={{ ...styles.modeButton, ...(mode === 'voice' ? styles.modeButtonActive : {}) }}
+            onClick={() => setMode('voice')}
+          >
+            🎙 Voice
+          </button>
+          <button
+            style={{ ...styles.modeButton, ...(mode === 'note' ? styles.modeButtonActive : {}) }}
+            onClick={() => setMode('note')}
+          >
+            ⌨ Type a note
+          </button>
+        </div>
+
+        {mode === 'voice' ? (
+          <>
+            <VoiceRecorder />
+            <AudioFileUpload />
+          </>
+        ) : (
+          <TypedNoteForm />
+        )}
       </div>
     </div>
   );
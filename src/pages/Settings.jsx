@@ -1,16 +1,34 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { typography, colors } from '../styles/index.js';
-import { getUserProfile, updateUserProfile, updateSettings, disconnectCRM, getUserStats } from '../services/settings.js';
+import {
+  getUserProfile,
+  updateUserProfile,
+  updateSettings,
+  disconnectCRM,
+  getCRMConnections,
+  setDefaultCRMConnection,
+  getUserStats,
+  getTeamSettings,
+  updateTeamCustomFields,
+  updateTeamPhoneRegion,
+} from '../services/settings.js';
 import ProfileSection from '../components/settings/ProfileSection.jsx';
 import PreferencesSection from '../components/settings/PreferencesSection.jsx';
 import CRMSection from '../components/settings/CRMSection.jsx';
 import StatsSection from '../components/settings/StatsSection.jsx';
+import ExtractionFieldsSection from '../components/settings/ExtractionFieldsSection.jsx';
+import PhoneRegionSection from '../components/settings/PhoneRegionSection.jsx';
+
+// Roles allowed to change team-wide settings
+const TEAM_ADMIN_ROLES = ['admin', 'manager'];
 
 function Settings() {
   const navigate = useNavigate();
   const [profile, setProfile] = useState(null);
   const [stats, setStats] = useState(null);
+  const [connections, setConnections] = useState([]);
+  const [teamSettings, setTeamSettings] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -24,9 +42,11 @@ function Settings() {
     setError(null);
 
     try {
-      const [profileResult, statsResult] = await Promise.all([
+      const [profileResult, statsResult, connectionsResult, teamSettingsResult] = await Promise.all([
         getUserProfile(),
-        getUserStats()
+        getUserStats(),
+        getCRMConnections(),
+        getTeamSettings(),
       ]);
 
       if (profileResult.error) {
@@ -38,9 +58,15 @@ function Settings() {
         // Continue even if stats fail
       }
 
+      if (connectionsResult.error) {
+        console.error('[Settings] Error loading CRM connections:', connectionsResult.error);
+      }
+
       console.log('[Settings] Data loaded:', { profile: profileResult.data, stats: statsResult.data });
       setProfile(profileResult.data);
       setStats(statsResult.data);
+      setConnections(connectionsResult.data || []);
+      setTeamSettings(teamSettingsResult.data || {});
     } catch (err) {
       console.error('[Settings] Error loading data:', err);
       setError(err.message || 'Failed to load settings');
@@ -71,12 +97,53 @@ function Settings() {
     return result;
   };
 
-  const handleCRMDisconnect = async () => {
-    console.log('[Settings] Disconnecting CRM');
-    const result = await disconnectCRM();
+  const handleCustomFieldsUpdate = async (fields) => {
+    console.log('[Settings] Updating team custom fields:', fields);
+    const result = await updateTeamCustomFields(fields);
+
+    if (!result.error) {
+      setTeamSettings((current) => ({ ...current, customFields: result.data || [] }));
+    }
+
+    return result;
+  };
+
+  const handlePhoneRegionUpdate = async (region) => {
+    console.log('[Settings] Updating team phone region:', region);
+    const result = await updateTeamPhoneRegion(region);
+
+    if (!result.error) {
+      setTeamSettings((current) => ({ ...current, phoneRegion: result.data }));
+    }
+
+    return result;
+  };
+
+  const refreshConnections = async () => {
+    const { data, error: connectionsError } = await getCRMConnections();
+    if (!connectionsError) {
+      setConnections(data);
+    }
+  };
+
+  const handleCRMDisconnect = async (connectionId) => {
+    console.log('[Settings] Disconnecting CRM connection:', connectionId);
+    const result = await disconnectCRM(connectionId);
 
     if (!result.error) {
       setProfile(result.data);
+      await refreshConnections();
+    }
+
+    return result;
+  };
+
+  const handleCRMSetDefault = async (connectionId) => {
+    console.log('[Settings] Setting default CRM connection:', connectionId);
+    const result = await setDefaultCRMConnection(connectionId);
+
+    if (!result.error) {
+      await refreshConnections();
     }
 
     return result;
@@ -212,10 +279,25 @@ function Settings() {
 
         <CRMSection
           profile={profile}
+          connections={connections}
           onDisconnect={handleCRMDisconnect}
+          onSetDefault={handleCRMSetDefault}
           onConnect={handleCRMConnect}
         />
 
+        {profile?.team_id && TEAM_ADMIN_ROLES.includes(profile.role) && (
+          <>
+            <ExtractionFieldsSection
+              fields={teamSettings.customFields || []}
+              onUpdate={handleCustomFieldsUpdate}
+            />
+            <PhoneRegionSection
+              region={teamSettings.phoneRegion}
+              onUpdate={handlePhoneRegionUpdate}
+            />
+          </>
+        )}
+
         <StatsSection stats={stats} />
       </div>
     </div>
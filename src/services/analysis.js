@@ -0,0 +1,74 @@
+/**
+ * Analysis service - Review and correct extracted data before it reaches the CRM
+ */
+
+import { supabase } from '../lib/supabase.js';
+import { syncAnalysisToCRM } from './crm/index.js';
+
+// Fields a user may correct while reviewing
+const EDITABLE_FIELDS = ['contacts', 'companies', 'action_items', 'summary', 'next_steps'];
+
+/**
+ * Save the user's corrections to an analysis
+ * The original extraction stays untouched so edits can be diffed against it.
+ */
+export const saveAnalysisEdits = async (analysisId, changes) => {
+  console.log('[AnalysisService] Saving edits:', analysisId);
+
+  try {
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(([field]) => EDITABLE_FIELDS.includes(field))
+    );
+
+    const { data, error } = await supabase
+      .from('analysis_results')
+      .update({ ...updates, user_edited: true })
+      .eq('id', analysisId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log('[AnalysisService] Edits saved');
+    return { data, error: null };
+  } catch (error) {
+    console.error('[AnalysisService] Error saving edits:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Approve the reviewed analysis and push it to the CRM
+ */
+export const approveAndSyncAnalysis = async (analysisId, recordingId) => {
+  console.log('[AnalysisService] Approving analysis:', analysisId);
+
+  try {
+    const { error: approveError } = await supabase
+      .from('analysis_results')
+      .update({ review_status: 'approved', reviewed_at: new Date().toISOString() })
+      .eq('id', analysisId);
+
+    if (approveError) throw approveError;
+
+    const { data, error } = await syncAnalysisToCRM(analysisId, recordingId);
+    if (error) throw new Error(error);
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('[AnalysisService] Error approving analysis:', error);
+    return { data: null, error: error.message };
+  }
+};
+
+/**
+ * List the fields whose current value differs from the original extraction
+ */
+export const getEditedFields = (analysis) => {
+  const original = analysis?.original_extraction;
+  if (!original) return [];
+
+  // Missing, empty string and empty list all mean "nothing extracted"
+  const normalize = (value) => JSON.stringify(value && value.length !== 0 ? value : null);
+  return EDITABLE_FIELDS.filter((field) => normalize(analysis[field]) !== normalize(original[field]));
+};
@@ -0,0 +1,165 @@
+/**
+ * HubSpot CRM Integration Service
+ * Handles the browser side of the OAuth flow
+ *
+ * SETUP REQUIRED IN HUBSPOT:
+ * 1. Create an app in your HubSpot developer account
+ * 2. Set redirect URL to match HUBSPOT_CONFIG.redirectUri below
+ * 3. Select scopes: crm.objects.contacts.read, crm.objects.contacts.write, crm.objects.companies.read, crm.objects.companies.write
+ * 4. Copy the Client ID to VITE_HUBSPOT_CLIENT_ID in your .env file
+ * 5. Set HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET as Supabase secrets
+ *
+ * The token exchange and all API calls happen in Edge Functions
+ * (hubspot-oauth, crm-sync), so the client secret never reaches the browser.
+ */
+
+import { supabase } from '../../lib/supabase.js';
+
+// HubSpot OAuth configuration
+const HUBSPOT_CONFIG = {
+  clientId: import.meta.env.VITE_HUBSPOT_CLIENT_ID,
+  redirectUri: `${window.location.origin}/settings/crm/callback/hubspot`,
+  authUrl: 'https://app.hubspot.com/oauth/authorize',
+  scope: 'crm.objects.contacts.read crm.objects.contacts.write crm.objects.companies.read crm.objects.companies.write',
+};
+
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const base64UrlEncode = (value) => {
+  return btoa(value)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+};
+
+/**
+ * Initiate HubSpot OAuth flow
+ */
+export const initiateHubSpotAuth = async () => {
+  try {
+    console.log('[HubSpot] Starting OAuth flow');
+
+    // State protects against CSRF; HubSpot returns it unchanged
+    const stateData = {
+      random: Math.random().toString(36).substring(7),
+      timestamp: Date.now(),
+    };
+
+    const stateEncoded = base64UrlEncode(JSON.stringify(stateData));
+
+    // sessionStorage survives the redirect more reliably than localStorage
+    sessionStorage.setItem('hubspot_oauth_state', stateData.random);
+
+    const params = new URLSearchParams({
+      client_id: HUBSPOT_CONFIG.clientId,
+      redirect_uri: HUBSPOT_CONFIG.redirectUri,
+      scope: HUBSPOT_CONFIG.scope,
+      state: stateEncoded,
+    });
+
+    const authUrl = `${HUBSPOT_CONFIG.authUrl}?${params.toString()}`;
+    console.log('[HubSpot] Redirecting to:', authUrl);
+
+    // Redirect to HubSpot login
+    window.location.href = authUrl;
+  } catch (error) {
+    console.error('[HubSpot] ERROR initiating OAuth:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle OAuth callback and exchange code for tokens via the Edge Function
+ */
+export const handleHubSpotCallback = async (code, state) => {
+  console.log('[HubSpot] Handling OAuth callback');
+
+  try {
+    // Decode and validate state
+    let stateData;
+    try {
+      const stateJson = atob(
+        state
+          .replace(/-/g, '+')
+          .replace(/_/g, '/')
+      );
+      stateData = JSON.parse(stateJson);
+    } catch (decodeError) {
+      console.error('[HubSpot] Failed to decode state:', decodeError);
+      throw new Error('Invalid state parameter');
+    }
+
+    if (Date.now() - stateData.timestamp > STATE_MAX_AGE_MS) {
+      throw new Error('OAuth state expired - please try again');
+    }
+
+    const savedState = sessionStorage.getItem('hubspot_oauth_state');
+    if (savedState && savedState !== stateData.random) {
+      console.error('[HubSpot] State mismatch. Expected:', savedState, 'Got:', stateData.random);
+      throw new Error('Invalid state parameter - possible CSRF attack');
+    }
+
+    sessionStorage.removeItem('hubspot_oauth_state');
+    console.log('[HubSpot] State validation passed');
+
+    // After OAuth redirect, session might not be immediately available, so retry
+    let session = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const result = await supabase.auth.getSession();
+
+      if (result.data?.session) {
+        session = result.data.session;
+        break;
+      }
+
+      if (result.error) {
+        console.error('[HubSpot] Session error on attempt', attempt, ':', result.error);
+      }
+
+      if (attempt < 3) {
+        await new Promise(resolve => setTimeout(resolve, attempt * 500));
+      }
+    }
+
+    if (!session) {
+      throw new Error('Not authenticated - please log in again');
+    }
+
+    // Call Edge Function to exchange code for tokens (server-side keeps the secret)
+    const edgeFunctionUrl = `${import.meta.env.VITE_API_BASE_URL}/hubspot-oauth`;
+    console.log('[HubSpot] Calling Edge Function:', edgeFunctionUrl);
+
+    const tokenResponse = await fetch(edgeFunctionUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        'apikey': import.meta.env.VITE_SUPABASE_ANON_KEY,
+      },
+      body: JSON.stringify({
+        code,
+        redirectUri: HUBSPOT_CONFIG.redirectUri,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('[HubSpot] Token exchange failed:', tokenResponse.status, errorText);
+
+      let error;
+      try {
+        error = JSON.parse(errorText);
+      } catch {
+        error = { error: errorText };
+      }
+
+      throw new Error(error.error || error.message || 'Failed to exchange authorization code for tokens');
+    }
+
+    console.log('[HubSpot] OAuth completed successfully');
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('[HubSpot] OAuth callback error:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * CRM Sync Service
+ * Provider-specific logic lives in the crm-sync Edge Function, which picks
+ * the adapter for the user's connected CRM. The browser only queues a sync
+ * job and asks the pipeline worker to run it.
+ */
+
+import { supabase } from '../../lib/supabase.js';
+import { startPipelineWorker } from '../pipeline.js';
+
+/**
+ * Sync an analysis (contacts, companies, action items, summary) to the connected CRM
+ * If the worker cannot run the job right away it stays queued and `data.queued` is set.
+ */
+export const syncAnalysisToCRM = async (analysisId, recordingId) => {
+  console.log('[CRM] Syncing analysis:', analysisId, 'for recording:', recordingId);
+
+  try {
+    const { data: jobId, error: queueError } = await supabase.rpc('enqueue_crm_sync', {
+      analysis_id: analysisId,
+    });
+
+    if (queueError) throw queueError;
+
+    const { data: run, error } = await startPipelineWorker(jobId);
+    if (error) throw error;
+
+    const job = run?.jobs?.[0];
+    if (!job) {
+      console.log('[CRM] Sync queued:', jobId);
+      return { data: { queued: true, jobId }, error: null };
+    }
+
+    if (job.status !== 'completed') {
+      throw new Error(job.error || 'CRM sync failed');
+    }
+
+    const data = job.response;
+    console.log('[CRM] Sync completed:', data?.synced);
+    return { data, error: null };
+  } catch (error) {
+    console.error('[CRM] Sync error:', error);
+    return { data: null, error: error.message };
+  }
+};
+
+/**
+ * Get the CRM sync log for a recording, newest first
+ * One row per CRM record touched, with a link to it when available.
+ */
+export const getSyncLogs = async (recordingId) => {
+  console.log('[CRM] Fetching sync logs for recording:', recordingId);
+
+  try {
+    const { data, error } = await supabase
+      .from('crm_sync_logs')
+      .select(`
+        id,
+        crm_provider,
+        sync_status,
+        crm_record_type,
+        crm_record_id,
+        crm_record_url,
+        sync_duration_ms,
+        error_message,
+        created_at,
+        crm_connections (
+          display_name
+        )
+      `)
+      .eq('recording_id', recordingId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('[CRM] Error fetching sync logs:', error);
+    return { data: null, error };
+  }
+};
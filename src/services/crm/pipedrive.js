@@ -0,0 +1,164 @@
+/**
+ * Pipedrive CRM Integration Service
+ * Handles the browser side of the OAuth flow
+ *
+ * SETUP REQUIRED IN PIPEDRIVE:
+ * 1. Create an app in the Pipedrive Developer Hub
+ * 2. Set callback URL to match PIPEDRIVE_CONFIG.redirectUri below
+ * 3. Select scopes: Contacts (full access), Activities (full access), Deals (read only)
+ * 4. Copy the Client ID to VITE_PIPEDRIVE_CLIENT_ID in your .env file
+ * 5. Set PIPEDRIVE_CLIENT_ID and PIPEDRIVE_CLIENT_SECRET as Supabase secrets
+ *
+ * The token exchange and all API calls happen in Edge Functions
+ * (pipedrive-oauth, crm-sync), so the client secret never reaches the browser.
+ */
+
+import { supabase } from '../../lib/supabase.js';
+
+// Pipedrive OAuth configuration
+const PIPEDRIVE_CONFIG = {
+  clientId: import.meta.env.VITE_PIPEDRIVE_CLIENT_ID,
+  redirectUri: `${window.location.origin}/settings/crm/callback/pipedrive`,
+  authUrl: 'https://oauth.pipedrive.com/oauth/authorize',
+};
+
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const base64UrlEncode = (value) => {
+  return btoa(value)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+};
+
+/**
+ * Initiate Pipedrive OAuth flow
+ */
+export const initiatePipedriveAuth = async () => {
+  try {
+    console.log('[Pipedrive] Starting OAuth flow');
+
+    // State protects against CSRF; Pipedrive returns it unchanged.
+    // Scopes are fixed on the app in the Developer Hub, not requested here.
+    const stateData = {
+      random: Math.random().toString(36).substring(7),
+      timestamp: Date.now(),
+    };
+
+    const stateEncoded = base64UrlEncode(JSON.stringify(stateData));
+
+    // sessionStorage survives the redirect more reliably than localStorage
+    sessionStorage.setItem('pipedrive_oauth_state', stateData.random);
+
+    const params = new URLSearchParams({
+      client_id: PIPEDRIVE_CONFIG.clientId,
+      redirect_uri: PIPEDRIVE_CONFIG.redirectUri,
+      state: stateEncoded,
+    });
+
+    const authUrl = `${PIPEDRIVE_CONFIG.authUrl}?${params.toString()}`;
+    console.log('[Pipedrive] Redirecting to:', authUrl);
+
+    // Redirect to Pipedrive login
+    window.location.href = authUrl;
+  } catch (error) {
+    console.error('[Pipedrive] ERROR initiating OAuth:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle OAuth callback and exchange code for tokens via the Edge Function
+ */
+export const handlePipedriveCallback = async (code, state) => {
+  console.log('[Pipedrive] Handling OAuth callback');
+
+  try {
+    // Decode and validate state
+    let stateData;
+    try {
+      const stateJson = atob(
+        state
+          .replace(/-/g, '+')
+          .replace(/_/g, '/')
+      );
+      stateData = JSON.parse(stateJson);
+    } catch (decodeError) {
+      console.error('[Pipedrive] Failed to decode state:', decodeError);
+      throw new Error('Invalid state parameter');
+    }
+
+    if (Date.now() - stateData.timestamp > STATE_MAX_AGE_MS) {
+      throw new Error('OAuth state expired - please try again');
+    }
+
+    const savedState = sessionStorage.getItem('pipedrive_oauth_state');
+    if (savedState && savedState !== stateData.random) {
+      console.error('[Pipedrive] State mismatch. Expected:', savedState, 'Got:', stateData.random);
+      throw new Error('Invalid state parameter - possible CSRF attack');
+    }
+
+    sessionStorage.removeItem('pipedrive_oauth_state');
+    console.log('[Pipedrive] State validation passed');
+
+    // After OAuth redirect, session might not be immediately available, so retry
+    let session = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const result = await supabase.auth.getSession();
+
+      if (result.data?.session) {
+        session = result.data.session;
+        break;
+      }
+
+      if (result.error) {
+        console.error('[Pipedrive] Session error on attempt', attempt, ':', result.error);
+      }
+
+      if (attempt < 3) {
+        await new Promise(resolve => setTimeout(resolve, attempt * 500));
+      }
+    }
+
+    if (!session) {
+      throw new Error('Not authenticated - please log in again');
+    }
+
+    // Call Edge Function to exchange code for tokens (server-side keeps the secret)
+    const edgeFunctionUrl = `${import.meta.env.VITE_API_BASE_URL}/pipedrive-oauth`;
+    console.log('[Pipedrive] Calling Edge Function:', edgeFunctionUrl);
+
+    const tokenResponse = await fetch(edgeFunctionUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        'apikey': import.meta.env.VITE_SUPABASE_ANON_KEY,
+      },
+      body: JSON.stringify({
+        code,
+        redirectUri: PIPEDRIVE_CONFIG.redirectUri,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('[Pipedrive] Token exchange failed:', tokenResponse.status, errorText);
+
+      let error;
+      try {
+        error = JSON.parse(errorText);
+      } catch {
+        error = { error: errorText };
+      }
+
+      throw new Error(error.error || error.message || 'Failed to exchange authorization code for tokens');
+    }
+
+    console.log('[Pipedrive] OAuth completed successfully');
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('[Pipedrive] OAuth callback error:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -21,6 +21,7 @@ export const getDashboardMetrics = async () => {
       .select(`
         id,
         user_id,
+        entry_type,
         duration_ms,
         status,
         created_at,
@@ -38,7 +39,10 @@ export const getDashboardMetrics = async () => {
       `)
       .is('deleted_at', null)
       .order('created_at', { ascending: false })
-      .limit(100);
+      .limit(100)
+      // Only the newest analysis when a retried stage left an older one
+      .order('created_at', { referencedTable: 'analysis_results', ascending: false })
+      .limit(1, { referencedTable: 'analysis_results' });
 
     if (recordingsError) throw recordingsError;
 
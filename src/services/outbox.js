@@ -0,0 +1,297 @@
+/**
+ * Outbox service - Queue recordings while offline and upload them later
+ *
+ * Recordings that cannot be uploaded are stored in IndexedDB. The queue is
+ * drained when the browser comes back online, when the service worker fires
+ * a Background Sync event, and whenever a user signs in.
+ *
+ * Each entry belongs to the user who recorded it (`userId`). Only the
+ * signed-in user's entries are listed or uploaded, so after an account
+ * switch another user's recordings stay queued until their owner signs in.
+ * Entries from before owners were recorded go to the next user to sign in.
+ */
+
+import {
+  addToOutbox,
+  getOutboxEntries,
+  updateOutboxEntry,
+  removeFromOutbox,
+} from '../lib/outbox.js';
+import { supabaseHelpers } from '../lib/supabase.js';
+import { saveRecording } from './recording.js';
+
+export const OUTBOX_SYNC_TAG = 'recording-outbox';
+
+const OFFLINE_MODE_ENABLED = import.meta.env.VITE_ENABLE_OFFLINE_MODE !== 'false';
+
+const listeners = new Set();
+let drainPromise = null;
+let initialized = false;
+
+const notifyListeners = () => {
+  listeners.forEach((callback) => {
+    try {
+      callback();
+    } catch (error) {
+      console.error('[OutboxService] Listener error:', error);
+    }
+  });
+};
+
+/**
+ * Whether a failed upload looks like a connectivity problem
+ * (as opposed to e.g. an auth or validation error)
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+
+  const message = error?.message || '';
+  return (
+    message.includes('Failed to fetch') ||
+    message.includes('NetworkError') ||
+    message.includes('Network request failed') ||
+    message.includes('Load failed')
+  );
+};
+
+/**
+ * Whether recordings should be queued locally instead of failing
+ */
+export const isOfflineModeEnabled = () => {
+  return OFFLINE_MODE_ENABLED && typeof indexedDB !== 'undefined';
+};
+
+/**
+ * Ask the service worker to drain the outbox via Background Sync.
+ * Browsers without Background Sync fall back to the 'online' listener.
+ */
+const registerBackgroundSync = async () => {
+  try {
+    if (!('serviceWorker' in navigator)) return false;
+
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+    console.log('[OutboxService] Background sync registered');
+    return true;
+  } catch (error) {
+    console.warn('[OutboxService] Background sync unavailable:', error);
+    return false;
+  }
+};
+
+/**
+ * The signed-in user's id, read from the stored session (works offline)
+ */
+const getCurrentUserId = async () => {
+  const { session } = await supabaseHelpers.getCurrentSession();
+  return session?.user?.id ?? null;
+};
+
+/**
+ * Outbox entries owned by a user. Entries queued by older versions of the
+ * app have no userId; the first user to sign in afterwards takes them over,
+ * as that is almost always who recorded them.
+ */
+const getEntriesForUser = async (userId) => {
+  if (!userId) return [];
+  const entries = await getOutboxEntries();
+
+  const unowned = entries.filter((entry) => !entry.userId);
+  if (unowned.length > 0) {
+    console.log('[OutboxService] Assigning entries queued without an owner:', unowned.length);
+    await Promise.all(unowned.map((entry) => updateOutboxEntry(entry.id, { userId })));
+    unowned.forEach((entry) => {
+      entry.userId = userId;
+    });
+  }
+
+  return entries.filter((entry) => entry.userId === userId);
+};
+
+/**
+ * Store a recording in the outbox for later upload
+ */
+export const queueRecording = async (audioBlob, durationMs, metadata = {}, options = {}) => {
+  console.log('[OutboxService] Queueing recording:', {
+    size: audioBlob.size,
+    type: audioBlob.type,
+    duration: durationMs,
+  });
+
+  const userId = await getCurrentUserId();
+  if (!userId) {
+    throw new Error('Not authenticated');
+  }
+
+  const entry = await addToOutbox({
+    id: crypto.randomUUID(),
+    userId,
+    blob: audioBlob,
+    mimeType: audioBlob.type,
+    size: audioBlob.size,
+    durationMs,
+    metadata: {
+      recorded_at: new Date().toISOString(),
+      ...metadata,
+      queued_offline: true,
+    },
+    options,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+  });
+
+  notifyListeners();
+  registerBackgroundSync();
+
+  return entry;
+};
+
+/**
+ * Get the signed-in user's recordings still waiting to be uploaded
+ */
+export const getPendingUploads = async () => {
+  try {
+    const entries = await getEntriesForUser(await getCurrentUserId());
+    return { data: entries, error: null };
+  } catch (error) {
+    console.error('[OutboxService] Error reading outbox:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Upload every recording the signed-in user queued. Concurrent calls share
+ * one drain run.
+ */
+export const drainOutbox = () => {
+  if (!isOfflineModeEnabled()) return Promise.resolve({ uploaded: [], failed: [] });
+  if (drainPromise) return drainPromise;
+
+  drainPromise = (async () => {
+    const uploaded = [];
+    const failed = [];
+
+    try {
+      // Uploads need a signed-in user; wait for the next sign-in otherwise
+      const userId = await getCurrentUserId();
+      if (!userId) {
+        console.log('[OutboxService] No session, postponing drain');
+        return { uploaded, failed };
+      }
+
+      // Entries that failed for non-network reasons wait for a manual retry
+      const entries = (await getEntriesForUser(userId)).filter((entry) => entry.status !== 'failed');
+      if (entries.length === 0) return { uploaded, failed };
+
+      console.log('[OutboxService] Draining outbox:', entries.length);
+
+      for (const entry of entries) {
+        if (!navigator.onLine) {
+          console.log('[OutboxService] Offline, stopping drain');
+          break;
+        }
+
+        // Signed out (or switched account) mid-drain: leave the rest for their owner
+        if (await getCurrentUserId() !== entry.userId) {
+          console.log('[OutboxService] Session changed, stopping drain');
+          break;
+        }
+
+        await updateOutboxEntry(entry.id, { status: 'uploading' });
+        notifyListeners();
+
+        try {
+          const result = await saveRecording(entry.blob, entry.durationMs, entry.metadata, entry.options);
+          await removeFromOutbox(entry.id);
+          uploaded.push(result.recordingId);
+          console.log('[OutboxService] Uploaded queued recording:', result.recordingId);
+        } catch (error) {
+          console.error('[OutboxService] Upload failed:', error);
+          await updateOutboxEntry(entry.id, {
+            status: isNetworkError(error) ? 'pending' : 'failed',
+            attempts: (entry.attempts || 0) + 1,
+            lastError: error.message,
+          });
+          failed.push(entry.id);
+
+          // Still no connectivity - the remaining entries would fail too
+          if (isNetworkError(error)) break;
+        } finally {
+          notifyListeners();
+        }
+      }
+    } catch (error) {
+      console.error('[OutboxService] Drain error:', error);
+    }
+
+    return { uploaded, failed };
+  })();
+
+  drainPromise.finally(() => {
+    drainPromise = null;
+  });
+
+  return drainPromise;
+};
+
+/**
+ * Move a failed entry back to pending and try again
+ */
+export const retryQueuedRecording = async (id) => {
+  const entries = await getEntriesForUser(await getCurrentUserId());
+  if (!entries.some((entry) => entry.id === id)) {
+    return { uploaded: [], failed: [] };
+  }
+
+  await updateOutboxEntry(id, { status: 'pending', lastError: null });
+  notifyListeners();
+  return drainOutbox();
+};
+
+/**
+ * Subscribe to outbox changes (entries added, uploaded or failed)
+ */
+export const subscribeToOutbox = (callback) => {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+};
+
+/**
+ * Wire up automatic draining. Safe to call more than once.
+ * Does not drain by itself - call drainOutbox() once a user is signed in.
+ */
+export const initOutbox = () => {
+  if (initialized || !isOfflineModeEnabled()) return;
+  initialized = true;
+
+  console.log('[OutboxService] Initializing');
+
+  window.addEventListener('online', () => {
+    console.log('[OutboxService] Connection restored');
+    drainOutbox();
+  });
+
+  // The service worker forwards Background Sync events to open tabs,
+  // since uploads need the authenticated Supabase session
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'DRAIN_OUTBOX') {
+        console.log('[OutboxService] Drain requested by service worker');
+        const replyPort = event.ports?.[0];
+
+        drainOutbox()
+          .then(async () => getEntriesForUser(await getCurrentUserId()))
+          .then((remaining) => {
+            replyPort?.postMessage({
+              remaining: remaining.filter((entry) => entry.status !== 'failed').length,
+            });
+          })
+          .catch((error) => replyPort?.postMessage({ error: error.message }));
+      }
+    });
+  }
+};
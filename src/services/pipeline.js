@@ -0,0 +1,72 @@
+/**
+ * Pipeline service - Drive the transcribe → analyze → CRM sync job queue
+ * Jobs live in pipeline_jobs and are run by the pipeline-worker Edge Function.
+ */
+
+import { apiCall } from '../lib/api.js';
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Ask the pipeline worker to run due jobs, or one specific job when `jobId`
+ * is given (its stage result is returned)
+ */
+export const startPipelineWorker = async (jobId = null) => {
+  console.log('[PipelineService] Starting worker', jobId ? `for job ${jobId}` : '');
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  return apiCall('/pipeline-worker', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${session?.access_token}`,
+      'apikey': import.meta.env.VITE_SUPABASE_ANON_KEY,
+    },
+    body: JSON.stringify(jobId ? { jobId } : {}),
+  });
+};
+
+/**
+ * Retry a failed recording from the stage that failed: re-transcribe,
+ * re-analyze the existing transcription, or re-sync the existing analysis
+ */
+export const retryRecording = async (recordingId) => {
+  const { data, error } = await retryRecordings([recordingId]);
+  return { data: data?.[0] ?? null, error: error ?? data?.[0]?.error ?? null };
+};
+
+/**
+ * Retry several failed recordings, then start the worker once for all of them
+ * Returns one `{ recordingId, jobId, error }` per recording.
+ */
+export const retryRecordings = async (recordingIds) => {
+  console.log('[PipelineService] Retrying recordings:', recordingIds);
+
+  try {
+    const results = [];
+
+    for (const recordingId of recordingIds) {
+      const { data: jobId, error } = await supabase.rpc('retry_recording', {
+        recording_id: recordingId,
+      });
+
+      if (error) {
+        console.error('[PipelineService] Retry failed:', recordingId, error);
+      }
+
+      results.push({ recordingId, jobId: jobId ?? null, error: error?.message ?? null });
+    }
+
+    if (results.some((result) => result.jobId)) {
+      // The worker runs the jobs in the background; status updates arrive
+      // through subscribeToRecording
+      startPipelineWorker().catch((error) => {
+        console.error('[PipelineService] Worker start failed:', error);
+      });
+    }
+
+    return { data: results, error: null };
+  } catch (error) {
+    console.error('[PipelineService] Retry error:', error);
+    return { data: null, error: error.message };
+  }
+};
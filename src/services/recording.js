@@ -1,17 +1,36 @@
 /**
- * Recording service - Upload audio to Supabase and trigger transcription
+ * Recording service - Upload audio to Supabase and start processing
  */
 
 import { supabase, supabaseHelpers } from '../lib/supabase.js';
-import { apiCall } from '../lib/api.js';
+import { uploadFile } from '../lib/api.js';
+import { startPipelineWorker } from './pipeline.js';
+
+const STORAGE_URL = `${import.meta.env.VITE_SUPABASE_URL}/storage/v1`;
+
+// Audio files that can be uploaded instead of recorded, by extension.
+// Browsers leave File.type empty for some of these, so it is filled in here.
+export const UPLOAD_AUDIO_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  webm: 'audio/webm',
+};
 
 /**
  * Save recording to Supabase
  * 1. Upload audio file to Supabase Storage
  * 2. Create recording record in database
- * 3. Trigger transcription Edge Function
+ * 3. Nudge the pipeline worker (a database trigger has already queued the
+ *    transcription job, so processing starts even if the nudge fails)
+ *
+ * `metadata` is merged into the recording's metadata. Recordings uploaded
+ * from the offline outbox pass their original `recorded_at` this way.
+ * `options.crmTargetConnectionIds` picks the CRM connections the recording
+ * syncs to; when empty the user's default connection is used.
  */
-export const saveRecording = async (audioBlob, durationMs) => {
+export const saveRecording = async (audioBlob, durationMs, metadata = {}, options = {}) => {
   console.log('[RecordingService] Saving recording:', {
     size: audioBlob.size,
     type: audioBlob.type,
@@ -50,77 +69,171 @@ export const saveRecording = async (audioBlob, durationMs) => {
 
     console.log('[RecordingService] Audio uploaded:', uploadData.path);
 
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('audio-recordings')
-      .getPublicUrl(uploadData.path);
+    return await createRecording(user, {
+      path: uploadData.path,
+      durationMs,
+      sizeBytes: audioBlob.size,
+      mimeType: audioBlob.type,
+      metadata: {
+        recorded_at: new Date().toISOString(),
+        browser: navigator.userAgent,
+        ...metadata,
+      },
+      crmTargetConnectionIds: options.crmTargetConnectionIds,
+    });
+  } catch (error) {
+    console.error('[RecordingService] Error:', error);
+    throw error;
+  }
+};
 
-    // Create recording record in database
-    console.log('[RecordingService] Creating recording record');
-    const { data: recordingData, error: recordingError } = await supabase
-      .from('recordings')
-      .insert({
-        user_id: user.id,
-        audio_file_path: uploadData.path,
-        audio_file_url: urlData.publicUrl,
-        duration_ms: durationMs,
-        file_size_bytes: audioBlob.size,
-        mime_type: audioBlob.type,
-        status: 'completed',
-        metadata: {
-          recorded_at: new Date().toISOString(),
-          browser: navigator.userAgent,
-        },
-      })
-      .select()
-      .single();
+/**
+ * Upload an existing audio file (voicemail, phone call recording) and queue it
+ * for transcription like a recording made in the app
+ * `options.onProgress` receives the upload progress in percent.
+ */
+export const uploadAudioFile = async (file, durationMs, options = {}) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const mimeType = UPLOAD_AUDIO_TYPES[extension] ? file.type || UPLOAD_AUDIO_TYPES[extension] : null;
+
+  console.log('[RecordingService] Uploading audio file:', {
+    name: file.name,
+    size: file.size,
+    type: mimeType,
+    duration: durationMs,
+  });
+
+  if (!mimeType) {
+    throw new Error(`Unsupported file type. Upload one of: ${Object.keys(UPLOAD_AUDIO_TYPES).join(', ')}`);
+  }
+
+  const { user, error: userError } = await supabaseHelpers.getCurrentUser();
+  const { session } = await supabaseHelpers.getCurrentSession();
+  if (userError || !user || !session) {
+    throw new Error('User not authenticated');
+  }
 
-    if (recordingError) {
-      console.error('[RecordingService] Database error:', recordingError);
-      // Cleanup uploaded file
-      await supabase.storage.from('audio-recordings').remove([uploadData.path]);
-      throw new Error(`Failed to save recording: ${recordingError.message}`);
+  // Keep the original name (and extension) so the file is recognisable in storage
+  const safeName = file.name.replace(/[^\w.-]+/g, '_');
+  const path = `${user.id}/${Date.now()}-${safeName}`;
+
+  // Storage uploads go through the XHR helper for progress reporting
+  await uploadFile(
+    `/object/audio-recordings/${path.split('/').map(encodeURIComponent).join('/')}`,
+    new File([file], safeName, { type: mimeType }),
+    options.onProgress,
+    {
+      baseUrl: STORAGE_URL,
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+        apikey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+        'x-upsert': 'false',
+      },
     }
+  );
+
+  console.log('[RecordingService] Audio file uploaded:', path);
+
+  return createRecording(user, {
+    path,
+    durationMs,
+    sizeBytes: file.size,
+    mimeType,
+    metadata: {
+      source: 'upload',
+      original_file_name: file.name,
+      recorded_at: file.lastModified ? new Date(file.lastModified).toISOString() : new Date().toISOString(),
+      uploaded_at: new Date().toISOString(),
+    },
+    crmTargetConnectionIds: options.crmTargetConnectionIds,
+  });
+};
 
-    console.log('[RecordingService] Recording saved:', recordingData.id);
+/**
+ * Save a typed note for when the rep cannot talk
+ * The note skips transcription: the database queues its analysis directly.
+ */
+export const saveTypedNote = async (noteText, options = {}) => {
+  console.log('[RecordingService] Saving typed note:', { length: noteText.length });
+
+  const { data: recordingId, error } = await supabase.rpc('create_typed_note', {
+    note_text: noteText,
+    crm_target_connection_ids: options.crmTargetConnectionIds?.length
+      ? options.crmTargetConnectionIds
+      : null,
+  });
 
-    // Trigger transcription Edge Function
-    console.log('[RecordingService] Triggering transcription');
-    const { data: transcriptionData, error: transcriptionError } = await apiCall(
-      '/transcribe',
-      {
-        method: 'POST',
-        body: JSON.stringify({
-          recordingId: recordingData.id,
-          audioFilePath: uploadData.path,
-          language: 'en',
-        }),
-      }
-    );
-
-    if (transcriptionError) {
-      console.error('[RecordingService] Transcription trigger error:', transcriptionError);
-      // Don't throw - recording is saved, transcription can be retried
-      return {
-        success: true,
-        recordingId: recordingData.id,
-        transcriptionTriggered: false,
-        error: transcriptionError.message,
-      };
+  if (error) {
+    console.error('[RecordingService] Note error:', error);
+    throw new Error(`Failed to save note: ${error.message}`);
+  }
+
+  console.log('[RecordingService] Note saved:', recordingId);
+
+  startPipelineWorker().then(({ error: workerError }) => {
+    if (workerError) {
+      console.warn('[RecordingService] Pipeline worker not reached, job stays queued:', workerError.message);
     }
+  });
 
-    console.log('[RecordingService] Transcription triggered:', transcriptionData);
+  return {
+    success: true,
+    recordingId,
+  };
+};
 
-    return {
-      success: true,
-      recordingId: recordingData.id,
-      transcriptionId: transcriptionData?.transcriptionId,
-      transcriptionTriggered: true,
-    };
-  } catch (error) {
-    console.error('[RecordingService] Error:', error);
-    throw error;
+/**
+ * Create the recording row for an uploaded audio file and nudge the pipeline
+ * worker (a database trigger has already queued the transcription job, so
+ * processing starts even if the nudge fails)
+ */
+const createRecording = async (user, { path, durationMs, sizeBytes, mimeType, metadata, crmTargetConnectionIds }) => {
+  // Get public URL
+  const { data: urlData } = supabase.storage
+    .from('audio-recordings')
+    .getPublicUrl(path);
+
+  // Create recording record in database
+  console.log('[RecordingService] Creating recording record');
+  const { data: recordingData, error: recordingError } = await supabase
+    .from('recordings')
+    .insert({
+      user_id: user.id,
+      audio_file_path: path,
+      audio_file_url: urlData.publicUrl,
+      duration_ms: durationMs,
+      file_size_bytes: sizeBytes,
+      mime_type: mimeType,
+      status: 'completed',
+      metadata,
+      crm_target_connection_ids: crmTargetConnectionIds?.length
+        ? crmTargetConnectionIds
+        : null,
+    })
+    .select()
+    .single();
+
+  if (recordingError) {
+    console.error('[RecordingService] Database error:', recordingError);
+    // Cleanup uploaded file
+    await supabase.storage.from('audio-recordings').remove([path]);
+    throw new Error(`Failed to save recording: ${recordingError.message}`);
   }
+
+  console.log('[RecordingService] Recording saved:', recordingData.id);
+
+  // Transcription was queued by the insert; start the worker now rather
+  // than waiting for its next scheduled run
+  startPipelineWorker().then(({ error }) => {
+    if (error) {
+      console.warn('[RecordingService] Pipeline worker not reached, job stays queued:', error.message);
+    }
+  });
+
+  return {
+    success: true,
+    recordingId: recordingData.id,
+  };
 };
 
 /**
@@ -171,24 +284,48 @@ export const getRecordings = async (limit = 50) => {
       .select(
         `
         *,
+        notes (
+          id,
+          note_text,
+          word_count
+        ),
         transcriptions (
           id,
           transcript_text,
           confidence_score,
-          word_count
+          word_count,
+          audio_duration_ms,
+          language
         ),
         analysis_results (
           id,
           overall_sentiment,
+          sentiment_explanation,
           confidence_score,
-          summary
+          summary,
+          summary_en,
+          contacts,
+          companies,
+          action_items,
+          buying_signals,
+          key_points,
+          next_steps,
+          custom_fields,
+          review_status,
+          user_edited,
+          original_extraction
         )
       `
       )
       .eq('user_id', user.id)
       .is('deleted_at', null)
       .order('created_at', { ascending: false })
-      .limit(limit);
+      .limit(limit)
+      // Retried stages can leave older rows behind; embed only the newest
+      .order('created_at', { referencedTable: 'transcriptions', ascending: false })
+      .limit(1, { referencedTable: 'transcriptions' })
+      .order('created_at', { referencedTable: 'analysis_results', ascending: false })
+      .limit(1, { referencedTable: 'analysis_results' });
 
     if (error) {
       console.error('[RecordingService] Fetch error:', error);
@@ -203,6 +340,52 @@ export const getRecordings = async (limit = 50) => {
   }
 };
 
+/**
+ * Get the timed segments of a transcription, in playback order
+ */
+export const getTranscriptSegments = async (transcriptionId) => {
+  console.log('[RecordingService] Fetching transcript segments:', transcriptionId);
+
+  try {
+    const { data, error } = await supabase
+      .from('transcription_segments')
+      .select('id, segment_index, start_ms, end_ms, text, words, confidence')
+      .eq('transcription_id', transcriptionId)
+      .order('segment_index', { ascending: true });
+
+    if (error) {
+      console.error('[RecordingService] Segments fetch error:', error);
+      throw new Error(`Failed to fetch transcript segments: ${error.message}`);
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('[RecordingService] Error:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Get a short-lived URL for playing a recording (the audio bucket is private)
+ */
+export const getAudioPlaybackUrl = async (audioFilePath, expiresIn = 3600) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from('audio-recordings')
+      .createSignedUrl(audioFilePath, expiresIn);
+
+    if (error) {
+      console.error('[RecordingService] Signed URL error:', error);
+      throw new Error(`Failed to load audio: ${error.message}`);
+    }
+
+    return { data: data.signedUrl, error: null };
+  } catch (error) {
+    console.error('[RecordingService] Error:', error);
+    return { data: null, error };
+  }
+};
+
 /**
  * Delete recording (soft delete for GDPR compliance)
  */
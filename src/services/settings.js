@@ -101,10 +101,11 @@ export const updateSettings = async (settings) => {
 };
 
 /**
- * Disconnect CRM integration
+ * Get the user's team settings (custom extraction fields, phone region)
+ * Returns an empty object when the user is not on a team.
  */
-export const disconnectCRM = async () => {
-  console.log('[SettingsService] Disconnecting CRM');
+export const getTeamSettings = async () => {
+  console.log('[SettingsService] Fetching team settings');
 
   try {
     const { data: { user }, error: userError } = await supabase.auth.getUser();
@@ -114,15 +115,109 @@ export const disconnectCRM = async () => {
 
     const { data, error } = await supabase
       .from('user_profiles')
-      .update({
-        crm_provider: null,
-        crm_connected: false,
-        crm_access_token: null,
-        crm_refresh_token: null,
-        crm_user_id: null,
-      })
+      .select('teams:team_id (settings)')
+      .eq('id', user.id)
+      .single();
+
+    if (error) throw error;
+
+    return { data: data?.teams?.settings || {}, error: null };
+  } catch (error) {
+    console.error('[SettingsService] Error fetching team settings:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Replace the team's custom extraction fields (team admins and managers only)
+ */
+export const updateTeamCustomFields = async (fields) => {
+  console.log('[SettingsService] Updating team custom fields:', fields);
+
+  const { data, error } = await supabase.rpc('set_team_custom_fields', { fields });
+
+  if (error) {
+    console.error('[SettingsService] Error updating team custom fields:', error);
+  }
+
+  return { data, error };
+};
+
+/**
+ * Set the default region for phone numbers said without a country code
+ * (team admins and managers only)
+ */
+export const updateTeamPhoneRegion = async (region) => {
+  console.log('[SettingsService] Updating team phone region:', region);
+
+  const { data, error } = await supabase.rpc('set_team_phone_region', { region });
+
+  if (error) {
+    console.error('[SettingsService] Error updating team phone region:', error);
+  }
+
+  return { data, error };
+};
+
+/**
+ * Get the user's CRM connections (token columns are not readable by clients)
+ */
+export const getCRMConnections = async () => {
+  console.log('[SettingsService] Fetching CRM connections');
+
+  try {
+    const { data, error } = await supabase
+      .from('crm_connections')
+      .select('id, provider, external_org_id, display_name, is_default, needs_reauth, created_at')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    console.log('[SettingsService] CRM connections fetched:', data.length);
+    return { data, error: null };
+  } catch (error) {
+    console.error('[SettingsService] Error fetching CRM connections:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Make a connection the default sync target for new recordings
+ */
+export const setDefaultCRMConnection = async (connectionId) => {
+  console.log('[SettingsService] Setting default CRM connection:', connectionId);
+
+  try {
+    const { error } = await supabase.rpc('set_default_crm_connection', { connection_id: connectionId });
+    if (error) throw error;
+
+    return { data: true, error: null };
+  } catch (error) {
+    console.error('[SettingsService] Error setting default CRM connection:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Disconnect one CRM connection and return the updated profile
+ */
+export const disconnectCRM = async (connectionId) => {
+  console.log('[SettingsService] Disconnecting CRM connection:', connectionId);
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError) throw userError;
+    if (!user) throw new Error('Not authenticated');
+
+    // Tokens live in crm_connections, which clients cannot modify directly
+    const { error: rpcError } = await supabase.rpc('disconnect_crm_connection', { connection_id: connectionId });
+    if (rpcError) throw rpcError;
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('*')
       .eq('id', user.id)
-      .select()
       .single();
 
     if (error) throw error;
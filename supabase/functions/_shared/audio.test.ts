@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import { AudioSplitError, parseWebm, splitWebm, stitchSegments } from './audio.ts';
+import type { AudioPiece } from './audio.ts';
+import type { STTResult } from './stt/types.ts';
+
+const UNKNOWN = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+const bytes = (...parts: (number[] | Uint8Array)[]) => new Uint8Array(parts.flatMap((part) => [...part]));
+const uint = (value: number, length: number) =>
+  Array.from({ length }, (_, i) => Math.floor(value / 256 ** (length - 1 - i)) % 256);
+const element = (id: number[], body: Uint8Array, size = [0x01, ...uint(body.length, 7)]) => bytes(id, size, body);
+
+const ebmlHeader = element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], bytes([...'webm'].map((c) => c.charCodeAt(0)))));
+const seekHead = element([0x11, 0x4d, 0x9b, 0x74], bytes([0xec, 0x81, 0x00]));
+const timecodeScale = element([0x2a, 0xd7, 0xb1], bytes(uint(1_000_000, 3)));
+const duration = element([0x44, 0x89], bytes([0x46, 0x1c, 0x40, 0x00]));
+const info = element([0x15, 0x49, 0xa9, 0x66], bytes(timecodeScale, duration));
+const tracks = element([0x16, 0x54, 0xae, 0x6b], bytes([0xae, 0x81, 0x00]));
+
+/** Cluster of `size` payload bytes, each set to the cluster's index so pieces can be told apart */
+const cluster = (index: number, timeMs: number, size: number, unknownSize = false) => element(
+  [0x1f, 0x43, 0xb6, 0x75],
+  bytes(element([0xe7], bytes(uint(timeMs, 4))), element([0xa3], new Uint8Array(size).fill(index))),
+  unknownSize ? UNKNOWN : undefined
+);
+
+/** WebM with a cluster every `stepMs`, laid out like a MediaRecorder file */
+function webm(count: number, { stepMs = 10_000, size = 1000, unknownSize = false, sizes = [] as number[] } = {}) {
+  const clusters = Array.from({ length: count }, (_, i) => cluster(i, i * stepMs, sizes[i] ?? size, unknownSize));
+  return bytes(ebmlHeader, [0x18, 0x53, 0x80, 0x67], UNKNOWN, seekHead, info, tracks, ...clusters);
+}
+
+/** Header bytes each piece repeats, so limits can be given in clusters */
+const HEADER_BYTES = webm(1).length - cluster(0, 0, 1000).length;
+const CLUSTER_BYTES = cluster(0, 0, 1000).length;
+
+const clusterIndexes = (piece: AudioPiece) => parseWebm(piece.data).clusters.map((c) => piece.data[c.end - 1]);
+
+describe('parseWebm', () => {
+  it('reads cluster times and keeps only the header a piece needs', () => {
+    const { ebmlHeader: header, headerParts, clusters } = parseWebm(webm(3));
+
+    expect(header).toEqual(ebmlHeader);
+    // SeekHead dropped, Info kept without its Duration, Tracks kept as is
+    expect(headerParts).toHaveLength(2);
+    expect(headerParts[0]).toEqual(element([0x15, 0x49, 0xa9, 0x66], timecodeScale));
+    expect(headerParts[1]).toEqual(tracks);
+    expect(clusters.map((c) => c.timeMs)).toEqual([0, 10_000, 20_000]);
+  });
+
+  it('finds the end of clusters written without a size', () => {
+    const { clusters } = parseWebm(webm(3, { unknownSize: true }));
+
+    expect(clusters.map((c) => c.timeMs)).toEqual([0, 10_000, 20_000]);
+    expect(clusters[0].end).toBe(clusters[1].start);
+  });
+});
+
+describe('splitWebm', () => {
+  it('returns a recording that fits as one piece', () => {
+    const data = webm(3);
+    const pieces = splitWebm(data, { maxBytes: data.length, maxDurationMs: 60_000, overlapMs: 15_000 });
+
+    expect(pieces).toEqual([{ data, startMs: 0, endMs: null }]);
+  });
+
+  it('cuts at cluster boundaries within the size limit', () => {
+    const maxBytes = HEADER_BYTES + 3 * CLUSTER_BYTES;
+    const pieces = splitWebm(webm(10), { maxBytes, maxDurationMs: Infinity, overlapMs: 0 });
+
+    expect(pieces.map(clusterIndexes)).toEqual([[0, 1, 2], [2, 3, 4], [4, 5, 6], [6, 7, 8], [8, 9]]);
+    for (const piece of pieces) {
+      expect(piece.data.length).toBeLessThanOrEqual(maxBytes);
+    }
+  });
+
+  it('cuts within the duration limit', () => {
+    const pieces = splitWebm(webm(7), { maxBytes: Infinity, maxDurationMs: 30_000, overlapMs: 0 });
+
+    expect(pieces.map((piece) => [piece.startMs, piece.endMs])).toEqual([[0, 30_000], [20_000, 50_000], [40_000, null]]);
+  });
+
+  it('overlaps each piece with its neighbours on both sides', () => {
+    const pieces = splitWebm(webm(16, { stepMs: 5000 }), {
+      maxBytes: HEADER_BYTES + 6 * CLUSTER_BYTES,
+      maxDurationMs: Infinity,
+      overlapMs: 15_000,
+    });
+
+    expect(pieces.length).toBeGreaterThan(2);
+    pieces.slice(1).forEach((piece, i) => {
+      const previous = pieces[i];
+      // The piece starts a full overlap before the previous piece hands over
+      expect(previous.endMs! - piece.startMs).toBe(15_000);
+      expect(clusterIndexes(previous)).toContain(clusterIndexes(piece)[0]);
+    });
+  });
+
+  it('rebases every piece to start at zero', () => {
+    const pieces = splitWebm(webm(10), { maxBytes: HEADER_BYTES + 3 * CLUSTER_BYTES, maxDurationMs: Infinity, overlapMs: 0 });
+
+    expect(parseWebm(pieces[1].data).clusters.map((c) => c.timeMs)).toEqual([0, 10_000, 20_000]);
+    expect(pieces[1].startMs).toBe(20_000);
+  });
+
+  it('splits clusters written without a size', () => {
+    const pieces = splitWebm(webm(6, { unknownSize: true }), {
+      maxBytes: HEADER_BYTES + 3 * CLUSTER_BYTES,
+      maxDurationMs: Infinity,
+      overlapMs: 0,
+    });
+
+    expect(pieces.map(clusterIndexes)).toEqual([[0, 1, 2], [2, 3, 4], [4, 5]]);
+  });
+
+  it('rejects a cluster larger than the size limit instead of sending it whole', () => {
+    const data = webm(4, { sizes: [1000, 5000, 1000, 1000] });
+
+    expect(() => splitWebm(data, { maxBytes: HEADER_BYTES + 3 * CLUSTER_BYTES, maxDurationMs: Infinity, overlapMs: 0 }))
+      .toThrow(AudioSplitError);
+  });
+});
+
+describe('stitchSegments', () => {
+  // Second piece starts 15s before the first hands over at 600s; the overlap's midpoint is 592.5s
+  const pieces: AudioPiece[] = [
+    { data: new Uint8Array(), startMs: 0, endMs: 600_000 },
+    { data: new Uint8Array(), startMs: 585_000, endMs: null },
+  ];
+
+  const segment = (start: number, end: number, text: string) =>
+    ({ start, end, text, avgLogprob: null, compressionRatio: null, noSpeechProb: null, confidence: null });
+  const result = (segments: ReturnType<typeof segment>[], words: STTResult['words'] = []): STTResult =>
+    ({ text: '', language: 'en', duration: 600, segments, words });
+
+  it('keeps each segment in the overlap exactly once', () => {
+    const segments = stitchSegments(pieces, [
+      result([
+        segment(580, 588, 'Before the midpoint.'),
+        segment(589, 596, 'On the midpoint.'),
+        segment(596, 600, 'After the'),
+      ]),
+      result([
+        segment(0, 3, 'the midpoint.'),
+        segment(4, 11, 'On the midpoint.'),
+        segment(11, 20, 'After the midpoint.'),
+      ]),
+    ]);
+
+    expect(segments.map((s) => [s.startMs, s.endMs, s.text])).toEqual([
+      [580_000, 588_000, 'Before the midpoint.'],
+      [589_000, 596_000, 'On the midpoint.'],
+      [596_000, 605_000, 'After the midpoint.'],
+    ]);
+  });
+
+  it('does not repeat a segment the pieces time on either side of the midpoint', () => {
+    const segments = stitchSegments(pieces, [
+      result([segment(590, 594, 'Near the midpoint.')]),
+      result([segment(6, 10, 'Near the midpoint.')]),
+    ]);
+
+    expect(segments.map((s) => [s.startMs, s.text])).toEqual([[590_000, 'Near the midpoint.']]);
+  });
+
+  it('does not drop a segment the pieces time on either side of the midpoint', () => {
+    const segments = stitchSegments(pieces, [
+      result([segment(580, 588, 'Before the midpoint.'), segment(592, 596, 'Near the midpoint.')]),
+      result([segment(2, 6, 'Near the midpoint.'), segment(11, 20, 'After the midpoint.')]),
+    ]);
+
+    expect(segments.map((s) => [s.startMs, s.text])).toEqual([
+      [580_000, 'Before the midpoint.'],
+      [587_000, 'Near the midpoint.'],
+      [596_000, 'After the midpoint.'],
+    ]);
+  });
+
+  it('places words on the recording timeline with their segment', () => {
+    const segments = stitchSegments(pieces, [
+      result([segment(10, 12, 'Hello there.')], [{ word: 'Hello', start: 10, end: 10.5 }, { word: 'there', start: 10.6, end: 11.2 }]),
+      result([segment(20, 21, 'Later.')], [{ word: 'Later', start: 20, end: 20.8 }]),
+    ]);
+
+    expect(segments[0].words).toEqual([
+      { word: 'Hello', start_ms: 10_000, end_ms: 10_500 },
+      { word: 'there', start_ms: 10_600, end_ms: 11_200 },
+    ]);
+    expect(segments[1]).toMatchObject({ startMs: 605_000, words: [{ word: 'Later', start_ms: 605_000, end_ms: 605_800 }] });
+  });
+});
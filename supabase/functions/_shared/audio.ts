@@ -0,0 +1,428 @@
+/**
+ * Audio splitting for transcription
+ *
+ * Whisper accepts at most 25 MB per request, so long recordings are cut into
+ * overlapping pieces. MediaRecorder WebM files are split on Cluster
+ * boundaries: every piece gets the file's header (EBML, Info, Tracks) and its
+ * cluster timecodes are rebased to zero, so it decodes as a file of its own.
+ * The pieces' transcripts are stitched back onto the recording's timeline.
+ */
+
+import type { STTResult } from './stt/types.ts';
+
+export interface AudioPiece {
+  data: Uint8Array;
+  /** Offset of the piece in the full recording */
+  startMs: number;
+  /** Where the next piece's own audio begins; null for the last piece */
+  endMs: number | null;
+}
+
+/** A segment placed on the recording's timeline */
+export interface TranscriptSegment {
+  startMs: number;
+  endMs: number;
+  text: string;
+  avgLogprob: number | null;
+  compressionRatio: number | null;
+  noSpeechProb: number | null;
+  confidence: number | null;
+  words: { word: string; start_ms: number; end_ms: number }[];
+}
+
+export interface SplitOptions {
+  maxBytes: number;
+  maxDurationMs: number;
+  overlapMs: number;
+}
+
+/** The recording cannot be cut into pieces the provider accepts; retrying will not help */
+export class AudioSplitError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AudioSplitError';
+  }
+}
+
+const EBML_ID = 0x1a45dfa3;
+const SEGMENT_ID = 0x18538067;
+const SEEK_HEAD_ID = 0x114d9b74;
+const INFO_ID = 0x1549a966;
+const TIMECODE_SCALE_ID = 0x2ad7b1;
+const DURATION_ID = 0x4489;
+const CUES_ID = 0x1c53bb6b;
+const CLUSTER_ID = 0x1f43b675;
+const CLUSTER_TIMECODE_ID = 0xe7;
+// Timecode, SimpleBlock, BlockGroup, Position, PrevSize, SilentTracks
+const CLUSTER_CHILDREN = new Set([0xe7, 0xa3, 0xa0, 0xa7, 0xab, 0x5854]);
+
+const UNKNOWN_SIZE = -1;
+// Segment with an unknown size (8-byte all-ones size field)
+const SEGMENT_HEADER = new Uint8Array([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+interface Element {
+  id: number;
+  size: number;
+  dataStart: number;
+  end: number;
+}
+
+interface Cluster {
+  start: number;
+  end: number;
+  timeMs: number;
+  timecode: number;
+  timecodeOffset: number;
+  timecodeLength: number;
+}
+
+// Extensions for the MIME types recordings are stored with
+const MIME_EXTENSIONS: Record<string, string> = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+};
+
+/**
+ * File name with the extension Whisper needs to detect the container.
+ * The bytes decide where they are recognisable; otherwise the recording's
+ * stored MIME type or file name is used.
+ */
+export function audioFileName(data: Uint8Array, mimeType?: string | null, filePath?: string | null): string {
+  const ascii = (start: number, end: number) => String.fromCharCode(...data.subarray(start, end));
+
+  if (isWebm(data)) return 'audio.webm';
+  if (ascii(4, 8) === 'ftyp') return ascii(8, 11) === 'M4A' ? 'audio.m4a' : 'audio.mp4';
+  if (ascii(0, 4) === 'OggS') return 'audio.ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio.wav';
+  // ID3 tag or a bare MPEG audio frame sync
+  if (ascii(0, 3) === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) return 'audio.mp3';
+
+  const baseType = mimeType?.split(';')[0].trim().toLowerCase();
+  if (baseType && MIME_EXTENSIONS[baseType]) return `audio.${MIME_EXTENSIONS[baseType]}`;
+
+  const extension = filePath?.split('.').pop()?.toLowerCase();
+  if (extension && Object.values(MIME_EXTENSIONS).includes(extension)) return `audio.${extension}`;
+
+  return 'audio.webm';
+}
+
+export function isWebm(data: Uint8Array): boolean {
+  return data.length >= 4 && readUint(data, 0, 4) === EBML_ID;
+}
+
+/**
+ * Split a WebM recording into overlapping pieces within the size and
+ * duration limits. A recording that already fits is returned as one piece.
+ * Throws AudioSplitError when a single cluster is over the size limit.
+ */
+export function splitWebm(data: Uint8Array, options: SplitOptions): AudioPiece[] {
+  const { ebmlHeader, headerParts, clusters } = parseWebm(data);
+
+  if (clusters.length === 0) {
+    throw new Error('WebM file contains no audio');
+  }
+
+  const lastCluster = clusters[clusters.length - 1];
+  if (data.length <= options.maxBytes && lastCluster.timeMs - clusters[0].timeMs < options.maxDurationMs) {
+    return [{ data, startMs: 0, endMs: null }];
+  }
+
+  const headerBytes = ebmlHeader.length + SEGMENT_HEADER.length +
+    headerParts.reduce((sum, part) => sum + part.length, 0);
+  const pieces: AudioPiece[] = [];
+  let first = 0;
+
+  while (first < clusters.length) {
+    let last = first;
+    let bytes = headerBytes + clusters[first].end - clusters[first].start;
+
+    // Clusters are the smallest unit pieces are cut from
+    if (bytes > options.maxBytes) {
+      throw new AudioSplitError(`WebM cluster at ${Math.round(clusters[first].timeMs / 1000)}s is too large to transcribe`);
+    }
+
+    while (last + 1 < clusters.length) {
+      const next = clusters[last + 1];
+      if (bytes + next.end - next.start > options.maxBytes) break;
+      if (next.timeMs - clusters[first].timeMs >= options.maxDurationMs) break;
+      bytes += next.end - next.start;
+      last++;
+    }
+
+    const following = clusters[last + 1];
+    pieces.push({
+      data: buildPiece(data, ebmlHeader, headerParts, clusters.slice(first, last + 1)),
+      startMs: clusters[first].timeMs,
+      endMs: following ? following.timeMs : null,
+    });
+
+    if (!following) break;
+
+    // Start the next piece at least one cluster back (when the piece has more
+    // than one), and further back while still inside the overlap window
+    let nextFirst = last > first ? last : last + 1;
+    while (nextFirst - 1 > first && following.timeMs - clusters[nextFirst - 1].timeMs <= options.overlapMs) {
+      nextFirst--;
+    }
+    first = nextFirst;
+  }
+
+  return pieces;
+}
+
+/**
+ * Put every piece's segments on the recording's timeline. Within an overlap,
+ * the earlier piece keeps the segments whose midpoint is in its half and the
+ * later piece picks up after the end of the last segment kept, so a segment
+ * the two pieces time differently is neither repeated nor lost. Words are
+ * attached to the segment they fall in.
+ */
+export function stitchSegments(pieces: AudioPiece[], results: STTResult[]): TranscriptSegment[] {
+  const segments: TranscriptSegment[] = [];
+
+  pieces.forEach((piece, index) => {
+    const next = pieces[index + 1];
+    const from = segments.length > 0 ? segments[segments.length - 1].endMs : -Infinity;
+    const to = next ? (next.startMs + (piece.endMs ?? next.startMs)) / 2 : Infinity;
+    const toMs = (seconds: number) => Math.round(piece.startMs + seconds * 1000);
+    const words = results[index].words;
+
+    for (const segment of results[index].segments) {
+      const midpointMs = toMs((segment.start + segment.end) / 2);
+      const text = segment.text.trim();
+      if (!text || midpointMs <= from || midpointMs >= to) continue;
+
+      segments.push({
+        startMs: toMs(segment.start),
+        endMs: toMs(segment.end),
+        text,
+        avgLogprob: segment.avgLogprob,
+        compressionRatio: segment.compressionRatio,
+        noSpeechProb: segment.noSpeechProb,
+        confidence: segment.confidence,
+        words: words
+          .filter((word) => (word.start + word.end) / 2 >= segment.start && (word.start + word.end) / 2 < segment.end)
+          .map((word) => ({ word: word.word, start_ms: toMs(word.start), end_ms: toMs(word.end) })),
+      });
+    }
+  });
+
+  return segments;
+}
+
+/** Header elements a piece repeats, and where each cluster is in the file */
+export function parseWebm(data: Uint8Array) {
+  const ebml = readElement(data, 0);
+  if (ebml.id !== EBML_ID) {
+    throw new Error('Not a WebM file');
+  }
+
+  const segment = readElement(data, ebml.end);
+  if (segment.id !== SEGMENT_ID) {
+    throw new Error('WebM file has no Segment');
+  }
+
+  const segmentEnd = segment.size === UNKNOWN_SIZE ? data.length : Math.min(segment.end, data.length);
+  const headerParts: Uint8Array[] = [];
+  const clusters: Cluster[] = [];
+  let timecodeScale = 1_000_000; // nanoseconds per timecode tick
+  let pos = segment.dataStart;
+
+  while (pos < segmentEnd) {
+    const element = readElement(data, pos);
+
+    if (element.id === CLUSTER_ID) {
+      const end = element.size === UNKNOWN_SIZE
+        ? findClusterEnd(data, element.dataStart, segmentEnd)
+        : Math.min(element.end, segmentEnd);
+      const cluster = readClusterTimecode(data, pos, element.dataStart, end);
+      clusters.push({ ...cluster, timeMs: (cluster.timecode * timecodeScale) / 1_000_000 });
+      pos = end;
+      continue;
+    }
+
+    if (element.size === UNKNOWN_SIZE) {
+      throw new Error('Unsupported WebM layout');
+    }
+
+    const end = Math.min(element.end, segmentEnd);
+
+    // Seek positions and cues point into the original file, so they are dropped
+    if (clusters.length === 0 && element.id !== SEEK_HEAD_ID && element.id !== CUES_ID) {
+      if (element.id === INFO_ID) {
+        timecodeScale = readTimecodeScale(data, element.dataStart, end) ?? timecodeScale;
+        headerParts.push(withoutDuration(data, element.dataStart, end));
+      } else {
+        headerParts.push(data.subarray(pos, end));
+      }
+    }
+
+    pos = end;
+  }
+
+  return { ebmlHeader: data.subarray(0, ebml.end), headerParts, clusters };
+}
+
+/** Clusters written while recording have no size; they end at the first non-cluster element */
+function findClusterEnd(data: Uint8Array, start: number, limit: number): number {
+  let pos = start;
+
+  while (pos < limit) {
+    let child: Element;
+    try {
+      child = readElement(data, pos);
+    } catch {
+      return limit; // truncated final block
+    }
+
+    if (!CLUSTER_CHILDREN.has(child.id) || child.size === UNKNOWN_SIZE) return pos;
+    pos = child.end;
+  }
+
+  return limit;
+}
+
+function readClusterTimecode(data: Uint8Array, start: number, dataStart: number, end: number) {
+  let pos = dataStart;
+
+  while (pos < end) {
+    const child = readElement(data, pos);
+    if (child.id === CLUSTER_TIMECODE_ID) {
+      return {
+        start,
+        end,
+        timecode: readUint(data, child.dataStart, child.size),
+        timecodeOffset: child.dataStart,
+        timecodeLength: child.size,
+      };
+    }
+    pos = child.end;
+  }
+
+  throw new Error('WebM cluster has no timecode');
+}
+
+function readTimecodeScale(data: Uint8Array, start: number, end: number): number | null {
+  let pos = start;
+
+  while (pos < end) {
+    const child = readElement(data, pos);
+    if (child.id === TIMECODE_SCALE_ID) return readUint(data, child.dataStart, child.size);
+    pos = child.end;
+  }
+
+  return null;
+}
+
+/** Info element without Duration, which would be wrong for a piece */
+function withoutDuration(data: Uint8Array, start: number, end: number): Uint8Array {
+  const children: Uint8Array[] = [];
+  let pos = start;
+
+  while (pos < end) {
+    const child = readElement(data, pos);
+    if (child.id !== DURATION_ID) children.push(data.subarray(pos, child.end));
+    pos = child.end;
+  }
+
+  const body = concat(children);
+  return concat([new Uint8Array([0x15, 0x49, 0xa9, 0x66]), encodeSize(body.length), body]);
+}
+
+function buildPiece(data: Uint8Array, ebmlHeader: Uint8Array, headerParts: Uint8Array[], clusters: Cluster[]): Uint8Array {
+  const baseTimecode = clusters[0].timecode;
+
+  const rebased = clusters.map((cluster) => {
+    const bytes = data.slice(cluster.start, cluster.end);
+    writeUint(bytes, cluster.timecodeOffset - cluster.start, cluster.timecodeLength, cluster.timecode - baseTimecode);
+    return bytes;
+  });
+
+  return concat([ebmlHeader, SEGMENT_HEADER, ...headerParts, ...rebased]);
+}
+
+function readElement(data: Uint8Array, pos: number): Element {
+  const id = readVint(data, pos, true);
+  const size = readVint(data, pos + id.length, false);
+  const dataStart = pos + id.length + size.length;
+
+  if (dataStart > data.length) {
+    throw new Error('Truncated WebM element');
+  }
+
+  return {
+    id: id.value,
+    size: size.value,
+    dataStart,
+    end: size.value === UNKNOWN_SIZE ? UNKNOWN_SIZE : dataStart + size.value,
+  };
+}
+
+/** EBML variable-length integer; IDs keep their length marker, sizes drop it */
+function readVint(data: Uint8Array, pos: number, keepMarker: boolean) {
+  const first = data[pos];
+  if (first === undefined || first === 0) {
+    throw new Error('Invalid WebM data');
+  }
+
+  let length = 1;
+  let mask = 0x80;
+  while (!(first & mask)) {
+    mask >>= 1;
+    length++;
+  }
+
+  if (pos + length > data.length) {
+    throw new Error('Truncated WebM element');
+  }
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + data[pos + i];
+    if (data[pos + i] !== 0xff) allOnes = false;
+  }
+
+  return { value: !keepMarker && allOnes ? UNKNOWN_SIZE : value, length };
+}
+
+function readUint(data: Uint8Array, pos: number, length: number): number {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + data[pos + i];
+  }
+  return value;
+}
+
+function writeUint(data: Uint8Array, pos: number, length: number, value: number) {
+  for (let i = length - 1; i >= 0; i--) {
+    data[pos + i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+}
+
+function encodeSize(size: number): Uint8Array {
+  const bytes = new Uint8Array(8);
+  bytes[0] = 0x01;
+  writeUint(bytes, 1, 7, size);
+  return bytes;
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,54 @@
+/**
+ * Transcription confidence from Whisper's per-segment signals
+ *
+ * avg_logprob is the mean token log-probability, so exp() of it is roughly
+ * the chance each token was heard right. Whisper itself treats a compression
+ * ratio above 2.4 as a likely repetition loop and a no_speech_prob above 0.6
+ * as probable silence; both pull the score down.
+ */
+
+/** Segments below this are flagged as unclear in the app and the analysis */
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const MAX_COMPRESSION_RATIO = 2.4;
+const NO_SPEECH_THRESHOLD = 0.6;
+
+export interface SegmentSignals {
+  avgLogprob: number | null;
+  compressionRatio: number | null;
+  noSpeechProb: number | null;
+}
+
+export function segmentConfidence({ avgLogprob, compressionRatio, noSpeechProb }: SegmentSignals): number | null {
+  if (avgLogprob === null) return null;
+
+  let confidence = Math.exp(avgLogprob);
+
+  if (compressionRatio !== null && compressionRatio > MAX_COMPRESSION_RATIO) {
+    confidence *= 0.5;
+  }
+  if (noSpeechProb !== null && noSpeechProb > NO_SPEECH_THRESHOLD) {
+    confidence *= 1 - noSpeechProb;
+  }
+
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * Overall confidence: segment confidences weighted by how long each segment is
+ */
+export function transcriptConfidence(
+  segments: { startMs: number; endMs: number; confidence: number | null }[]
+): number | null {
+  let weighted = 0;
+  let totalMs = 0;
+
+  for (const segment of segments) {
+    if (segment.confidence === null) continue;
+    const lengthMs = Math.max(1, segment.endMs - segment.startMs);
+    weighted += segment.confidence * lengthMs;
+    totalMs += lengthMs;
+  }
+
+  return totalMs > 0 ? Math.round((weighted / totalMs) * 100) / 100 : null;
+}
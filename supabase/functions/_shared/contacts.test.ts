@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeContacts, normalizeEmail, normalizeLocalPhone, normalizePhone, parseName } from './contacts.ts';
+
+describe('normalizeEmail', () => {
+  it('lowercases written addresses', () => {
+    expect(normalizeEmail('Jane.Doe@Acme.com')).toBe('jane.doe@acme.com');
+    expect(normalizeEmail('mailto:jane@acme.com')).toBe('jane@acme.com');
+  });
+
+  it('reads spoken addresses', () => {
+    expect(normalizeEmail('john dot smith at acme dot com')).toBe('john.smith@acme.com');
+    expect(normalizeEmail('jane underscore doe at sign acme full stop co dot uk')).toBe('jane_doe@acme.co.uk');
+    expect(normalizeEmail('sales dash team at acme dot com.')).toBe('sales-team@acme.com');
+  });
+
+  it('is null for anything that is not an address', () => {
+    expect(normalizeEmail('jane at acme')).toBeNull();
+    expect(normalizeEmail('call me')).toBeNull();
+    expect(normalizeEmail(null)).toBeNull();
+  });
+});
+
+describe('normalizePhone', () => {
+  it('reads national numbers in the region', () => {
+    expect(normalizePhone('(415) 555-0132', 'US')).toBe('+14155550132');
+    expect(normalizePhone('1 415 555 0132', 'US')).toBe('+14155550132');
+    expect(normalizePhone('020 7946 0958', 'GB')).toBe('+442079460958');
+    expect(normalizePhone('612 345 678', 'ES')).toBe('+34612345678');
+  });
+
+  it('keeps international numbers', () => {
+    expect(normalizePhone('+44 20 7946 0958', 'US')).toBe('+442079460958');
+    expect(normalizePhone('0044 20 7946 0958', 'US')).toBe('+442079460958');
+    expect(normalizePhone('011 44 20 7946 0958', 'US')).toBe('+442079460958');
+    expect(normalizePhone('plus three three one two three four five six seven eight nine', 'US')).toBe('+33123456789');
+  });
+
+  it('reads spoken digits and leaves out the extension', () => {
+    expect(normalizePhone('four one five, five five five, oh one three two')).toBe('+14155550132');
+    expect(normalizePhone('double five five 123 4567 extension 12')).toBe('+15551234567');
+  });
+
+  it('uses the US when the region is unknown', () => {
+    expect(normalizePhone('415 555 0132', 'XX')).toBe('+14155550132');
+  });
+
+  it('is null for numbers that are not complete', () => {
+    expect(normalizePhone('five five five, one two three four')).toBeNull();
+    expect(normalizePhone('555 01')).toBeNull();
+    expect(normalizePhone('no number given')).toBeNull();
+    expect(normalizePhone(4155550132)).toBeNull();
+  });
+});
+
+describe('normalizeLocalPhone', () => {
+  it('keeps a local number said without its area code', () => {
+    expect(normalizeLocalPhone('five five five, one two three four', 'US')).toBe('555-1234');
+    expect(normalizeLocalPhone('555.1234', 'CA')).toBe('555-1234');
+  });
+
+  it('is null outside regions with local numbers or for other lengths', () => {
+    expect(normalizeLocalPhone('555 1234', 'GB')).toBeNull();
+    expect(normalizeLocalPhone('155 1234', 'US')).toBeNull();
+    expect(normalizeLocalPhone('555 123', 'US')).toBeNull();
+  });
+});
+
+describe('parseName', () => {
+  it('splits first and last name', () => {
+    expect(parseName('Jane Doe')).toEqual({ first_name: 'Jane', last_name: 'Doe', name_suffix: null });
+    expect(parseName('Mary Ann Smith')).toEqual({ first_name: 'Mary Ann', last_name: 'Smith', name_suffix: null });
+  });
+
+  it('keeps family name particles with the last name', () => {
+    expect(parseName('Maria de la Cruz')).toEqual({ first_name: 'Maria', last_name: 'de la Cruz', name_suffix: null });
+    expect(parseName('Ludwig van Beethoven')).toEqual({ first_name: 'Ludwig', last_name: 'van Beethoven', name_suffix: null });
+  });
+
+  it('separates honorifics and suffixes', () => {
+    expect(parseName('John Smith Jr.')).toEqual({ first_name: 'John', last_name: 'Smith', name_suffix: 'Jr.' });
+    expect(parseName('Dr. Jane Doe, PhD')).toEqual({ first_name: 'Jane', last_name: 'Doe', name_suffix: 'PhD' });
+  });
+
+  it('reads "Last, First" and drops a trailing title', () => {
+    expect(parseName('Smith, John')).toEqual({ first_name: 'John', last_name: 'Smith', name_suffix: null });
+    expect(parseName('Jane Doe, VP of Operations')).toEqual({ first_name: 'Jane', last_name: 'Doe', name_suffix: null });
+  });
+
+  it('leaves the last name empty for a single name', () => {
+    expect(parseName('Cher')).toEqual({ first_name: 'Cher', last_name: null, name_suffix: null });
+    expect(parseName(undefined)).toEqual({ first_name: null, last_name: null, name_suffix: null });
+  });
+});
+
+describe('normalizeContacts', () => {
+  it('normalizes every contact and keeps what could not be read', () => {
+    const result = normalizeContacts(
+      {
+        contacts: [
+          { name: 'Jane  Doe', email: 'jane dot doe at acme dot com', phone: 'five five five, one two three four' },
+          { name: 'John Smith', email: 'john at acme', phone: '12' },
+        ],
+      },
+      'US'
+    );
+
+    expect(result.contacts[0]).toEqual({
+      name: 'Jane Doe',
+      first_name: 'Jane',
+      last_name: 'Doe',
+      name_suffix: null,
+      email: 'jane.doe@acme.com',
+      phone: '555-1234',
+    });
+    expect(result.contacts[1]).toMatchObject({
+      email: null,
+      phone: null,
+      invalid_fields: { email: 'john at acme', phone: '12' },
+    });
+  });
+});
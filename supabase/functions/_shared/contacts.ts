@@ -0,0 +1,272 @@
+/**
+ * Contact normalization
+ *
+ * Transcripts carry contact details the way they were said: "john dot smith
+ * at acme dot com", "five five five, one two three four", "Maria de la Cruz".
+ * analyze runs normalizeContacts before storing an analysis so every CRM
+ * adapter gets canonical values:
+ *   email       lowercase address, null when it is not a valid one
+ *   phone       E.164 ("+15551234567"), national numbers read in the team's
+ *               default region (teams.settings.phoneRegion, US when unset);
+ *               a local number said without its area code is kept as
+ *               "555-1234", since E.164 cannot represent it
+ *   first_name / last_name / name_suffix  parsed from name
+ * Values that cannot be normalized are removed and kept, as extracted, in
+ * invalid_fields so the rep can see what was heard.
+ */
+
+export const DEFAULT_PHONE_REGION = 'US';
+
+interface PhoneRegion {
+  /** Country calling code */
+  code: string;
+  /** National prefix dropped in international form ('0' in the UK) */
+  trunk: string;
+  /** Digits in a national number without the trunk prefix */
+  minLength: number;
+  maxLength: number;
+  /** Digits in a local number dialed without the area code, where there is one */
+  localLength?: number;
+}
+
+// Keep in step with PHONE_REGIONS in src/components/settings/PhoneRegionSection.jsx
+export const PHONE_REGIONS: Record<string, PhoneRegion> = {
+  US: { code: '1', trunk: '1', minLength: 10, maxLength: 10, localLength: 7 },
+  CA: { code: '1', trunk: '1', minLength: 10, maxLength: 10, localLength: 7 },
+  GB: { code: '44', trunk: '0', minLength: 9, maxLength: 10 },
+  IE: { code: '353', trunk: '0', minLength: 7, maxLength: 9 },
+  FR: { code: '33', trunk: '0', minLength: 9, maxLength: 9 },
+  DE: { code: '49', trunk: '0', minLength: 6, maxLength: 11 },
+  ES: { code: '34', trunk: '', minLength: 9, maxLength: 9 },
+  IT: { code: '39', trunk: '', minLength: 6, maxLength: 11 },
+  NL: { code: '31', trunk: '0', minLength: 9, maxLength: 9 },
+  BE: { code: '32', trunk: '0', minLength: 8, maxLength: 9 },
+  CH: { code: '41', trunk: '0', minLength: 9, maxLength: 9 },
+  PT: { code: '351', trunk: '', minLength: 9, maxLength: 9 },
+  AU: { code: '61', trunk: '0', minLength: 9, maxLength: 9 },
+  NZ: { code: '64', trunk: '0', minLength: 8, maxLength: 10 },
+  IN: { code: '91', trunk: '0', minLength: 10, maxLength: 10 },
+  MX: { code: '52', trunk: '', minLength: 10, maxLength: 10 },
+  BR: { code: '55', trunk: '0', minLength: 10, maxLength: 11 },
+};
+
+const DIGIT_WORDS: Record<string, string> = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+const REPEAT_WORDS: Record<string, number> = { double: 2, triple: 3 };
+
+// Said between the number and an extension, which is not part of E.164
+const EXTENSION_WORDS = new Set(['extension', 'ext', 'x']);
+
+const EMAIL_WORDS: Record<string, string> = {
+  at: '@', dot: '.', period: '.', point: '.', underscore: '_', dash: '-', hyphen: '-', plus: '+',
+};
+
+const EMAIL = /^[a-z0-9_%+-]+(\.[a-z0-9_%+-]+)*@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir']);
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'phd', 'md', 'esq', 'cpa', 'mba']);
+
+// Words that start a multi-word family name ("de la Cruz", "van der Berg")
+const PARTICLES = new Set([
+  'de', 'del', 'della', 'der', 'den', 'di', 'da', 'das', 'do', 'dos', 'du',
+  'la', 'le', 'van', 'von', 'ter', 'ten', 'st', 'saint', 'bin', 'ibn', 'al', 'el',
+]);
+
+const bare = (word: string) => word.toLowerCase().replace(/\./g, '');
+
+/**
+ * A written or spoken email address in canonical form, or null when it is
+ * not a valid address
+ */
+export function normalizeEmail(raw: unknown): string | null {
+  if (typeof raw !== 'string') return null;
+
+  const words = raw.trim().toLowerCase().replace(/^mailto:/, '').split(/\s+/).filter(Boolean);
+  // "at sign" and "full stop" are said as two words
+  const joined = words
+    .filter((word, i) => !(word === 'sign' && words[i - 1] === 'at') && !(word === 'stop' && words[i - 1] === 'full'))
+    .map((word) => (word === 'full' ? '.' : EMAIL_WORDS[word] ?? word))
+    .join('')
+    .replace(/\.+$/, '');
+
+  return EMAIL.test(joined) ? joined : null;
+}
+
+/**
+ * Digits of a written or spoken phone number, with a leading '+' when it was
+ * given in international form; anything after "extension" is left out
+ */
+function phoneDigits(raw: string): string {
+  const tokens = raw.toLowerCase().match(/\+|\d+|[a-z]+/g) || [];
+  let digits = '';
+  let repeat = 1;
+
+  for (const token of tokens) {
+    if (EXTENSION_WORDS.has(token)) break;
+
+    if (token === '+' || token === 'plus') {
+      if (digits === '') digits = '+';
+      continue;
+    }
+
+    if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+      continue;
+    }
+
+    const value = /^\d+$/.test(token) ? token : DIGIT_WORDS[token];
+    if (value === undefined) continue;
+
+    digits += repeat > 1 ? value.repeat(repeat) : value;
+    repeat = 1;
+  }
+
+  return digits;
+}
+
+/**
+ * A written or spoken phone number in E.164 form, or null when it cannot be
+ * read as a complete number for the region
+ */
+export function normalizePhone(raw: unknown, regionCode: string = DEFAULT_PHONE_REGION): string | null {
+  if (typeof raw !== 'string') return null;
+
+  const region = PHONE_REGIONS[regionCode] || PHONE_REGIONS[DEFAULT_PHONE_REGION];
+  let digits = phoneDigits(raw);
+
+  // International dialing prefixes
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+  else if (region.code === '1' && digits.startsWith('011')) digits = `+${digits.slice(3)}`;
+
+  if (digits.startsWith('+')) {
+    const international = digits.slice(1);
+    return /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+  }
+
+  const fits = (national: string) =>
+    national.length >= region.minLength && national.length <= region.maxLength && !national.startsWith('0');
+
+  if (region.trunk && digits.startsWith(region.trunk) && fits(digits.slice(region.trunk.length))) {
+    return `+${region.code}${digits.slice(region.trunk.length)}`;
+  }
+  if (fits(digits) || (region.trunk === '' && digits.length >= region.minLength && digits.length <= region.maxLength)) {
+    return `+${region.code}${digits}`;
+  }
+  // Country code said without the plus
+  if (digits.startsWith(region.code) && fits(digits.slice(region.code.length))) {
+    return `+${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * A local number said without its area code ("five five five, one two three
+ * four") as "555-1234", or null when it is not one for the region
+ */
+export function normalizeLocalPhone(raw: unknown, regionCode: string = DEFAULT_PHONE_REGION): string | null {
+  if (typeof raw !== 'string') return null;
+
+  const region = PHONE_REGIONS[regionCode] || PHONE_REGIONS[DEFAULT_PHONE_REGION];
+  const digits = phoneDigits(raw);
+
+  if (!region.localLength || digits.length !== region.localLength || /^[01]/.test(digits)) return null;
+  return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+}
+
+export interface ParsedName {
+  first_name: string | null;
+  last_name: string | null;
+  name_suffix: string | null;
+}
+
+/**
+ * Split a full name into first name (with any middle names), family name
+ * and suffix: "Maria de la Cruz" → Maria / de la Cruz, "John Smith Jr." →
+ * John / Smith / Jr., "Smith, John" → John / Smith
+ */
+export function parseName(raw: unknown): ParsedName {
+  if (typeof raw !== 'string') return { first_name: null, last_name: null, name_suffix: null };
+
+  const suffixes: string[] = [];
+  const segments = raw.split(',').map((segment) => segment.trim()).filter(Boolean);
+
+  // "John Smith, Jr." and "Smith, John, PhD"
+  while (segments.length > 1 && SUFFIXES.has(bare(segments[segments.length - 1]))) {
+    suffixes.unshift(segments.pop()!);
+  }
+  // "Smith, John"; after anything else the comma ends the name ("Jane Doe, VP of Sales")
+  const reversed = segments.length === 2 && segments[1].split(/\s+/).length <= 2;
+  const words = (reversed ? `${segments[1]} ${segments[0]}` : segments[0] || '').split(/\s+/).filter(Boolean);
+
+  while (words.length > 1 && HONORIFICS.has(bare(words[0]))) {
+    words.shift();
+  }
+  while (words.length > 1 && SUFFIXES.has(bare(words[words.length - 1]))) {
+    suffixes.unshift(words.pop()!);
+  }
+
+  if (words.length === 0) return { first_name: null, last_name: null, name_suffix: suffixes.join(' ') || null };
+  if (words.length === 1) return { first_name: words[0], last_name: null, name_suffix: suffixes.join(' ') || null };
+
+  // The family name starts at the first particle after the first name, else it is the last word
+  const particle = words.findIndex((word, i) => i > 0 && i < words.length - 1 && PARTICLES.has(bare(word)));
+  const lastStart = particle > 0 ? particle : words.length - 1;
+
+  return {
+    first_name: words.slice(0, lastStart).join(' '),
+    last_name: words.slice(lastStart).join(' '),
+    name_suffix: suffixes.join(' ') || null,
+  };
+}
+
+/**
+ * Default region for a user's team's phone numbers
+ */
+export async function loadPhoneRegion(supabase: any, userId: string): Promise<string> {
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('teams:team_id (settings)')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[Contacts] Failed to load team settings, using the default phone region:', error);
+  }
+
+  const region = profile?.teams?.settings?.phoneRegion;
+  return typeof region === 'string' && PHONE_REGIONS[region] ? region : DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Canonical emails, phone numbers and name parts for every extracted contact
+ */
+export function normalizeContacts(extracted: Record<string, any>, phoneRegion: string): Record<string, any> {
+  if (!Array.isArray(extracted.contacts)) return extracted;
+
+  const contacts = extracted.contacts.map((contact: Record<string, any>) => {
+    const email = contact.email ? normalizeEmail(contact.email) : null;
+    const phone = contact.phone
+      ? normalizePhone(contact.phone, phoneRegion) ?? normalizeLocalPhone(contact.phone, phoneRegion)
+      : null;
+
+    const invalid: Record<string, string> = {};
+    if (contact.email && !email) invalid.email = contact.email;
+    if (contact.phone && !phone) invalid.phone = contact.phone;
+
+    return {
+      ...contact,
+      name: typeof contact.name === 'string' ? contact.name.replace(/\s+/g, ' ').trim() : contact.name,
+      ...parseName(contact.name),
+      email,
+      phone,
+      ...(Object.keys(invalid).length > 0 ? { invalid_fields: invalid } : {}),
+    };
+  });
+
+  return { ...extracted, contacts };
+}
@@ -0,0 +1,81 @@
+/**
+ * Access-token refresh for CRM adapters
+ *
+ * Adapters throw CRMAuthError when the CRM rejects the access token (HTTP 401,
+ * e.g. Salesforce INVALID_SESSION_ID). withTokenRefresh refreshes once, lets
+ * the caller persist the new token and retries. If the refresh itself fails
+ * the user has to reconnect, signalled by CRMReauthRequiredError.
+ */
+
+import type { CRMAdapter, CRMCredentials } from './types.ts';
+
+export class CRMAuthError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CRMAuthError';
+  }
+}
+
+export class CRMReauthRequiredError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CRMReauthRequiredError';
+  }
+}
+
+type PersistCredentials = (credentials: CRMCredentials) => Promise<void>;
+
+/**
+ * Wrap an adapter so calls rejected with 401 are retried after a token refresh
+ * The wrapped refreshToken() also persists, so proactive refreshes share the same path.
+ */
+export function withTokenRefresh(adapter: CRMAdapter, persist: PersistCredentials): CRMAdapter {
+  // Concurrent or repeated 401s share one refresh
+  let refreshing: Promise<CRMCredentials> | null = null;
+
+  const refresh = (): Promise<CRMCredentials> => {
+    if (!refreshing) {
+      refreshing = (async () => {
+        let credentials: CRMCredentials;
+        try {
+          credentials = await adapter.refreshToken();
+        } catch (error) {
+          console.error(`[CRM Auth] ${adapter.label} token refresh failed:`, error.message);
+          throw new CRMReauthRequiredError(
+            `${adapter.label} session expired and could not be refreshed. Please reconnect ${adapter.label}.`
+          );
+        }
+
+        console.log(`[CRM Auth] ${adapter.label} token refreshed`);
+        await persist(credentials);
+        return credentials;
+      })();
+    }
+    return refreshing;
+  };
+
+  const withRetry = <Args extends unknown[], Result>(call: (...args: Args) => Promise<Result>) => {
+    return async (...args: Args): Promise<Result> => {
+      try {
+        return await call(...args);
+      } catch (error) {
+        if (!(error instanceof CRMAuthError)) {
+          throw error;
+        }
+
+        console.log(`[CRM Auth] ${adapter.label} rejected the access token, refreshing`);
+        await refresh();
+        return call(...args);
+      }
+    };
+  };
+
+  return {
+    ...adapter,
+    upsertContact: withRetry(adapter.upsertContact),
+    upsertAccount: withRetry(adapter.upsertAccount),
+    createTask: withRetry(adapter.createTask),
+    createNote: withRetry(adapter.createNote),
+    refreshToken: refresh,
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Encrypted CRM connection storage (crm_connections table)
+ *
+ * A user can hold one connection per provider and org. Only Edge Functions
+ * using the service role can read the token columns, and tokens are
+ * decrypted here and nowhere else. A trigger keeps the user_profiles summary
+ * flags (crm_provider, crm_connected, crm_needs_reauth) in step.
+ */
+
+import { decryptToken, encryptToken } from '../crypto.ts';
+import type { CRMCredentials, CRMProvider } from './types.ts';
+
+export interface CRMConnection {
+  id: string;
+  userId: string;
+  provider: CRMProvider;
+  externalUserId: string | null;
+  externalOrgId: string;
+  displayName: string | null;
+  isDefault: boolean;
+  credentials: CRMCredentials;
+}
+
+/** Who the tokens belong to on the CRM side */
+export interface CRMAccountInfo {
+  externalUserId: string | null;
+  externalOrgId: string;
+  displayName: string | null;
+}
+
+const decryptConnection = async (row: any): Promise<CRMConnection> => ({
+  id: row.id,
+  userId: row.user_id,
+  provider: row.provider,
+  externalUserId: row.external_user_id,
+  externalOrgId: row.external_org_id,
+  displayName: row.display_name,
+  isDefault: row.is_default,
+  credentials: {
+    accessToken: await decryptToken(row.access_token_encrypted),
+    refreshToken: row.refresh_token_encrypted ? await decryptToken(row.refresh_token_encrypted) : null,
+    settings: row.settings || {},
+  },
+});
+
+/**
+ * Store a freshly authorized connection
+ * Reconnecting the same provider and org replaces its tokens. The user's
+ * first connection becomes the default.
+ */
+export async function saveCRMConnection(
+  supabaseAdmin: any,
+  userId: string,
+  provider: CRMProvider,
+  account: CRMAccountInfo,
+  credentials: CRMCredentials
+): Promise<string> {
+  const { data: saved, error: connectionError } = await supabaseAdmin
+    .from('crm_connections')
+    .upsert({
+      user_id: userId,
+      provider,
+      external_org_id: account.externalOrgId,
+      external_user_id: account.externalUserId,
+      display_name: account.displayName,
+      access_token_encrypted: await encryptToken(credentials.accessToken),
+      refresh_token_encrypted: credentials.refreshToken ? await encryptToken(credentials.refreshToken) : null,
+      settings: credentials.settings,
+      needs_reauth: false,
+    }, { onConflict: 'user_id,provider,external_org_id' })
+    .select('id')
+    .single();
+
+  if (connectionError) throw connectionError;
+
+  const { data: currentDefault } = await supabaseAdmin
+    .from('crm_connections')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('is_default', true)
+    .maybeSingle();
+
+  if (!currentDefault) {
+    const { error: defaultError } = await supabaseAdmin
+      .from('crm_connections')
+      .update({ is_default: true })
+      .eq('id', saved.id);
+
+    if (defaultError) throw defaultError;
+  }
+
+  return saved.id;
+}
+
+/**
+ * Load and decrypt the connections a sync should fan out to
+ * With no explicit targets the user's default connection is used.
+ */
+export async function loadCRMConnections(
+  supabaseAdmin: any,
+  userId: string,
+  connectionIds?: string[] | null
+): Promise<CRMConnection[]> {
+  let query = supabaseAdmin
+    .from('crm_connections')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (connectionIds && connectionIds.length > 0) {
+    query = query.in('id', connectionIds);
+  } else {
+    query = query.order('is_default', { ascending: false }).order('created_at').limit(1);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return Promise.all((data || []).map(decryptConnection));
+}
+
+/**
+ * Persist refreshed tokens and clear the connection's re-auth flag
+ */
+export async function updateCRMCredentials(
+  supabaseAdmin: any,
+  connection: CRMConnection,
+  credentials: CRMCredentials
+): Promise<void> {
+  const { error } = await supabaseAdmin
+    .from('crm_connections')
+    .update({
+      access_token_encrypted: await encryptToken(credentials.accessToken),
+      refresh_token_encrypted: credentials.refreshToken ? await encryptToken(credentials.refreshToken) : null,
+      settings: credentials.settings,
+      needs_reauth: false,
+    })
+    .eq('id', connection.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Flag a connection whose refresh token stopped working
+ */
+export async function markCRMConnectionNeedsReauth(supabaseAdmin: any, connectionId: string): Promise<void> {
+  const { error } = await supabaseAdmin
+    .from('crm_connections')
+    .update({ needs_reauth: true })
+    .eq('id', connectionId);
+
+  if (error) throw error;
+}
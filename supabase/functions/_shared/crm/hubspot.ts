@@ -0,0 +1,273 @@
+/**
+ * HubSpot CRM adapter (CRM API v3)
+ */
+
+import type {
+  ActionItem,
+  CRMAdapter,
+  CRMCredentials,
+  CRMFieldMapping,
+  ExtractedCompany,
+  ExtractedContact,
+  RecordLinks,
+  SyncedRecord,
+} from './types.ts';
+import { CRMAuthError } from './auth.ts';
+import { contactName, noteBody, normalizePriority, taskDescription, taskDueDate, taskSubject } from './mapping.ts';
+
+const API_URL = 'https://api.hubapi.com';
+const APP_URL = 'https://app.hubspot.com';
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const PRIORITY_MAP: Record<string, string> = {
+  low: 'LOW',
+  medium: 'MEDIUM',
+  high: 'HIGH',
+  urgent: 'HIGH',
+};
+
+// Object type IDs used in record page URLs
+const OBJECT_TYPE = {
+  contact: '0-1',
+  company: '0-2',
+};
+
+// HUBSPOT_DEFINED association type IDs
+const ASSOCIATION = {
+  taskToContact: 204,
+  taskToCompany: 192,
+  noteToContact: 202,
+  noteToCompany: 190,
+};
+
+const FIELD_MAPPINGS: CRMFieldMapping[] = [
+  { object: 'contact', crmObject: 'contacts', crmField: 'firstname', source: 'contacts[].first_name' },
+  { object: 'contact', crmObject: 'contacts', crmField: 'lastname', source: 'contacts[].last_name' },
+  { object: 'contact', crmObject: 'contacts', crmField: 'email', source: 'contacts[].email' },
+  { object: 'contact', crmObject: 'contacts', crmField: 'phone', source: 'contacts[].phone' },
+  { object: 'contact', crmObject: 'contacts', crmField: 'jobtitle', source: 'contacts[].title' },
+  { object: 'contact', crmObject: 'contacts', crmField: 'company', source: 'contacts[].company' },
+  { object: 'account', crmObject: 'companies', crmField: 'name', source: 'companies[].name' },
+  { object: 'task', crmObject: 'tasks', crmField: 'hs_task_subject', source: 'action_items[].task' },
+  { object: 'task', crmObject: 'tasks', crmField: 'hs_task_priority', source: 'action_items[].priority' },
+  { object: 'task', crmObject: 'tasks', crmField: 'hs_timestamp', source: 'action_items[].due_date' },
+  { object: 'note', crmObject: 'notes', crmField: 'hs_note_body', source: 'summary' },
+];
+
+const associationsFor = (links: RecordLinks, contactTypeId: number, companyTypeId: number) => {
+  const associations = links.contactIds.map((id) => ({
+    to: { id },
+    types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: contactTypeId }],
+  }));
+
+  if (links.accountId) {
+    associations.push({
+      to: { id: links.accountId },
+      types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: companyTypeId }],
+    });
+  }
+
+  return associations;
+};
+
+export function createHubSpotAdapter(credentials: CRMCredentials): CRMAdapter {
+  let accessToken = credentials.accessToken;
+
+  const request = async (path: string, init: { method?: string; body?: unknown } = {}): Promise<any> => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method: init.method || 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: init.body ? JSON.stringify(init.body) : undefined,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (response.status === 401) {
+        throw new CRMAuthError(`HubSpot API 401: ${errorText}`);
+      }
+      throw new Error(`HubSpot API ${response.status}: ${errorText}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  const portalId = credentials.settings?.hubspot_portal_id;
+
+  const recordUrl = (objectTypeId: string, id: string) =>
+    portalId ? `${APP_URL}/contacts/${portalId}/record/${objectTypeId}/${id}` : null;
+
+  // Tasks and notes have no page of their own; link to the record whose timeline shows them
+  const timelineUrl = (links: RecordLinks) => {
+    if (links.contactIds[0]) return recordUrl(OBJECT_TYPE.contact, links.contactIds[0]);
+    if (links.accountId) return recordUrl(OBJECT_TYPE.company, links.accountId);
+    return null;
+  };
+
+  const searchOne = async (objectType: string, propertyName: string, value: string): Promise<string | null> => {
+    const search = await request(`/crm/v3/objects/${objectType}/search`, {
+      method: 'POST',
+      body: {
+        filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value }] }],
+        properties: [propertyName],
+        limit: 1,
+      },
+    });
+    return search.results?.[0]?.id || null;
+  };
+
+  return {
+    provider: 'hubspot',
+    label: 'HubSpot',
+
+    async upsertContact(contact: ExtractedContact, accountId?: string): Promise<SyncedRecord> {
+      console.log('[CRM HubSpot] Syncing contact:', contact.name);
+
+      const { firstName, lastName } = contactName(contact);
+      const properties: Record<string, string> = {
+        firstname: firstName,
+        lastname: lastName,
+      };
+
+      if (contact.email) properties.email = contact.email;
+      if (contact.phone) properties.phone = contact.phone;
+      if (contact.title) properties.jobtitle = contact.title;
+      if (contact.company) properties.company = contact.company;
+
+      const existingId = contact.email ? await searchOne('contacts', 'email', contact.email) : null;
+
+      let result: SyncedRecord;
+      if (existingId) {
+        console.log('[CRM HubSpot] Found existing contact:', existingId);
+        await request(`/crm/v3/objects/contacts/${existingId}`, { method: 'PATCH', body: { properties } });
+        result = { id: existingId, action: 'updated' };
+      } else {
+        const created = await request('/crm/v3/objects/contacts', { method: 'POST', body: { properties } });
+        result = { id: created.id, action: 'created' };
+      }
+      result.url = recordUrl(OBJECT_TYPE.contact, result.id);
+      result.payload = { properties };
+
+      if (accountId) {
+        await request(`/crm/v4/objects/contacts/${result.id}/associations/default/companies/${accountId}`, {
+          method: 'PUT',
+        });
+      }
+
+      return result;
+    },
+
+    async upsertAccount(company: ExtractedCompany): Promise<SyncedRecord> {
+      console.log('[CRM HubSpot] Syncing company:', company.name);
+
+      const existingId = await searchOne('companies', 'name', company.name);
+      if (existingId) {
+        console.log('[CRM HubSpot] Found existing company:', existingId);
+        return { id: existingId, action: 'updated', url: recordUrl(OBJECT_TYPE.company, existingId) };
+      }
+
+      // `industry` is an enumeration in HubSpot, so keep extracted details in the description
+      const details = [company.industry, company.size].filter(Boolean).join(', ');
+      const body = {
+        properties: {
+          name: company.name,
+          description: details ? `Extracted from voice recording: ${details}` : 'Extracted from voice recording',
+        },
+      };
+      const created = await request('/crm/v3/objects/companies', { method: 'POST', body });
+      return { id: created.id, action: 'created', url: recordUrl(OBJECT_TYPE.company, created.id), payload: body };
+    },
+
+    async createTask(actionItem: ActionItem, links: RecordLinks): Promise<SyncedRecord> {
+      const dueDate = taskDueDate(actionItem);
+
+      const body = {
+        properties: {
+          hs_task_subject: taskSubject(actionItem),
+          hs_task_body: taskDescription(actionItem, 'Extracted from voice recording'),
+          hs_task_status: 'NOT_STARTED',
+          hs_task_priority: PRIORITY_MAP[normalizePriority(actionItem.priority)],
+          hs_task_type: 'TODO',
+          hs_timestamp: (dueDate ? new Date(dueDate) : new Date()).toISOString(),
+        },
+        associations: associationsFor(
+          { ...links, contactIds: links.contactIds.slice(0, 1) },
+          ASSOCIATION.taskToContact,
+          ASSOCIATION.taskToCompany
+        ),
+      };
+      const created = await request('/crm/v3/objects/tasks', { method: 'POST', body });
+
+      return { id: created.id, action: 'created', url: timelineUrl(links), payload: body };
+    },
+
+    async createNote(summary: string, links: RecordLinks): Promise<SyncedRecord> {
+      const body = {
+        properties: {
+          hs_note_body: noteBody(summary),
+          hs_timestamp: new Date().toISOString(),
+        },
+        associations: associationsFor(links, ASSOCIATION.noteToContact, ASSOCIATION.noteToCompany),
+      };
+      const created = await request('/crm/v3/objects/notes', { method: 'POST', body });
+
+      return { id: created.id, action: 'created', url: timelineUrl(links), payload: body };
+    },
+
+    needsRefresh(): boolean {
+      // HubSpot access tokens are short-lived (30 minutes)
+      const expiresAt = Number(credentials.settings?.hubspot_token_expires_at || 0);
+      return expiresAt <= Date.now() + REFRESH_MARGIN_MS;
+    },
+
+    async refreshToken(): Promise<CRMCredentials> {
+      if (!credentials.refreshToken) {
+        throw new Error('HubSpot access token expired and no refresh token is stored');
+      }
+
+      const clientId = Deno.env.get('HUBSPOT_CLIENT_ID');
+      const clientSecret = Deno.env.get('HUBSPOT_CLIENT_SECRET');
+      if (!clientId || !clientSecret) {
+        throw new Error('HubSpot credentials not configured. Please set HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET secrets.');
+      }
+
+      console.log('[CRM HubSpot] Refreshing access token');
+
+      const response = await fetch(`${API_URL}/oauth/v1/token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          client_id: clientId,
+          client_secret: clientSecret,
+          refresh_token: credentials.refreshToken,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to refresh HubSpot token: ${errorText}`);
+      }
+
+      const tokens = await response.json();
+      accessToken = tokens.access_token;
+
+      return {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || credentials.refreshToken,
+        settings: {
+          ...credentials.settings,
+          hubspot_token_expires_at: Date.now() + tokens.expires_in * 1000,
+        },
+      };
+    },
+
+    describeFields(): CRMFieldMapping[] {
+      return FIELD_MAPPINGS;
+    },
+  };
+}
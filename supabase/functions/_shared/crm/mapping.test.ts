@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { taskDescription, taskDueDate } from './mapping.ts';
+
+describe('taskDueDate', () => {
+  it('keeps a calendar date', () => {
+    expect(taskDueDate({ task: 'Call', due_date: '2024-11-19' })).toBe('2024-11-19');
+    expect(taskDueDate({ task: 'Call', due_date: '2024-02-29' })).toBe('2024-02-29');
+  });
+
+  it('is null without a due date', () => {
+    expect(taskDueDate({ task: 'Call' })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: null })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: '' })).toBeNull();
+  });
+
+  it('is null for dates that are not YYYY-MM-DD', () => {
+    expect(taskDueDate({ task: 'Call', due_date: 'next Tuesday' })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: '11/19/2024' })).toBeNull();
+  });
+
+  it('is null for dates that are not on the calendar', () => {
+    expect(taskDueDate({ task: 'Call', due_date: '2024-13-01' })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: '2024-00-10' })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: '2024-02-30' })).toBeNull();
+    expect(taskDueDate({ task: 'Call', due_date: '2023-02-29' })).toBeNull();
+  });
+});
+
+describe('taskDescription', () => {
+  it('notes how the due date was said', () => {
+    expect(taskDescription({ task: 'Call', description: 'Pricing', due_phrase: 'next Tuesday' }))
+      .toBe('Pricing\nDue: "next Tuesday"');
+    expect(taskDescription({ task: 'Call', due_phrase: 'EOW' })).toBe('Due: "EOW"');
+    expect(taskDescription({ task: 'Call' }, 'From a voice note')).toBe('From a voice note');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Field mapping helpers shared by every CRM adapter
+ */
+
+import { parseName } from '../contacts.ts';
+import type { ActionItem, ExtractedContact, Priority } from './types.ts';
+
+export const DEFAULT_TASK_SUBJECT = 'Follow-up from voice recording';
+export const NOTE_HEADER = 'Voice note summary (Field Intel):';
+
+const PRIORITIES: Priority[] = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * First and last name for a CRM contact, from the parts analyze parsed (or
+ * parsing the full name for older analyses and edited contacts)
+ * CRMs require a last name: a single name goes there, else 'Unknown'.
+ */
+export function contactName(contact: ExtractedContact): { firstName: string; lastName: string } {
+  const parsed = contact.first_name || contact.last_name
+    ? { first_name: contact.first_name ?? null, last_name: contact.last_name ?? null }
+    : parseName(contact.name);
+
+  if (!parsed.last_name) {
+    return { firstName: '', lastName: parsed.first_name || 'Unknown' };
+  }
+
+  return { firstName: parsed.first_name || '', lastName: parsed.last_name };
+}
+
+/**
+ * Normalize an extracted priority, defaulting to 'medium'
+ */
+export function normalizePriority(priority: string | null | undefined): Priority {
+  const value = (priority || '').toLowerCase() as Priority;
+  return PRIORITIES.includes(value) ? value : 'medium';
+}
+
+/**
+ * Task subject for an action item (the extraction prompt emits `task`)
+ */
+export function taskSubject(actionItem: ActionItem): string {
+  return actionItem.task || actionItem.title || DEFAULT_TASK_SUBJECT;
+}
+
+/**
+ * An action item's due date as YYYY-MM-DD, or null when it has none (or it
+ * is not a real date, e.g. an analysis saved before dates were normalized)
+ */
+export function taskDueDate(actionItem: ActionItem): string | null {
+  const value = actionItem.due_date;
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  // Out-of-range months ("2024-13-01") give an Invalid Date, which toISOString throws on
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().startsWith(value) ? value : null;
+}
+
+/**
+ * Task description, noting how the due date was said
+ */
+export function taskDescription(actionItem: ActionItem, fallback = ''): string {
+  const description = actionItem.description || fallback;
+  if (!actionItem.due_phrase) return description;
+  return [description, `Due: "${actionItem.due_phrase}"`].filter(Boolean).join('\n');
+}
+
+export function noteBody(summary: string): string {
+  return `${NOTE_HEADER}\n\n${summary}`;
+}
@@ -0,0 +1,233 @@
+/**
+ * Pipedrive CRM adapter (API v1)
+ * Contacts are Persons, accounts are Organizations and tasks are Activities.
+ */
+
+import type {
+  ActionItem,
+  CRMAdapter,
+  CRMCredentials,
+  CRMFieldMapping,
+  ExtractedCompany,
+  ExtractedContact,
+  RecordLinks,
+  SyncedRecord,
+} from './types.ts';
+import { CRMAuthError } from './auth.ts';
+import { noteBody, normalizePriority, taskDescription, taskDueDate, taskSubject } from './mapping.ts';
+
+const OAUTH_URL = 'https://oauth.pipedrive.com';
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const FIELD_MAPPINGS: CRMFieldMapping[] = [
+  { object: 'contact', crmObject: 'persons', crmField: 'name', source: 'contacts[].name' },
+  { object: 'contact', crmObject: 'persons', crmField: 'email', source: 'contacts[].email' },
+  { object: 'contact', crmObject: 'persons', crmField: 'phone', source: 'contacts[].phone' },
+  { object: 'contact', crmObject: 'persons', crmField: 'org_id', source: 'contacts[].company' },
+  { object: 'account', crmObject: 'organizations', crmField: 'name', source: 'companies[].name' },
+  { object: 'task', crmObject: 'activities', crmField: 'subject', source: 'action_items[].task' },
+  { object: 'task', crmObject: 'activities', crmField: 'note', source: 'action_items[].priority' },
+  { object: 'task', crmObject: 'activities', crmField: 'due_date', source: 'action_items[].due_date' },
+  { object: 'note', crmObject: 'notes', crmField: 'content', source: 'summary' },
+];
+
+export function createPipedriveAdapter(credentials: CRMCredentials): CRMAdapter {
+  let accessToken = credentials.accessToken;
+
+  let apiDomain = credentials.settings?.pipedrive_api_domain;
+  if (!apiDomain) {
+    throw new Error('Pipedrive API domain not found');
+  }
+
+  /** Call the API and return the `data` field of the response */
+  const request = async (path: string, init: { method?: string; body?: unknown } = {}): Promise<any> => {
+    const response = await fetch(`${apiDomain}/api/v1${path}`, {
+      method: init.method || 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: init.body ? JSON.stringify(init.body) : undefined,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (response.status === 401) {
+        throw new CRMAuthError(`Pipedrive API 401: ${errorText}`);
+      }
+      throw new Error(`Pipedrive API ${response.status}: ${errorText}`);
+    }
+
+    const result = await response.json();
+    return result.data;
+  };
+
+  // api_domain is the company's own Pipedrive URL, which also serves the web app
+  const recordUrl = (itemType: string, id: string | number) => `${apiDomain}/${itemType}/${id}`;
+
+  const searchOne = async (itemType: string, field: string, term: string): Promise<number | null> => {
+    const params = new URLSearchParams({ term, fields: field, exact_match: 'true', limit: '1' });
+    const search = await request(`/${itemType}/search?${params.toString()}`);
+    return search?.items?.[0]?.item?.id || null;
+  };
+
+  return {
+    provider: 'pipedrive',
+    label: 'Pipedrive',
+
+    async upsertContact(contact: ExtractedContact, accountId?: string): Promise<SyncedRecord> {
+      console.log('[CRM Pipedrive] Syncing person:', contact.name);
+
+      const personData: Record<string, unknown> = {
+        name: contact.name || 'Unknown',
+      };
+
+      if (contact.email) personData.email = [{ value: contact.email, primary: true, label: 'work' }];
+      if (contact.phone) personData.phone = [{ value: contact.phone, primary: true, label: 'work' }];
+      if (accountId) personData.org_id = Number(accountId);
+
+      const existingId = contact.email ? await searchOne('persons', 'email', contact.email) : null;
+
+      if (existingId) {
+        console.log('[CRM Pipedrive] Found existing person:', existingId);
+        await request(`/persons/${existingId}`, { method: 'PUT', body: personData });
+        return { id: String(existingId), action: 'updated', url: recordUrl('person', existingId), payload: personData };
+      }
+
+      const created = await request('/persons', { method: 'POST', body: personData });
+      return { id: String(created.id), action: 'created', url: recordUrl('person', created.id), payload: personData };
+    },
+
+    async upsertAccount(company: ExtractedCompany): Promise<SyncedRecord> {
+      console.log('[CRM Pipedrive] Syncing organization:', company.name);
+
+      const existingId = await searchOne('organizations', 'name', company.name);
+      if (existingId) {
+        console.log('[CRM Pipedrive] Found existing organization:', existingId);
+        return { id: String(existingId), action: 'updated', url: recordUrl('organization', existingId) };
+      }
+
+      const orgData = { name: company.name };
+      const created = await request('/organizations', { method: 'POST', body: orgData });
+      return { id: String(created.id), action: 'created', url: recordUrl('organization', created.id), payload: orgData };
+    },
+
+    async createTask(actionItem: ActionItem, links: RecordLinks): Promise<SyncedRecord> {
+      // Activities have no priority field, so keep it in the note
+      const noteLines = [
+        taskDescription(actionItem, 'Extracted from voice recording'),
+        `Priority: ${normalizePriority(actionItem.priority)}`,
+      ];
+
+      const activityData: Record<string, unknown> = {
+        subject: taskSubject(actionItem),
+        type: 'task',
+        done: 0,
+        note: noteLines.join('\n'),
+      };
+
+      const dueDate = taskDueDate(actionItem);
+      if (dueDate) activityData.due_date = dueDate;
+      if (links.contactIds[0]) activityData.person_id = Number(links.contactIds[0]);
+      if (links.accountId) activityData.org_id = Number(links.accountId);
+
+      const created = await request('/activities', { method: 'POST', body: activityData });
+
+      // Activities have no page of their own; link to the person or organization they sit on
+      const url = activityData.person_id
+        ? recordUrl('person', activityData.person_id as number)
+        : activityData.org_id ? recordUrl('organization', activityData.org_id as number) : null;
+
+      return { id: String(created.id), action: 'created', url, payload: activityData };
+    },
+
+    async createNote(summary: string, links: RecordLinks): Promise<SyncedRecord> {
+      const noteData: Record<string, unknown> = {
+        content: noteBody(summary),
+      };
+
+      const personId = links.contactIds[0];
+      if (personId) {
+        noteData.person_id = Number(personId);
+
+        // Attach to the person's open deal so the note shows in the deal timeline
+        const params = new URLSearchParams({ status: 'open', limit: '1' });
+        const deals = await request(`/persons/${personId}/deals?${params.toString()}`);
+        if (deals?.[0]?.id) {
+          noteData.deal_id = deals[0].id;
+        }
+      }
+      if (links.accountId) noteData.org_id = Number(links.accountId);
+
+      // Pipedrive rejects notes that are not attached to anything
+      if (!noteData.person_id && !noteData.org_id) {
+        throw new Error('No synced person or organization to attach the note to');
+      }
+
+      const created = await request('/notes', { method: 'POST', body: noteData });
+
+      const url = noteData.deal_id
+        ? recordUrl('deal', noteData.deal_id as number)
+        : noteData.person_id
+          ? recordUrl('person', noteData.person_id as number)
+          : recordUrl('organization', noteData.org_id as number);
+
+      return { id: String(created.id), action: 'created', url, payload: noteData };
+    },
+
+    needsRefresh(): boolean {
+      // Pipedrive access tokens are valid for one hour
+      const expiresAt = Number(credentials.settings?.pipedrive_token_expires_at || 0);
+      return expiresAt <= Date.now() + REFRESH_MARGIN_MS;
+    },
+
+    async refreshToken(): Promise<CRMCredentials> {
+      if (!credentials.refreshToken) {
+        throw new Error('Pipedrive access token expired and no refresh token is stored');
+      }
+
+      const clientId = Deno.env.get('PIPEDRIVE_CLIENT_ID');
+      const clientSecret = Deno.env.get('PIPEDRIVE_CLIENT_SECRET');
+      if (!clientId || !clientSecret) {
+        throw new Error('Pipedrive credentials not configured. Please set PIPEDRIVE_CLIENT_ID and PIPEDRIVE_CLIENT_SECRET secrets.');
+      }
+
+      console.log('[CRM Pipedrive] Refreshing access token');
+
+      const response = await fetch(`${OAUTH_URL}/oauth/token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${btoa(`${clientId}:${clientSecret}`)}`,
+        },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: credentials.refreshToken,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to refresh Pipedrive token: ${errorText}`);
+      }
+
+      const tokens = await response.json();
+      accessToken = tokens.access_token;
+      apiDomain = tokens.api_domain || apiDomain;
+
+      return {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || credentials.refreshToken,
+        settings: {
+          ...credentials.settings,
+          pipedrive_api_domain: apiDomain,
+          pipedrive_token_expires_at: Date.now() + tokens.expires_in * 1000,
+        },
+      };
+    },
+
+    describeFields(): CRMFieldMapping[] {
+      return FIELD_MAPPINGS;
+    },
+  };
+}
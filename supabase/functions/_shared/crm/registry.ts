@@ -0,0 +1,30 @@
+/**
+ * CRM adapter registry, keyed by the `crm_provider` enum
+ */
+
+import type { CRMAdapter, CRMAdapterFactory, CRMCredentials, CRMProvider } from './types.ts';
+import { createSalesforceAdapter } from './salesforce.ts';
+import { createHubSpotAdapter } from './hubspot.ts';
+import { createPipedriveAdapter } from './pipedrive.ts';
+
+const adapters: Record<CRMProvider, CRMAdapterFactory> = {
+  salesforce: createSalesforceAdapter,
+  hubspot: createHubSpotAdapter,
+  pipedrive: createPipedriveAdapter,
+};
+
+export function isSupportedProvider(provider: string | null | undefined): provider is CRMProvider {
+  return !!provider && Object.prototype.hasOwnProperty.call(adapters, provider);
+}
+
+/**
+ * Build the adapter for a connected CRM
+ * Throws when the provider has no adapter or its settings are incomplete.
+ */
+export function getCRMAdapter(provider: string, credentials: CRMCredentials): CRMAdapter {
+  if (!isSupportedProvider(provider)) {
+    throw new Error(`CRM provider '${provider}' not yet supported`);
+  }
+
+  return adapters[provider](credentials);
+}
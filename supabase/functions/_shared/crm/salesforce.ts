@@ -0,0 +1,225 @@
+/**
+ * Salesforce CRM adapter (REST API v58.0)
+ */
+
+import type {
+  ActionItem,
+  CRMAdapter,
+  CRMCredentials,
+  CRMFieldMapping,
+  ExtractedCompany,
+  ExtractedContact,
+  RecordLinks,
+  SyncedRecord,
+} from './types.ts';
+import { CRMAuthError } from './auth.ts';
+import { contactName, noteBody, normalizePriority, taskDescription, taskDueDate, taskSubject } from './mapping.ts';
+
+const API_VERSION = 'v58.0';
+const TOKEN_URL = 'https://login.salesforce.com/services/oauth2/token';
+
+const PRIORITY_MAP: Record<string, string> = {
+  low: 'Low',
+  medium: 'Normal',
+  high: 'High',
+  urgent: 'High',
+};
+
+const FIELD_MAPPINGS: CRMFieldMapping[] = [
+  { object: 'contact', crmObject: 'Contact', crmField: 'FirstName', source: 'contacts[].first_name' },
+  { object: 'contact', crmObject: 'Contact', crmField: 'LastName', source: 'contacts[].last_name' },
+  { object: 'contact', crmObject: 'Contact', crmField: 'Email', source: 'contacts[].email' },
+  { object: 'contact', crmObject: 'Contact', crmField: 'Phone', source: 'contacts[].phone' },
+  { object: 'contact', crmObject: 'Contact', crmField: 'Title', source: 'contacts[].title' },
+  { object: 'contact', crmObject: 'Contact', crmField: 'AccountId', source: 'contacts[].company' },
+  { object: 'account', crmObject: 'Account', crmField: 'Name', source: 'companies[].name' },
+  { object: 'task', crmObject: 'Task', crmField: 'Subject', source: 'action_items[].task' },
+  { object: 'task', crmObject: 'Task', crmField: 'Priority', source: 'action_items[].priority' },
+  { object: 'task', crmObject: 'Task', crmField: 'ActivityDate', source: 'action_items[].due_date' },
+  { object: 'note', crmObject: 'Task', crmField: 'Description', source: 'summary' },
+];
+
+/** Quote a value for use inside a SOQL string literal */
+const soqlString = (value: string) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+export function createSalesforceAdapter(credentials: CRMCredentials): CRMAdapter {
+  let accessToken = credentials.accessToken;
+
+  let instanceUrl = credentials.settings?.salesforce_instance_url;
+  if (!instanceUrl) {
+    throw new Error('Salesforce instance URL not found');
+  }
+
+  const request = async (path: string, init: { method?: string; body?: unknown } = {}): Promise<any> => {
+    const response = await fetch(`${instanceUrl}/services/data/${API_VERSION}${path}`, {
+      method: init.method || 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: init.body ? JSON.stringify(init.body) : undefined,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (response.status === 401) {
+        throw new CRMAuthError(`Salesforce API 401: ${errorText}`);
+      }
+      throw new Error(`Salesforce API ${response.status}: ${errorText}`);
+    }
+
+    // PATCH returns 204 No Content
+    return response.status === 204 ? null : response.json();
+  };
+
+  const recordUrl = (sobject: string, id: string) => `${instanceUrl}/lightning/r/${sobject}/${id}/view`;
+
+  const findId = async (soql: string): Promise<string | null> => {
+    const result = await request(`/query?q=${encodeURIComponent(soql)}`);
+    return result?.records?.[0]?.Id || null;
+  };
+
+  return {
+    provider: 'salesforce',
+    label: 'Salesforce',
+
+    async upsertContact(contact: ExtractedContact, accountId?: string): Promise<SyncedRecord> {
+      console.log('[CRM Salesforce] Syncing contact:', contact.name);
+
+      const { firstName, lastName } = contactName(contact);
+      const contactData: Record<string, unknown> = { LastName: lastName };
+
+      if (firstName) contactData.FirstName = firstName;
+      if (contact.email) contactData.Email = contact.email;
+      if (contact.phone) contactData.Phone = contact.phone;
+      if (contact.title) contactData.Title = contact.title;
+      if (accountId) contactData.AccountId = accountId;
+      if (contact.confidence) {
+        contactData.Description = `Extracted from voice recording. Confidence: ${Math.round(contact.confidence * 100)}%`;
+      }
+
+      const existingId = contact.email
+        ? await findId(`SELECT Id FROM Contact WHERE Email = ${soqlString(contact.email)} LIMIT 1`)
+        : null;
+
+      if (existingId) {
+        console.log('[CRM Salesforce] Found existing contact:', existingId);
+        await request(`/sobjects/Contact/${existingId}`, { method: 'PATCH', body: contactData });
+        return { id: existingId, action: 'updated', url: recordUrl('Contact', existingId), payload: contactData };
+      }
+
+      const created = await request('/sobjects/Contact', { method: 'POST', body: contactData });
+      return { id: created.id, action: 'created', url: recordUrl('Contact', created.id), payload: contactData };
+    },
+
+    async upsertAccount(company: ExtractedCompany): Promise<SyncedRecord> {
+      console.log('[CRM Salesforce] Syncing account:', company.name);
+
+      const existingId = await findId(`SELECT Id FROM Account WHERE Name = ${soqlString(company.name)} LIMIT 1`);
+      if (existingId) {
+        console.log('[CRM Salesforce] Found existing account:', existingId);
+        return { id: existingId, action: 'updated', url: recordUrl('Account', existingId) };
+      }
+
+      // Industry is a restricted picklist, so keep extracted details in the description
+      const details = [company.industry, company.size].filter(Boolean).join(', ');
+      const accountData = {
+        Name: company.name,
+        Description: details ? `Extracted from voice recording: ${details}` : 'Extracted from voice recording',
+      };
+      const created = await request('/sobjects/Account', { method: 'POST', body: accountData });
+      return { id: created.id, action: 'created', url: recordUrl('Account', created.id), payload: accountData };
+    },
+
+    async createTask(actionItem: ActionItem, links: RecordLinks): Promise<SyncedRecord> {
+      const taskData: Record<string, unknown> = {
+        Subject: taskSubject(actionItem),
+        Description: taskDescription(actionItem),
+        Status: 'Not Started',
+        Priority: PRIORITY_MAP[normalizePriority(actionItem.priority)],
+      };
+
+      // Resolved from what was said against the recording day (see ../dates.ts)
+      const dueDate = taskDueDate(actionItem);
+      if (dueDate) taskData.ActivityDate = dueDate;
+      if (links.contactIds[0]) taskData.WhoId = links.contactIds[0];
+      if (links.accountId) taskData.WhatId = links.accountId;
+
+      const created = await request('/sobjects/Task', { method: 'POST', body: taskData });
+      return { id: created.id, action: 'created', url: recordUrl('Task', created.id), payload: taskData };
+    },
+
+    async createNote(summary: string, links: RecordLinks): Promise<SyncedRecord> {
+      // Logged as a completed task so it shows in the activity timeline
+      const noteData: Record<string, unknown> = {
+        Subject: 'Voice note summary',
+        Description: noteBody(summary),
+        Status: 'Completed',
+        Priority: 'Normal',
+        ActivityDate: new Date().toISOString().split('T')[0],
+      };
+
+      if (links.contactIds[0]) noteData.WhoId = links.contactIds[0];
+      if (links.accountId) noteData.WhatId = links.accountId;
+
+      const created = await request('/sobjects/Task', { method: 'POST', body: noteData });
+      return { id: created.id, action: 'created', url: recordUrl('Task', created.id), payload: noteData };
+    },
+
+    needsRefresh(): boolean {
+      // Salesforce does not report an expiry; an expired session comes back as a 401
+      // and is refreshed by withTokenRefresh (see ./auth.ts)
+      return false;
+    },
+
+    async refreshToken(): Promise<CRMCredentials> {
+      if (!credentials.refreshToken) {
+        throw new Error('Salesforce access token expired and no refresh token is stored');
+      }
+
+      const clientId = Deno.env.get('SALESFORCE_CLIENT_ID');
+      const clientSecret = Deno.env.get('SALESFORCE_CLIENT_SECRET');
+      if (!clientId || !clientSecret) {
+        throw new Error('Salesforce credentials not configured. Please set SALESFORCE_CLIENT_ID and SALESFORCE_CLIENT_SECRET secrets.');
+      }
+
+      console.log('[CRM Salesforce] Refreshing access token');
+
+      const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: credentials.refreshToken,
+          client_id: clientId,
+          client_secret: clientSecret,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to refresh Salesforce token: ${errorText}`);
+      }
+
+      const tokens = await response.json();
+      accessToken = tokens.access_token;
+      instanceUrl = tokens.instance_url || instanceUrl;
+
+      return {
+        accessToken: tokens.access_token,
+        // Salesforce keeps the original refresh token
+        refreshToken: credentials.refreshToken,
+        settings: {
+          ...credentials.settings,
+          salesforce_instance_url: instanceUrl,
+        },
+      };
+    },
+
+    describeFields(): CRMFieldMapping[] {
+      return FIELD_MAPPINGS;
+    },
+  };
+}
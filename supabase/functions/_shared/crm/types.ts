@@ -0,0 +1,103 @@
+/**
+ * CRM adapter contract
+ *
+ * Every CRM provider implements CRMAdapter so crm-sync can push extracted
+ * data without knowing provider APIs. Adapters are looked up by the
+ * `crm_provider` enum value in ./registry.ts.
+ */
+
+export type CRMProvider = 'salesforce' | 'hubspot' | 'pipedrive';
+
+export type Priority = 'low' | 'medium' | 'high' | 'urgent';
+
+export interface ExtractedContact {
+  name: string;
+  /** Parsed from name by analyze (see ../contacts.ts); absent on older analyses */
+  first_name?: string | null;
+  last_name?: string | null;
+  name_suffix?: string | null;
+  email?: string | null;
+  phone?: string | null;
+  company?: string | null;
+  title?: string | null;
+  confidence?: number;
+}
+
+export interface ExtractedCompany {
+  name: string;
+  industry?: string | null;
+  size?: string | null;
+  confidence?: number;
+}
+
+export interface ActionItem {
+  task?: string;
+  title?: string;
+  description?: string;
+  priority?: Priority;
+  due_date?: string | null;
+  /** What was said, e.g. "next Tuesday"; due_date is already resolved from it */
+  due_phrase?: string | null;
+  confidence?: number;
+}
+
+/**
+ * Tokens plus provider-specific connection settings
+ * (instance URL, API domain, token expiry, ...)
+ */
+export interface CRMCredentials {
+  accessToken: string;
+  refreshToken: string | null;
+  settings: Record<string, any>;
+}
+
+export interface SyncedRecord {
+  id: string;
+  action: 'created' | 'updated';
+  /** Link to the record (or the record it is attached to) in the CRM UI */
+  url?: string | null;
+  /** Fields sent to the CRM, kept in the sync log */
+  payload?: Record<string, unknown>;
+}
+
+/** CRM records a new record should be attached to */
+export interface RecordLinks {
+  contactIds: string[];
+  accountId?: string;
+}
+
+/** Describes how an extracted field lands in the CRM */
+export interface CRMFieldMapping {
+  object: 'contact' | 'account' | 'task' | 'note';
+  crmObject: string;
+  crmField: string;
+  source: string;
+}
+
+export interface CRMAdapter {
+  readonly provider: CRMProvider;
+  readonly label: string;
+
+  /** Create or update a contact, linking it to an account when given */
+  upsertContact(contact: ExtractedContact, accountId?: string): Promise<SyncedRecord>;
+
+  /** Find an account/company/organization by name or create it */
+  upsertAccount(company: ExtractedCompany): Promise<SyncedRecord>;
+
+  createTask(actionItem: ActionItem, links: RecordLinks): Promise<SyncedRecord>;
+
+  createNote(summary: string, links: RecordLinks): Promise<SyncedRecord>;
+
+  /** True when the access token is known to expire soon */
+  needsRefresh(): boolean;
+
+  /**
+   * Exchange the refresh token for a new access token. The adapter uses the
+   * new token from then on; the caller persists the returned credentials.
+   */
+  refreshToken(): Promise<CRMCredentials>;
+
+  describeFields(): CRMFieldMapping[];
+}
+
+export type CRMAdapterFactory = (credentials: CRMCredentials) => CRMAdapter;
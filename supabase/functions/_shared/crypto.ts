@@ -0,0 +1,60 @@
+/**
+ * Token encryption for values stored at rest (AES-256-GCM)
+ *
+ * The key is the CRM_TOKEN_ENCRYPTION_KEY secret: 32 random bytes, base64
+ * encoded (generate with `openssl rand -base64 32`). It only exists in the
+ * Edge Function environment, so the database never sees plaintext tokens.
+ *
+ * Ciphertext format: `v1:<base64 iv>:<base64 ciphertext+tag>`
+ */
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+let cachedKey: Promise<CryptoKey> | null = null;
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (value: string) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+const getKey = (): Promise<CryptoKey> => {
+  if (!cachedKey) {
+    const secret = Deno.env.get('CRM_TOKEN_ENCRYPTION_KEY');
+    if (!secret) {
+      throw new Error('CRM_TOKEN_ENCRYPTION_KEY not configured. Please set it as a Supabase secret.');
+    }
+
+    const raw = fromBase64(secret);
+    if (raw.length !== 32) {
+      throw new Error('CRM_TOKEN_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+    }
+
+    cachedKey = crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+  return cachedKey;
+};
+
+export async function encryptToken(plaintext: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await getKey(),
+    new TextEncoder().encode(plaintext)
+  );
+
+  return `${VERSION}:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+export async function decryptToken(value: string): Promise<string> {
+  const [version, iv, ciphertext] = value.split(':');
+  if (version !== VERSION || !iv || !ciphertext) {
+    throw new Error('Unrecognized encrypted token format');
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    await getKey(),
+    fromBase64(ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
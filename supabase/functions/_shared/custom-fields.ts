@@ -0,0 +1,174 @@
+/**
+ * Team-defined extraction fields
+ *
+ * Admins add fields to `teams.settings.customFields` (e.g. products discussed,
+ * competitor in place, budget). analyze asks the model for them alongside the
+ * built-in extraction and stores the values in analysis_results.custom_fields,
+ * keyed by field name.
+ */
+
+import type { JSONSchema } from './extraction-schema.ts';
+
+export type CustomFieldType = 'text' | 'number' | 'boolean' | 'date' | 'enum' | 'list';
+
+export interface CustomField {
+  /** snake_case key in custom_fields */
+  name: string;
+  type: CustomFieldType;
+  /** Tells the model what to look for */
+  description: string;
+  /** Allowed values for 'enum' fields */
+  values?: string[];
+}
+
+export const CUSTOM_FIELD_TYPES: CustomFieldType[] = ['text', 'number', 'boolean', 'date', 'enum', 'list'];
+export const MAX_CUSTOM_FIELDS = 20;
+
+const FIELD_NAME = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Keep the well-formed definitions from a team's settings; anything else is
+ * skipped rather than failing every analysis for the team
+ */
+export function parseCustomFields(raw: unknown): CustomField[] {
+  if (!Array.isArray(raw)) return [];
+
+  const seen = new Set<string>();
+  const fields: CustomField[] = [];
+
+  for (const entry of raw) {
+    if (fields.length >= MAX_CUSTOM_FIELDS) break;
+    if (!entry || typeof entry !== 'object') continue;
+
+    const { name, type, description, values } = entry as Record<string, unknown>;
+    if (typeof name !== 'string' || !FIELD_NAME.test(name) || seen.has(name)) continue;
+    if (!CUSTOM_FIELD_TYPES.includes(type as CustomFieldType)) continue;
+
+    const enumValues = Array.isArray(values)
+      ? values.filter((value): value is string => typeof value === 'string' && value.trim() !== '')
+      : [];
+    if (type === 'enum' && enumValues.length === 0) continue;
+
+    seen.add(name);
+    fields.push({
+      name,
+      type: type as CustomFieldType,
+      description: typeof description === 'string' ? description : '',
+      ...(type === 'enum' ? { values: enumValues } : {}),
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Custom field definitions for a user's team; none when they have no team
+ */
+export async function loadCustomFields(supabase: any, userId: string): Promise<CustomField[]> {
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('teams:team_id (settings)')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[CustomFields] Failed to load team settings, extracting built-in fields only:', error);
+    return [];
+  }
+
+  return parseCustomFields(profile?.teams?.settings?.customFields);
+}
+
+/**
+ * JSON Schema for the `custom_fields` object the model returns.
+ * Every field is required and nullable, so "not mentioned" is explicit.
+ */
+export function customFieldsSchema(fields: CustomField[]): JSONSchema {
+  const valueSchema = (field: CustomField): JSONSchema => {
+    switch (field.type) {
+      case 'number':
+        return { type: ['number', 'null'] };
+      case 'boolean':
+        return { type: ['boolean', 'null'] };
+      case 'date':
+        return { type: ['string', 'null'], format: 'date' };
+      case 'enum':
+        return { enum: [...(field.values || []), null] };
+      case 'list':
+        return { type: 'array', items: { type: 'string' } };
+      default:
+        return { type: ['string', 'null'] };
+    }
+  };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: fields.map((field) => field.name),
+    properties: Object.fromEntries(
+      fields.map((field) => [field.name, { description: field.description, ...valueSchema(field) }])
+    ),
+  };
+}
+
+/**
+ * Prompt section asking for the team's fields, or for an empty object when
+ * the team has none
+ */
+export function customFieldsPrompt(fields: CustomField[]): string {
+  if (fields.length === 0) {
+    return 'Set "custom_fields" to {}.';
+  }
+
+  const lines = fields.map((field) => {
+    const allowed = field.type === 'enum' ? ` One of: ${field.values!.join(', ')}.` : '';
+    return `- ${field.name} (${field.type}): ${field.description}${allowed}`;
+  });
+
+  return [
+    'Also extract these team-specific fields into "custom_fields". Use null (or [] for lists) when the transcript does not mention them:',
+    ...lines,
+    '"custom_fields" must match this JSON Schema:',
+    JSON.stringify(customFieldsSchema(fields)),
+  ].join('\n');
+}
+
+/**
+ * Coerce the model's values to each field's type; values that cannot be
+ * coerced become null rather than being stored with the wrong type
+ */
+export function coerceCustomFields(fields: CustomField[], raw: unknown): Record<string, unknown> {
+  const input = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw as Record<string, unknown> : {};
+
+  const coerce = (field: CustomField, value: unknown): unknown => {
+    if (value === undefined || value === null || value === '') {
+      return field.type === 'list' ? [] : null;
+    }
+
+    switch (field.type) {
+      case 'number': {
+        const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+        return Number.isFinite(parsed) ? parsed : null;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (/^(true|yes)$/i.test(String(value))) return true;
+        if (/^(false|no)$/i.test(String(value))) return false;
+        return null;
+      case 'date':
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? String(value) : null;
+      case 'enum': {
+        const match = field.values!.find((option) => option.toLowerCase() === String(value).toLowerCase());
+        return match ?? null;
+      }
+      case 'list':
+        return (Array.isArray(value) ? value : [value])
+          .filter((item) => item !== null && item !== undefined && item !== '')
+          .map(String);
+      default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  };
+
+  return Object.fromEntries(fields.map((field) => [field.name, coerce(field, input[field.name])]));
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { localDate, normalizeDates, resolveDatePhrase } from './dates.ts';
+
+// A Tuesday
+const REFERENCE = '2024-11-12';
+
+const resolve = (phrase: string, reference = REFERENCE) => resolveDatePhrase(phrase, reference);
+
+describe('resolveDatePhrase', () => {
+  it('resolves days relative to the recording', () => {
+    expect(resolve('today')).toBe('2024-11-12');
+    expect(resolve('by EOD')).toBe('2024-11-12');
+    expect(resolve('tomorrow')).toBe('2024-11-13');
+    expect(resolve('the day after tomorrow')).toBe('2024-11-14');
+    expect(resolve('yesterday')).toBe('2024-11-11');
+  });
+
+  it('resolves weekdays', () => {
+    expect(resolve('Tuesday')).toBe('2024-11-19');
+    expect(resolve('monday')).toBe('2024-11-18');
+    expect(resolve('this friday')).toBe('2024-11-15');
+    expect(resolve('next Tuesday')).toBe('2024-11-19');
+    expect(resolve('next Friday')).toBe('2024-11-22');
+    expect(resolve('following Monday')).toBe('2024-11-18');
+  });
+
+  it('resolves a weekday after next to the week after next', () => {
+    expect(resolve('Monday after next')).toBe('2024-11-25');
+    expect(resolve('call her Friday after next')).toBe('2024-11-29');
+    expect(resolve('Sunday after next', '2024-11-17')).toBe('2024-12-01');
+  });
+
+  it('resolves amounts of time from now', () => {
+    expect(resolve('in 3 days')).toBe('2024-11-15');
+    expect(resolve('in two weeks')).toBe('2024-11-26');
+    expect(resolve('a month from now')).toBe('2024-12-12');
+    expect(resolve('in 1 month', '2024-01-31')).toBe('2024-02-29');
+    expect(resolve('within a year')).toBe('2025-11-12');
+  });
+
+  it('resolves the end of a period', () => {
+    expect(resolve('end of the week')).toBe('2024-11-15');
+    expect(resolve('end of this week')).toBe('2024-11-15');
+    expect(resolve('end of next week')).toBe('2024-11-22');
+    expect(resolve('end of the week', '2024-11-16')).toBe('2024-11-22');
+    expect(resolve('end of the month')).toBe('2024-11-30');
+    expect(resolve('end of the quarter')).toBe('2024-12-31');
+    expect(resolve('end of next quarter')).toBe('2025-03-31');
+    expect(resolve('EOQ')).toBe('2024-12-31');
+    expect(resolve('EOY')).toBe('2024-12-31');
+  });
+
+  it('resolves the start of the next period', () => {
+    expect(resolve('next week')).toBe('2024-11-18');
+    expect(resolve('next month')).toBe('2024-12-01');
+    expect(resolve('next quarter')).toBe('2025-01-01');
+    expect(resolve('next year')).toBe('2025-01-01');
+  });
+
+  it('resolves month and day to the closest occurrence', () => {
+    expect(resolve('March 5th')).toBe('2025-03-05');
+    expect(resolve('Nov 3')).toBe('2024-11-03');
+    expect(resolve('5 March')).toBe('2025-03-05');
+    expect(resolve('March 5th 2026')).toBe('2026-03-05');
+    expect(resolve('Feb 29', '2025-01-10')).toBe('2024-02-29');
+  });
+
+  it('keeps explicit dates that are on the calendar', () => {
+    expect(resolve('2024-12-02')).toBe('2024-12-02');
+    expect(resolve('2024-02-30')).toBeNull();
+  });
+
+  it('is null for phrases it does not recognize', () => {
+    expect(resolve('sometime soon')).toBeNull();
+    expect(resolve('Feb 30')).toBeNull();
+    expect(resolveDatePhrase(null, REFERENCE)).toBeNull();
+    expect(resolveDatePhrase('tomorrow', 'not a date')).toBeNull();
+  });
+});
+
+describe('localDate', () => {
+  it('gives the calendar day in the timezone', () => {
+    expect(localDate('2024-11-13T02:00:00Z', 'America/Los_Angeles')).toBe('2024-11-12');
+    expect(localDate('2024-11-12T23:30:00Z', 'Asia/Tokyo')).toBe('2024-11-13');
+  });
+});
+
+describe('normalizeDates', () => {
+  it('prefers the resolved phrase and keeps the model date otherwise', () => {
+    const result = normalizeDates(
+      {
+        action_items: [
+          { task: 'Send proposal', due_date: '2024-11-18', due_phrase: 'Monday after next' },
+          { task: 'Check in', due_date: '2024-12-20', due_phrase: 'before the holidays' },
+          { task: 'Call back', due_date: null },
+        ],
+        dates: [{ date: '2024-11-01', phrase: 'end of the month', context: 'Renewal' }],
+      },
+      { date: REFERENCE, timeZone: 'UTC' }
+    );
+
+    expect(result.action_items.map((item: any) => item.due_date)).toEqual(['2024-11-25', '2024-12-20', null]);
+    expect(result.dates[0].date).toBe('2024-11-30');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Relative date resolution
+ *
+ * Reps say "follow up next Tuesday" or "end of the quarter". analyze tells the
+ * model the day the note was recorded (recordings.created_at in the user's
+ * settings.timezone) and asks for the words used alongside each date
+ * (`due_phrase` on action items, `phrase` on dates). normalizeDates then
+ * resolves those words itself whenever it recognizes them, so the same phrase
+ * always gives the same date; the model's date is kept only for phrases it
+ * does not recognize.
+ *
+ * Rules, relative to the recording day:
+ *   today / tomorrow / yesterday / the day after tomorrow
+ *   "Tuesday", "this Tuesday"  the next Tuesday after today
+ *   "next Tuesday"             Tuesday of next week (weeks start on Monday)
+ *   "Tuesday after next"       Tuesday of the week after next
+ *   "in 3 days", "in two weeks", "a month from now"
+ *   "next week / month / quarter / year"  its first day (Monday for weeks)
+ *   "end of the week"          Friday of this week (next Friday on weekends)
+ *   "end of the month / quarter / year", also "end of next ..."
+ *   "March 5th", "5 March"     the closest March 5th to the recording
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export interface ReferenceDate {
+  /** Calendar day the note was recorded, in the user's timezone (YYYY-MM-DD) */
+  date: string;
+  timeZone: string;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const NUMBER_WORDS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2,
+};
+
+// "EOW", "EOM", "EOQ", "EOY"
+const ABBREVIATED_UNITS: Record<string, string> = { w: 'week', m: 'month', q: 'quarter', y: 'year' };
+
+const UNIT = '(day|week|month|year)s?';
+const AMOUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const MONTH_NAME = `(${MONTHS.map((month) => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|')})\\.?`;
+const DAY_NUMBER = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Days are handled as UTC midnights so arithmetic never crosses a DST change
+const toDay = (iso: string) => {
+  const [, year, month, day] = iso.match(ISO_DATE)!;
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+};
+const toIso = (day: Date) => day.toISOString().slice(0, 10);
+const addDays = (day: Date, days: number) => new Date(day.getTime() + days * 86_400_000);
+const dayOf = (year: number, month: number, date: number) => new Date(Date.UTC(year, month, date));
+const lastDayOf = (year: number, month: number) => dayOf(year, month + 1, 0);
+
+// Adding months keeps the day of the month where possible (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (day: Date, months: number) => {
+  const target = dayOf(day.getUTCFullYear(), day.getUTCMonth() + months, 1);
+  const lastDay = lastDayOf(target.getUTCFullYear(), target.getUTCMonth()).getUTCDate();
+  return dayOf(target.getUTCFullYear(), target.getUTCMonth(), Math.min(day.getUTCDate(), lastDay));
+};
+
+// Monday of the day's week
+const weekStart = (day: Date) => addDays(day, -((day.getUTCDay() + 6) % 7));
+
+const parseAmount = (value: string) => NUMBER_WORDS[value] ?? parseInt(value, 10);
+
+const monthIndex = (name: string) => MONTHS.findIndex((month) => month.startsWith(name.slice(0, 3)));
+
+/**
+ * Whether the runtime knows an IANA timezone name
+ */
+export function isValidTimeZone(timeZone: unknown): timeZone is string {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar day of an instant in a timezone
+ */
+export function localDate(instant: string | Date, timeZone: string): string {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(new Date(instant));
+  const part = (type: string) => parts.find((entry) => entry.type === type)?.value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * The day a recording was made, in its owner's timezone
+ */
+export async function loadReferenceDate(supabase: any, recordingId: string, userId: string): Promise<ReferenceDate> {
+  const [{ data: recording, error: recordingError }, { data: profile, error: profileError }] = await Promise.all([
+    supabase.from('recordings').select('created_at').eq('id', recordingId).single(),
+    supabase.from('user_profiles').select('settings').eq('id', userId).single(),
+  ]);
+
+  if (recordingError) {
+    console.error('[Dates] Failed to load recording time, using now:', recordingError);
+  }
+  if (profileError) {
+    console.error('[Dates] Failed to load timezone, using UTC:', profileError);
+  }
+
+  const timeZone = isValidTimeZone(profile?.settings?.timezone) ? profile.settings.timezone : DEFAULT_TIMEZONE;
+
+  return {
+    date: localDate(recording?.created_at || new Date(), timeZone),
+    timeZone,
+  };
+}
+
+/**
+ * Resolve a spoken date expression to YYYY-MM-DD, or null when it is not one
+ * of the recognized forms
+ */
+export function resolveDatePhrase(phrase: unknown, reference: string): string | null {
+  if (typeof phrase !== 'string' || !ISO_DATE.test(reference)) return null;
+
+  const text = phrase.toLowerCase().replace(/[,;!?]/g, ' ').replace(/\s+/g, ' ').trim();
+  const today = toDay(reference);
+  let match: RegExpMatchArray | null;
+
+  if ((match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    const day = dayOf(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toIso(day) === match[0] ? match[0] : null;
+  }
+
+  if (/\bday after tomorrow\b/.test(text)) return toIso(addDays(today, 2));
+  if (/\btomorrow\b/.test(text)) return toIso(addDays(today, 1));
+  if (/\byesterday\b/.test(text)) return toIso(addDays(today, -1));
+  if (/\b(today|tonight|end of (the )?day|eod)\b/.test(text)) return toIso(today);
+
+  if ((match = text.match(new RegExp(`\\b(?:in|within) (?:the next )?(?:a )?${AMOUNT} (?:of )?${UNIT}\\b`))) ||
+      (match = text.match(new RegExp(`\\b${AMOUNT} (?:of )?${UNIT} (?:from now|from today|later|out)\\b`)))) {
+    const amount = parseAmount(match[1]);
+    switch (match[2]) {
+      case 'day': return toIso(addDays(today, amount));
+      case 'week': return toIso(addDays(today, amount * 7));
+      case 'month': return toIso(addMonths(today, amount));
+      default: return toIso(addMonths(today, amount * 12));
+    }
+  }
+
+  if ((match = text.match(/\bend of(?: the)? ?(this |next |following )?(week|month|quarter|year)\b/)) ||
+      (match = text.match(/\b()eo(w|m|q|y)\b/))) {
+    const next = /next|following/.test(match[1] || '');
+    const unit = ABBREVIATED_UNITS[match[2]] || match[2];
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+
+    switch (unit) {
+      case 'week': {
+        // The working week ends on Friday; said at the weekend, that is the coming Friday
+        const friday = addDays(weekStart(today), 4);
+        const thisWeek = friday < today ? addDays(friday, 7) : friday;
+        return toIso(next ? addDays(thisWeek, 7) : thisWeek);
+      }
+      case 'month':
+        return toIso(lastDayOf(year, month + (next ? 1 : 0)));
+      case 'quarter':
+        return toIso(lastDayOf(year, Math.floor(month / 3) * 3 + 2 + (next ? 3 : 0)));
+      default:
+        return toIso(dayOf(year + (next ? 1 : 0), 11, 31));
+    }
+  }
+
+  if ((match = text.match(/\b(?:(?:beginning|start) of )?(?:the )?(next|following) (week|month|quarter|year)\b/))) {
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+
+    switch (match[2]) {
+      case 'week': return toIso(addDays(weekStart(today), 7));
+      case 'month': return toIso(dayOf(year, month + 1, 1));
+      case 'quarter': return toIso(dayOf(year, Math.floor(month / 3) * 3 + 3, 1));
+      default: return toIso(dayOf(year + 1, 0, 1));
+    }
+  }
+
+  if ((match = text.match(new RegExp(`\\b${MONTH_NAME} ${DAY_NUMBER}(?: (\\d{4}))?\\b`))) ||
+      (match = text.match(new RegExp(`\\b${DAY_NUMBER} (?:of )?${MONTH_NAME}(?: (\\d{4}))?\\b`)))) {
+    const monthFirst = isNaN(Number(match[1]));
+    const month = monthIndex(monthFirst ? match[1] : match[2]);
+    const date = Number(monthFirst ? match[2] : match[1]);
+
+    if (month < 0 || date < 1 || date > lastDayOf(2000, month).getUTCDate()) return null;
+
+    if (match[3]) {
+      const day = dayOf(Number(match[3]), month, date);
+      return day.getUTCMonth() === month ? toIso(day) : null;
+    }
+
+    // No year: whichever occurrence is closest to the recording
+    const year = today.getUTCFullYear();
+    const candidates = [year - 1, year, year + 1]
+      .map((candidate) => dayOf(candidate, month, date))
+      .filter((day) => day.getUTCMonth() === month);
+    candidates.sort((a, b) => Math.abs(a.getTime() - today.getTime()) - Math.abs(b.getTime() - today.getTime()));
+    return candidates.length > 0 ? toIso(candidates[0]) : null;
+  }
+
+  if ((match = text.match(new RegExp(`\\b(${WEEKDAYS.join('|')}) after next\\b`)))) {
+    const weekday = WEEKDAYS.indexOf(match[1]);
+    return toIso(addDays(weekStart(today), 14 + ((weekday + 6) % 7)));
+  }
+
+  if ((match = text.match(new RegExp(`\\b(?:(this|coming|next|following) )?(${WEEKDAYS.join('|')})\\b`)))) {
+    const weekday = WEEKDAYS.indexOf(match[2]);
+
+    if (match[1] === 'next' || match[1] === 'following') {
+      return toIso(addDays(weekStart(today), 7 + ((weekday + 6) % 7)));
+    }
+
+    const ahead = (weekday - today.getUTCDay() + 7) % 7 || 7;
+    return toIso(addDays(today, ahead));
+  }
+
+  return null;
+}
+
+/**
+ * Replace the model's action item due dates and mentioned dates with the
+ * resolved phrase where it can be resolved
+ */
+export function normalizeDates(extracted: Record<string, any>, reference: ReferenceDate): Record<string, any> {
+  // Unrecognized phrases keep the model's date; the schema checks its format
+  const resolve = (phrase: unknown, modelDate: unknown) => resolveDatePhrase(phrase, reference.date) ?? modelDate ?? null;
+
+  const result = { ...extracted };
+
+  if (Array.isArray(extracted.action_items)) {
+    result.action_items = extracted.action_items.map((item: any) =>
+      item && typeof item === 'object' && item.due_phrase
+        ? { ...item, due_date: resolve(item.due_phrase, item.due_date) }
+        : item
+    );
+  }
+
+  if (Array.isArray(extracted.dates)) {
+    result.dates = extracted.dates.map((item: any) =>
+      item && typeof item === 'object' && item.phrase
+        ? { ...item, date: resolve(item.phrase, item.date) }
+        : item
+    );
+  }
+
+  return result;
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { attachEvidence } from './evidence.ts';
+
+const segments = [
+  { text: 'Met with Jane Doe from Acme today.', start_ms: 0, end_ms: 2500 },
+  { text: 'She wants the proposal by Friday.', start_ms: 2500, end_ms: 5000 },
+  { text: 'Her email is jane dot doe at acme dot com', start_ms: 5000, end_ms: 8000 },
+  { text: 'and her cell is five five five, one two three four.', start_ms: 8000, end_ms: 11000 },
+];
+const text = segments.map((segment) => segment.text).join(' ');
+
+describe('attachEvidence', () => {
+  it('times a quote found in the transcript from its segments', () => {
+    const result = attachEvidence(
+      { action_items: [{ task: 'Send proposal', evidence: 'wants the proposal by Friday', confidence: 0.9 }] },
+      text,
+      segments
+    );
+
+    expect(result.action_items[0]).toEqual({
+      task: 'Send proposal',
+      confidence: 0.9,
+      evidence: { quote: 'wants the proposal by Friday', start_ms: 2500, end_ms: 5000, verified: true },
+    });
+  });
+
+  it('spans every segment a quote runs across', () => {
+    const result = attachEvidence(
+      { dates: [{ date: '2024-11-15', evidence: 'from Acme today. She wants the proposal', confidence: 0.8 }] },
+      text,
+      segments
+    );
+
+    expect(result.dates[0].evidence).toMatchObject({ start_ms: 0, end_ms: 5000, verified: true });
+  });
+
+  it('accepts a quote with a word or two off', () => {
+    const result = attachEvidence(
+      { buying_signals: [{ signal: 'Deadline', evidence: 'she wants a proposal by Friday', confidence: 0.7 }] },
+      text,
+      segments
+    );
+
+    expect(result.buying_signals[0].evidence.verified).toBe(true);
+    expect(result.buying_signals[0].confidence).toBe(0.7);
+  });
+
+  it('halves the confidence of items whose quote is not in the transcript', () => {
+    const result = attachEvidence(
+      {
+        action_items: [
+          { task: 'Book a demo', evidence: 'we should book a demo next week', confidence: 0.8 },
+          { task: 'Call back', confidence: 0.6 },
+        ],
+      },
+      text,
+      segments
+    );
+
+    expect(result.action_items[0].confidence).toBe(0.4);
+    expect(result.action_items[0].evidence).toEqual({
+      quote: 'we should book a demo next week',
+      start_ms: null,
+      end_ms: null,
+      verified: false,
+    });
+    expect(result.action_items[1]).toEqual({ task: 'Call back', evidence: null, confidence: 0.3 });
+  });
+
+  it('verifies quotes in a typed note without timing them', () => {
+    const result = attachEvidence(
+      { action_items: [{ task: 'Send proposal', evidence: 'proposal by Friday', confidence: 0.9 }] },
+      'Jane wants the proposal by Friday.',
+      []
+    );
+
+    expect(result.action_items[0].evidence).toEqual({
+      quote: 'proposal by Friday',
+      start_ms: null,
+      end_ms: null,
+      verified: true,
+    });
+  });
+
+  it('keeps spoken contact details', () => {
+    const result = attachEvidence(
+      { contacts: [{ name: 'Jane Doe', email: 'jane.doe@acme.com', phone: '+14155551234', evidence: 'Jane Doe' }] },
+      text,
+      segments
+    );
+
+    expect(result.contacts[0]).toMatchObject({ email: 'jane.doe@acme.com', phone: '+14155551234' });
+    expect(result.contacts[0].rejected_fields).toBeUndefined();
+  });
+
+  it('removes an email or phone number that was never said', () => {
+    const result = attachEvidence(
+      { contacts: [{ name: 'Jane Doe', email: 'jane@globex.com', phone: '+14155559999', evidence: 'Jane Doe' }] },
+      text,
+      segments
+    );
+
+    expect(result.contacts[0]).toMatchObject({ email: null, phone: null, rejected_fields: ['email', 'phone'] });
+  });
+
+  it('fills every grounded list even when the model left one out', () => {
+    const result = attachEvidence({ summary: 'Met Jane' }, text, segments);
+
+    expect(result).toEqual({ summary: 'Met Jane', contacts: [], action_items: [], dates: [], buying_signals: [] });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Grounding checks for extracted items
+ *
+ * The model quotes the words each contact, action item, date and buying
+ * signal came from ("evidence"). analyze looks each quote up in the
+ * transcript (or typed note) and replaces it with
+ *   { quote, start_ms, end_ms, verified }
+ * where the times come from the matching transcript segment, when stored.
+ * Items whose quote cannot be found are down-scored, and a contact's email or
+ * phone number is removed unless the transcript actually contains it.
+ */
+
+export interface SourceSegment {
+  text: string;
+  start_ms: number;
+  end_ms: number;
+}
+
+export interface Evidence {
+  quote: string;
+  start_ms: number | null;
+  end_ms: number | null;
+  /** The quote was found in the transcript */
+  verified: boolean;
+}
+
+export const GROUNDED_LISTS = ['contacts', 'action_items', 'dates', 'buying_signals'] as const;
+
+// Confidence multiplier for items whose quote is not in the transcript
+const UNVERIFIED_PENALTY = 0.5;
+// Share of a quote's words that must appear together in the transcript
+const FUZZY_MATCH_RATIO = 0.8;
+
+const NUMBER_WORDS: Record<string, string> = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+const tokenize = (text: string): string[] =>
+  text
+    .replace(/\[\[unclear:|\]\]/g, ' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+interface IndexedToken {
+  token: string;
+  segment: number;
+}
+
+/**
+ * Transcript words, each remembering the segment it came from
+ */
+function indexSource(text: string, segments: SourceSegment[]): IndexedToken[] {
+  if (segments.length === 0) {
+    return tokenize(text).map((token) => ({ token, segment: -1 }));
+  }
+  return segments.flatMap((segment, index) => tokenize(segment.text).map((token) => ({ token, segment: index })));
+}
+
+/**
+ * Where a quote occurs: an exact word-for-word match, or else the window of
+ * the same length sharing the most words with it (if enough of them)
+ */
+function locateQuote(quote: string, source: IndexedToken[]): { start: number; end: number } | null {
+  const words = tokenize(quote);
+  if (words.length === 0 || source.length === 0) return null;
+
+  const length = Math.min(words.length, source.length);
+  let best = { start: -1, score: 0 };
+
+  for (let start = 0; start + length <= source.length; start++) {
+    if (words.every((word, i) => source[start + i]?.token === word)) {
+      return { start, end: start + words.length - 1 };
+    }
+
+    const window = new Map<string, number>();
+    for (let i = start; i < start + length; i++) {
+      window.set(source[i].token, (window.get(source[i].token) || 0) + 1);
+    }
+    let shared = 0;
+    for (const word of words) {
+      const count = window.get(word) || 0;
+      if (count > 0) {
+        shared++;
+        window.set(word, count - 1);
+      }
+    }
+    if (shared > best.score) best = { start, score: shared };
+  }
+
+  return best.score / words.length >= FUZZY_MATCH_RATIO
+    ? { start: best.start, end: best.start + length - 1 }
+    : null;
+}
+
+/**
+ * Look a quote up in the source and time it from the segments it spans
+ */
+function findEvidence(quote: unknown, source: IndexedToken[], segments: SourceSegment[]): Evidence | null {
+  if (typeof quote !== 'string' || quote.trim() === '') return null;
+
+  const match = locateQuote(quote, source);
+  const first = match ? segments[source[match.start].segment] : undefined;
+  const last = match ? segments[source[match.end].segment] : undefined;
+
+  return {
+    quote: quote.trim(),
+    start_ms: first ? first.start_ms : null,
+    end_ms: last ? last.end_ms : null,
+    verified: match !== null,
+  };
+}
+
+/**
+ * Spoken digits ("five five five") count as digits
+ */
+const digitsOf = (tokens: string[]) =>
+  tokens.map((token) => NUMBER_WORDS[token] ?? token.replace(/\D/g, '')).join('');
+
+/**
+ * An email counts as heard when every word of its local part and the main
+ * part of its domain were said ("john dot smith at acme dot com")
+ */
+function emailHeard(email: string, sourceWords: Set<string>): boolean {
+  const [local, domain = ''] = email.toLowerCase().split('@');
+  const parts = [...tokenize(local), ...tokenize(domain.split('.').slice(0, -1).join(' '))];
+  return parts.length > 0 && parts.every((part) => sourceWords.has(part));
+}
+
+/**
+ * A phone number counts as heard when its last seven digits were said in order
+ */
+function phoneHeard(phone: string, sourceDigits: string): boolean {
+  const digits = phone.replace(/\D/g, '');
+  return digits.length >= 7 && sourceDigits.includes(digits.slice(-7));
+}
+
+const downScore = (confidence: unknown) =>
+  Math.round((typeof confidence === 'number' ? confidence : 1) * UNVERIFIED_PENALTY * 100) / 100;
+
+/**
+ * Replace each item's quoted evidence with its location in the source and
+ * down-score or strip what the source does not back up
+ */
+export function attachEvidence(
+  extracted: Record<string, any>,
+  text: string,
+  segments: SourceSegment[]
+): Record<string, any> {
+  const source = indexSource(text, segments);
+  const sourceWords = new Set(source.map((entry) => entry.token));
+  const sourceDigits = digitsOf(source.map((entry) => entry.token));
+
+  const ground = (item: Record<string, any>) => {
+    const evidence = findEvidence(item.evidence, source, segments);
+    const grounded: Record<string, any> = { ...item, evidence };
+
+    if (!evidence?.verified) {
+      grounded.confidence = downScore(item.confidence);
+    }
+
+    return grounded;
+  };
+
+  const result: Record<string, any> = { ...extracted };
+  for (const list of GROUNDED_LISTS) {
+    result[list] = (extracted[list] || []).map(ground);
+  }
+
+  // Contact details the model may have invented are removed, not just down-scored
+  result.contacts = result.contacts.map((contact: Record<string, any>) => {
+    const rejected: string[] = [];
+    const checked = { ...contact };
+
+    if (contact.email && !emailHeard(contact.email, sourceWords)) {
+      checked.email = null;
+      rejected.push('email');
+    }
+    if (contact.phone && !phoneHeard(contact.phone, sourceDigits)) {
+      checked.phone = null;
+      rejected.push('phone');
+    }
+
+    return rejected.length > 0 ? { ...checked, rejected_fields: rejected } : checked;
+  });
+
+  return result;
+}
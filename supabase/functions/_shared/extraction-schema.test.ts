@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { applySchemaFallbacks, coerceToSchema, extractionSchema, validateSchema } from './extraction-schema.ts';
+
+const schema = extractionSchema([]);
+const actionItem = (due_date: unknown) => ({ action_items: [{ task: 'Send the proposal', due_date }] });
+
+describe('validateSchema', () => {
+  it('accepts a valid extraction', () => {
+    const extracted = coerceToSchema(schema, {
+      contacts: [{ name: 'Jane Doe', email: 'jane@acme.com', confidence: 0.9 }],
+      action_items: [{ task: 'Send the proposal', due_date: '2024-11-19', priority: 'high' }],
+      overall_sentiment: 'positive',
+      sentiment_score: 0.6,
+    });
+
+    expect(validateSchema(schema, extracted)).toEqual([]);
+  });
+
+  it('reports where a value is wrong', () => {
+    const errors = validateSchema(schema, { contacts: [{ title: 'VP' }], overall_sentiment: 'happy' });
+
+    expect(errors.map((error) => error.path)).toEqual(['$.contacts[0].name', '$.overall_sentiment']);
+  });
+
+  it('rejects dates that are not YYYY-MM-DD', () => {
+    const errors = validateSchema(schema, actionItem('next Tuesday'));
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe('$.action_items[0].due_date');
+  });
+
+  it('rejects dates that are not on the calendar', () => {
+    for (const date of ['2024-13-01', '2024-02-30', '2023-02-29', '2024-04-31', '2024-00-10']) {
+      expect(validateSchema(schema, actionItem(date)), date).toHaveLength(1);
+    }
+  });
+
+  it('accepts leap days and month ends', () => {
+    for (const date of ['2024-02-29', '2024-04-30', '2024-12-31']) {
+      expect(validateSchema(schema, actionItem(date)), date).toEqual([]);
+    }
+  });
+
+  it('checks dates in custom fields', () => {
+    const withRenewal = extractionSchema([{ name: 'renewal_date', type: 'date', description: 'Contract renewal' }]);
+
+    expect(validateSchema(withRenewal, { custom_fields: { renewal_date: '2025-02-30' } })).toHaveLength(1);
+    expect(validateSchema(withRenewal, { custom_fields: { renewal_date: '2025-02-28' } })).toEqual([]);
+  });
+});
+
+describe('applySchemaFallbacks', () => {
+  it('clears an impossible due date', () => {
+    const fixed = applySchemaFallbacks(schema, actionItem('2024-13-01')) as Record<string, any>;
+
+    expect(fixed.action_items).toEqual([{ task: 'Send the proposal', due_date: null }]);
+  });
+
+  it('drops a mentioned date that is not on the calendar', () => {
+    const fixed = applySchemaFallbacks(schema, {
+      dates: [{ date: '2024-02-30', context: 'demo' }, { date: '2024-03-01', context: 'kickoff' }],
+    }) as Record<string, any>;
+
+    expect(fixed.dates).toEqual([{ date: '2024-03-01', context: 'kickoff' }]);
+  });
+});
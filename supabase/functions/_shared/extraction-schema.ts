@@ -0,0 +1,339 @@
+/**
+ * Formal schema for the analyze extraction, with validation and coercion
+ *
+ * The model's JSON is checked in three steps:
+ *   1. coerceToSchema fixes what is safe to fix (numeric strings, a single
+ *      object where a list belongs, enum case, out-of-range scores, missing
+ *      optional values)
+ *   2. validateSchema reports what is still wrong, so analyze can ask the
+ *      model to repair its answer
+ *   3. applySchemaFallbacks makes whatever is left insertable: invalid enum
+ *      values fall back to a default and unusable list items are dropped
+ *
+ * Only the subset of JSON Schema used here is supported.
+ */
+
+import { customFieldsSchema, type CustomField } from './custom-fields.ts';
+
+type SchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+export interface JSONSchema {
+  type?: SchemaType | SchemaType[];
+  enum?: unknown[];
+  properties?: Record<string, JSONSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JSONSchema;
+  minimum?: number;
+  maximum?: number;
+  format?: 'date';
+  description?: string;
+  default?: unknown;
+}
+
+export interface SchemaError {
+  /** JSONPath-style location, e.g. $.contacts[0].name */
+  path: string;
+  message: string;
+  value?: unknown;
+}
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// "2024-02-30" has the right shape but is not a day on the calendar
+const isCalendarDate = (value: string) => {
+  const [, year, month, day] = value.match(ISO_DATE)!;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCFullYear() === Number(year)
+    && date.getUTCMonth() === Number(month) - 1
+    && date.getUTCDate() === Number(day);
+};
+
+const confidence: JSONSchema = { type: ['number', 'null'], minimum: 0, maximum: 1, default: null };
+const optionalText: JSONSchema = { type: ['string', 'null'], default: null };
+// Verbatim quote the item came from; analyze checks it against the transcript
+const evidence = optionalText;
+const level = (fallback: string): JSONSchema => ({ enum: ['high', 'medium', 'low'], default: fallback });
+const list = (items: JSONSchema): JSONSchema => ({ type: 'array', items, default: [] });
+
+/**
+ * Schema of the extraction analyze asks for, including the team's custom fields
+ * Enums match the database (sentiment_type) so a valid result always inserts.
+ */
+export function extractionSchema(customFields: CustomField[]): JSONSchema {
+  return {
+    type: 'object',
+    properties: {
+      contacts: list({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          title: optionalText,
+          company: optionalText,
+          email: optionalText,
+          phone: optionalText,
+          confidence,
+          evidence,
+        },
+      }),
+      companies: list({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          industry: optionalText,
+          size: optionalText,
+          confidence,
+        },
+      }),
+      action_items: list({
+        type: 'object',
+        required: ['task'],
+        properties: {
+          task: { type: 'string' },
+          due_date: { type: ['string', 'null'], format: 'date', default: null },
+          // The words the date was given in, e.g. "next Tuesday" (see ./dates.ts)
+          due_phrase: optionalText,
+          priority: level('medium'),
+          confidence,
+          evidence,
+        },
+      }),
+      dates: list({
+        type: 'object',
+        required: ['date'],
+        properties: {
+          date: { type: 'string', format: 'date' },
+          phrase: optionalText,
+          context: { type: 'string', default: '' },
+          confidence,
+          evidence,
+        },
+      }),
+      buying_signals: list({
+        type: 'object',
+        required: ['signal'],
+        properties: {
+          signal: { type: 'string' },
+          strength: level('medium'),
+          confidence,
+          evidence,
+        },
+      }),
+      overall_sentiment: { enum: ['positive', 'neutral', 'negative', 'urgent'], default: 'neutral' },
+      sentiment_score: { type: 'number', minimum: -1, maximum: 1, default: 0 },
+      sentiment_explanation: { type: 'string', default: '' },
+      summary: { type: 'string', default: '' },
+      summary_en: optionalText,
+      key_points: list({
+        type: 'object',
+        required: ['point'],
+        properties: {
+          point: { type: 'string' },
+          importance: level('medium'),
+        },
+      }),
+      next_steps: { type: 'string', default: '' },
+      custom_fields: { ...customFieldsSchema(customFields), default: {} },
+      confidence_score: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+    },
+  };
+}
+
+const typesOf = (schema: JSONSchema): SchemaType[] | null =>
+  schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : null;
+
+const allowsNull = (schema: JSONSchema) =>
+  typesOf(schema)?.includes('null') || schema.enum?.includes(null) || false;
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchesType = (type: SchemaType, value: unknown): boolean => {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+const describe = (value: unknown) => {
+  const text = JSON.stringify(value);
+  return text === undefined ? 'nothing' : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const cloneDefault = (schema: JSONSchema) => structuredClone(schema.default);
+
+/**
+ * List what does not match the schema; an empty list means valid
+ */
+export function validateSchema(schema: JSONSchema, value: unknown, path = '$'): SchemaError[] {
+  if (schema.enum) {
+    return schema.enum.includes(value)
+      ? []
+      : [{
+        path,
+        message: `must be one of ${schema.enum.filter((option) => option !== null).join(', ')}${allowsNull(schema) ? ' or null' : ''} (got ${describe(value)})`,
+        value,
+      }];
+  }
+
+  const types = typesOf(schema);
+  if (types && !types.some((type) => matchesType(type, value))) {
+    return [{ path, message: `must be ${types.join(' or ')} (got ${describe(value)})`, value }];
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [{ path, message: `must be at least ${schema.minimum}`, value }];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [{ path, message: `must be at most ${schema.maximum}`, value }];
+    }
+  }
+
+  if (typeof value === 'string' && schema.format === 'date') {
+    if (!ISO_DATE.test(value)) {
+      return [{ path, message: `must be a date as YYYY-MM-DD (got ${describe(value)})`, value }];
+    }
+    if (!isCalendarDate(value)) {
+      return [{ path, message: `must be a real calendar date (got ${describe(value)})`, value }];
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => validateSchema(schema.items!, item, `${path}[${index}]`));
+  }
+
+  if (isObject(value) && schema.properties) {
+    const missing = (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .map((key) => ({ path: `${path}.${key}`, message: 'is required' }));
+
+    const invalid = Object.entries(schema.properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, property]) => validateSchema(property, value[key], `${path}.${key}`));
+
+    return [...missing, ...invalid];
+  }
+
+  return [];
+}
+
+/**
+ * Fix what can be fixed without guessing; anything else is left for
+ * validateSchema to report
+ */
+export function coerceToSchema(schema: JSONSchema, value: unknown): unknown {
+  if (value === undefined || (value === null && !allowsNull(schema))) {
+    if (schema.default !== undefined) return cloneDefault(schema);
+    return value;
+  }
+
+  if (schema.enum) {
+    if (typeof value !== 'string') return value;
+    const match = schema.enum.find(
+      (option) => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase()
+    );
+    return match ?? value;
+  }
+
+  const types = typesOf(schema) || [];
+  if (types.some((type) => matchesType(type, value)) && !types.includes('array') && !types.includes('object')) {
+    // Scores just outside their range are clamped rather than rejected
+    if (typeof value === 'number') {
+      return Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, value));
+    }
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  if (types.includes('array')) {
+    const items = Array.isArray(value) ? value : [value];
+    return schema.items ? items.map((item) => coerceToSchema(schema.items!, item)) : items;
+  }
+
+  if (types.includes('object') && isObject(value)) {
+    const result: Record<string, unknown> = schema.additionalProperties === false ? {} : { ...value };
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      const coerced = coerceToSchema(property, value[key]);
+      if (coerced !== undefined) result[key] = coerced;
+    }
+    return result;
+  }
+
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return coerceToSchema(schema, parseFloat(value));
+  }
+
+  if (types.includes('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+
+  if (types.includes('boolean') && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+
+  return value;
+}
+
+const DROP = Symbol('drop');
+
+/**
+ * Make a value valid by falling back to defaults (or null) and dropping
+ * list items that are missing required values. Used once repair has failed.
+ */
+export function applySchemaFallbacks(schema: JSONSchema, value: unknown): unknown {
+  const result = fallback(schema, value);
+  return result === DROP ? cloneDefault(schema) : result;
+}
+
+function fallback(schema: JSONSchema, value: unknown): unknown {
+  if (validateSchema(schema, value).length === 0) {
+    return value;
+  }
+
+  const types = typesOf(schema) || [];
+
+  if (types.includes('array') && Array.isArray(value) && schema.items) {
+    return value.map((item) => fallback(schema.items!, item)).filter((item) => item !== DROP);
+  }
+
+  if (types.includes('object') && isObject(value)) {
+    const result: Record<string, unknown> = { ...value };
+    const required = schema.required || [];
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (result[key] === undefined) {
+        if (required.includes(key)) return DROP;
+        continue;
+      }
+
+      const fixed = fallback(property, result[key]);
+      if (fixed !== DROP) {
+        result[key] = fixed;
+      } else if (required.includes(key)) {
+        return DROP;
+      } else if (property.default !== undefined) {
+        result[key] = cloneDefault(property);
+      } else {
+        delete result[key];
+      }
+    }
+
+    return result;
+  }
+
+  if (schema.default !== undefined) return cloneDefault(schema);
+  if (allowsNull(schema)) return null;
+  return DROP;
+}
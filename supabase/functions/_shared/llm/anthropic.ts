@@ -0,0 +1,76 @@
+/**
+ * Anthropic Messages API
+ * System messages go in the top-level `system` field. There is no JSON mode,
+ * so JSON replies are requested in the prompt and the reply is prefilled
+ * with an opening brace.
+ */
+
+import type { LLMAdapter, LLMConfig, LLMResponse } from './types.ts';
+import { priceFor } from './pricing.ts';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-3-5-sonnet-latest';
+const DEFAULT_MAX_TOKENS = 4096;
+
+export function createAnthropicAdapter(config: LLMConfig): LLMAdapter {
+  const apiKey = Deno.env.get('ANTHROPIC_API_KEY');
+  const model = config.model || DEFAULT_MODEL;
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY not configured');
+  }
+
+  return {
+    provider: 'anthropic',
+    model,
+
+    async complete({ messages, temperature, json, maxTokens }): Promise<LLMResponse> {
+      const system = messages
+        .filter((message) => message.role === 'system')
+        .map((message) => message.content)
+        .concat(json ? ['Respond with a single JSON object and nothing else.'] : [])
+        .join('\n\n');
+
+      const conversation = messages
+        .filter((message) => message.role !== 'system')
+        .map((message) => ({ role: message.role, content: message.content }));
+
+      const response = await fetch(ANTHROPIC_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+          ...(system ? { system } : {}),
+          ...(temperature !== undefined ? { temperature } : {}),
+          messages: json ? [...conversation, { role: 'assistant', content: '{' }] : conversation,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('[LLM] Anthropic error:', errorData);
+        throw new Error(`${model} error: ${errorData.error?.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+      const text = (data.content || [])
+        .filter((block: { type: string }) => block.type === 'text')
+        .map((block: { text: string }) => block.text)
+        .join('');
+
+      return {
+        content: json ? `{${text}` : text,
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0,
+      };
+    },
+
+    cost: priceFor(model, config),
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Offline provider for testing the extraction: always replies with the same
+ * extraction (matching the stub speech-to-text transcript), no network calls
+ */
+
+import type { LLMAdapter, LLMResponse } from './types.ts';
+
+const FIXTURE_EXTRACTION = {
+  contacts: [
+    {
+      name: 'Jane Doe',
+      title: 'VP of Operations',
+      company: 'Acme Corp',
+      email: null,
+      phone: null,
+      confidence: 0.9,
+      evidence: 'Jane Doe, VP of Operations at Acme Corp',
+    },
+  ],
+  companies: [
+    { name: 'Acme Corp', industry: null, size: null, confidence: 0.9 },
+  ],
+  action_items: [
+    { task: 'Send proposal for fifty seats', due_date: null, due_phrase: null, priority: 'high', confidence: 0.85, evidence: 'She wants a proposal for fifty seats' },
+    { task: 'Schedule follow-up demo', due_date: null, due_phrase: 'next Tuesday', priority: 'medium', confidence: 0.8, evidence: 'a follow-up demo next Tuesday' },
+  ],
+  dates: [],
+  buying_signals: [
+    { signal: 'Budget approved for this quarter', strength: 'high', confidence: 0.85, evidence: 'Budget is approved for this quarter' },
+  ],
+  overall_sentiment: 'positive',
+  sentiment_score: 0.7,
+  sentiment_explanation: 'Budget is approved and the customer asked for a proposal.',
+  summary: 'Met Jane Doe from Acme Corp, who wants a proposal for fifty seats and a follow-up demo. Budget is approved this quarter.',
+  summary_en: null,
+  key_points: [
+    { point: 'Proposal requested for fifty seats', importance: 'high' },
+    { point: 'Budget approved this quarter', importance: 'high' },
+  ],
+  next_steps: 'Send the proposal and schedule the demo for next Tuesday.',
+  custom_fields: {},
+  confidence_score: 0.85,
+};
+
+// Rough token estimate so cost and usage code paths still run
+const estimateTokens = (text: string) => Math.ceil(text.length / 4);
+
+export function createFixtureAdapter(): LLMAdapter {
+  return {
+    provider: 'fixture',
+    model: 'fixture',
+
+    async complete({ messages }): Promise<LLMResponse> {
+      const content = JSON.stringify(FIXTURE_EXTRACTION);
+
+      return {
+        content,
+        inputTokens: estimateTokens(messages.map((message) => message.content).join('')),
+        outputTokens: estimateTokens(content),
+      };
+    },
+
+    cost() {
+      return 0;
+    },
+  };
+}
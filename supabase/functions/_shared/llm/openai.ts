@@ -0,0 +1,93 @@
+/**
+ * OpenAI chat completions, plus Azure OpenAI and any OpenAI-compatible
+ * server (vLLM, Ollama, LM Studio, ...) which speak the same API
+ */
+
+import type { LLMAdapter, LLMConfig, LLMResponse } from './types.ts';
+import { priceFor } from './pricing.ts';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const AZURE_API_VERSION = '2024-06-01';
+const DEFAULT_MODEL = 'gpt-4-turbo-preview';
+
+export function createOpenAIAdapter(config: LLMConfig): LLMAdapter {
+  const model = config.model || DEFAULT_MODEL;
+  const { url, headers } = endpointFor(config, model);
+
+  return {
+    provider: config.provider,
+    model,
+
+    async complete({ messages, temperature, json, maxTokens }): Promise<LLMResponse> {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({
+          model,
+          messages,
+          ...(temperature !== undefined ? { temperature } : {}),
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+          ...(json ? { response_format: { type: 'json_object' } } : {}),
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('[LLM] Chat completion error:', errorData);
+        throw new Error(`${model} error: ${errorData.error?.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+      };
+    },
+
+    cost: priceFor(model, config),
+  };
+}
+
+function endpointFor(config: LLMConfig, model: string): { url: string; headers: Record<string, string> } {
+  if (config.provider === 'azure_openai') {
+    const endpoint = (config.baseUrl || Deno.env.get('AZURE_OPENAI_ENDPOINT'))?.replace(/\/$/, '');
+    const apiKey = Deno.env.get('AZURE_OPENAI_API_KEY');
+
+    if (!endpoint || !apiKey) {
+      throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY must be configured');
+    }
+
+    const deployment = config.deployment || model;
+    return {
+      url: `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${AZURE_API_VERSION}`,
+      headers: { 'api-key': apiKey },
+    };
+  }
+
+  if (config.provider === 'openai_compatible') {
+    const baseUrl = config.baseUrl?.replace(/\/$/, '');
+    // The OpenAI key is never sent to a self-hosted server
+    const apiKey = Deno.env.get('LLM_API_KEY');
+
+    if (!baseUrl) {
+      throw new Error('LLM base URL not configured for openai_compatible');
+    }
+
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    };
+  }
+
+  const apiKey = Deno.env.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not configured');
+  }
+
+  return {
+    url: `${OPENAI_BASE_URL}/chat/completions`,
+    headers: { Authorization: `Bearer ${apiKey}` },
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * List prices in USD per 1K tokens, by model
+ * Models missing here cost 0 unless the team config sets a price.
+ */
+
+import type { LLMConfig } from './types.ts';
+
+interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+const MODEL_PRICES: Record<string, ModelPrice> = {
+  'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'claude-3-5-sonnet-latest': { input: 0.003, output: 0.015 },
+  'claude-3-5-haiku-latest': { input: 0.0008, output: 0.004 },
+  'claude-3-opus-latest': { input: 0.015, output: 0.075 },
+};
+
+/**
+ * Cost calculator for a model; per-team prices win over the table
+ */
+export function priceFor(model: string, config: LLMConfig) {
+  const listed = MODEL_PRICES[model];
+
+  if (!listed && config.inputCostPer1K === undefined) {
+    console.warn('[LLM] No price for model, recording cost as 0:', model);
+  }
+
+  const input = config.inputCostPer1K ?? listed?.input ?? 0;
+  const output = config.outputCostPer1K ?? listed?.output ?? 0;
+
+  return (inputTokens: number, outputTokens: number) =>
+    (inputTokens / 1000) * input + (outputTokens / 1000) * output;
+}
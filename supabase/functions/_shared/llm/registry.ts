@@ -0,0 +1,93 @@
+/**
+ * LLM adapter registry, keyed by provider name
+ *
+ * The provider and model come from the user's team (`teams.settings.llm`),
+ * falling back to the LLM_PROVIDER / LLM_MODEL / LLM_BASE_URL environment
+ * variables and then to OpenAI. API keys only ever come from the environment,
+ * and are sent with them, so a team can only choose a server the deployment
+ * lists in LLM_ALLOWED_BASE_URLS (or its own LLM_BASE_URL /
+ * AZURE_OPENAI_ENDPOINT).
+ */
+
+import type { LLMAdapter, LLMAdapterFactory, LLMConfig, LLMProvider } from './types.ts';
+import { createOpenAIAdapter } from './openai.ts';
+import { createAnthropicAdapter } from './anthropic.ts';
+import { createFixtureAdapter } from './fixture.ts';
+
+const adapters: Record<LLMProvider, LLMAdapterFactory> = {
+  openai: createOpenAIAdapter,
+  azure_openai: createOpenAIAdapter,
+  openai_compatible: createOpenAIAdapter,
+  anthropic: createAnthropicAdapter,
+  fixture: createFixtureAdapter,
+};
+
+export function isSupportedLLMProvider(provider: string | null | undefined): provider is LLMProvider {
+  return !!provider && Object.prototype.hasOwnProperty.call(adapters, provider);
+}
+
+/**
+ * Build the adapter for a provider
+ * Throws when the provider is unknown or its configuration is incomplete.
+ */
+export function getLLMAdapter(config: LLMConfig): LLMAdapter {
+  if (!isSupportedLLMProvider(config.provider)) {
+    throw new Error(`LLM provider '${config.provider}' not supported`);
+  }
+
+  return adapters[config.provider](config);
+}
+
+const trimUrl = (url: string) => url.trim().replace(/\/+$/, '');
+
+/**
+ * Servers teams may point analysis at
+ */
+function allowedBaseUrls(): string[] {
+  return [
+    ...(Deno.env.get('LLM_ALLOWED_BASE_URLS') || '').split(','),
+    Deno.env.get('LLM_BASE_URL') || '',
+    Deno.env.get('AZURE_OPENAI_ENDPOINT') || '',
+  ].map(trimUrl).filter(Boolean);
+}
+
+/**
+ * Provider configuration for a user: their team's choice, else the default
+ */
+export async function loadLLMConfig(supabase: any, userId: string): Promise<LLMConfig> {
+  const defaults: LLMConfig = {
+    provider: (Deno.env.get('LLM_PROVIDER') || 'openai') as LLMProvider,
+    model: Deno.env.get('LLM_MODEL') || undefined,
+    baseUrl: Deno.env.get('LLM_BASE_URL') || undefined,
+  };
+
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('teams:team_id (settings)')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[LLM] Failed to load team settings, using defaults:', error);
+  }
+
+  const teamConfig = profile?.teams?.settings?.llm;
+  if (!teamConfig?.provider) {
+    return defaults;
+  }
+
+  const price = (value: unknown) => (typeof value === 'number' ? value : undefined);
+
+  if (teamConfig.baseUrl && !allowedBaseUrls().includes(trimUrl(String(teamConfig.baseUrl)))) {
+    throw new Error(`LLM base URL ${teamConfig.baseUrl} is not in LLM_ALLOWED_BASE_URLS`);
+  }
+
+  return {
+    provider: teamConfig.provider,
+    model: teamConfig.model,
+    baseUrl: teamConfig.baseUrl || defaults.baseUrl,
+    deployment: teamConfig.deployment,
+    inputCostPer1K: price(teamConfig.inputCostPer1K),
+    outputCostPer1K: price(teamConfig.outputCostPer1K),
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * LLM provider contract
+ *
+ * analyze talks to every chat model through LLMAdapter, so the provider and
+ * model can change per team. Adapters are looked up by provider name in
+ * ./registry.ts; token prices live in ./pricing.ts.
+ */
+
+export type LLMProvider = 'openai' | 'azure_openai' | 'anthropic' | 'openai_compatible' | 'fixture';
+
+/** Provider selection; `teams.settings.llm` overrides the LLM_* environment defaults */
+export interface LLMConfig {
+  provider: LLMProvider;
+  model?: string;
+  /** Azure resource endpoint or OpenAI-compatible server; from a team only when allowed (see ./registry.ts) */
+  baseUrl?: string;
+  /** Azure deployment name (defaults to the model) */
+  deployment?: string;
+  /** USD per 1K tokens, overriding the price table (e.g. 0 for local models) */
+  inputCostPer1K?: number;
+  outputCostPer1K?: number;
+}
+
+export interface LLMMessage {
+  /** 'assistant' replays an earlier reply, e.g. when asking for a correction */
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface LLMRequest {
+  messages: LLMMessage[];
+  temperature?: number;
+  /** Ask for a single JSON object as the reply */
+  json?: boolean;
+  maxTokens?: number;
+}
+
+export interface LLMResponse {
+  content: string;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface LLMAdapter {
+  readonly provider: LLMProvider;
+  readonly model: string;
+
+  complete(request: LLMRequest): Promise<LLMResponse>;
+
+  /** Cost in USD of a completion with these token counts */
+  cost(inputTokens: number, outputTokens: number): number;
+}
+
+export type LLMAdapterFactory = (config: LLMConfig) => LLMAdapter;
@@ -0,0 +1,163 @@
+/**
+ * Pipeline job queue (pipeline_jobs table)
+ *
+ * Stages hand work to the next stage by queueing a job instead of calling
+ * it directly; pipeline-worker runs the jobs, retries failures with backoff
+ * and dead-letters jobs that run out of attempts.
+ */
+
+export type PipelineStage = 'transcribe' | 'analyze' | 'crm_sync';
+
+/** Edge Function that runs each stage */
+export const STAGE_FUNCTIONS: Record<PipelineStage, string> = {
+  transcribe: 'transcribe',
+  analyze: 'analyze',
+  crm_sync: 'crm-sync',
+};
+
+/**
+ * Responses that mean the stage had nothing to do for the job, not that it
+ * failed: crm-sync declines drafts (409) and users with no CRM connected (422)
+ */
+export const STAGE_SKIP_STATUSES: Record<PipelineStage, number[]> = {
+  transcribe: [],
+  analyze: [],
+  crm_sync: [409, 422],
+};
+
+export interface PipelineJob {
+  id: string;
+  recording_id: string;
+  user_id: string;
+  stage: PipelineStage;
+  status: 'pending' | 'running' | 'completed' | 'skipped' | 'dead';
+  payload: Record<string, unknown>;
+  attempts: number;
+  max_attempts: number;
+  next_run_at: string;
+  last_error: string | null;
+}
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/** Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at an hour */
+export const backoffDelay = (attempts: number) =>
+  Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Queue a stage for a recording
+ * A job already queued or running for the same stage is reused, as is the
+ * job an earlier attempt of `queuedBy` (the job queueing this one) queued.
+ */
+export async function enqueuePipelineJob(
+  supabase: any,
+  job: {
+    recordingId: string;
+    userId: string;
+    stage: PipelineStage;
+    payload: Record<string, unknown>;
+    queuedBy?: string | null;
+  }
+): Promise<string> {
+  const { data, error } = await supabase
+    .from('pipeline_jobs')
+    .insert({
+      recording_id: job.recordingId,
+      user_id: job.userId,
+      stage: job.stage,
+      payload: job.payload,
+      queued_by: job.queuedBy ?? null,
+    })
+    .select('id')
+    .single();
+
+  if (!error) return data.id;
+
+  // Unique violation: this stage is already queued for the recording, or by this job
+  if (error.code === '23505') {
+    if (job.queuedBy) {
+      const { data: queued, error: queuedError } = await supabase
+        .from('pipeline_jobs')
+        .select('id')
+        .eq('queued_by', job.queuedBy)
+        .maybeSingle();
+
+      if (queuedError) throw queuedError;
+      if (queued) return queued.id;
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('pipeline_jobs')
+      .select('id')
+      .eq('recording_id', job.recordingId)
+      .eq('stage', job.stage)
+      .in('status', ['pending', 'running'])
+      .single();
+
+    if (existingError) throw existingError;
+    return existing.id;
+  }
+
+  throw error;
+}
+
+export async function completePipelineJob(supabase: any, jobId: string): Promise<void> {
+  const { error } = await supabase
+    .from('pipeline_jobs')
+    .update({ status: 'completed', completed_at: new Date().toISOString(), locked_at: null, last_error: null })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+/**
+ * Put a claimed job back in the queue without running it; the claim does not
+ * count as an attempt
+ */
+export async function releasePipelineJob(supabase: any, job: PipelineJob): Promise<void> {
+  const { error } = await supabase
+    .from('pipeline_jobs')
+    .update({ status: 'pending', attempts: job.attempts - 1, locked_at: null })
+    .eq('id', job.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Close a job the stage declined; the reason is kept in last_error
+ */
+export async function skipPipelineJob(supabase: any, jobId: string, reason: string): Promise<void> {
+  const { error } = await supabase
+    .from('pipeline_jobs')
+    .update({ status: 'skipped', completed_at: new Date().toISOString(), locked_at: null, last_error: reason })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or dead-letter the job when it
+ * is out of attempts or the failure is permanent
+ */
+export async function failPipelineJob(
+  supabase: any,
+  job: PipelineJob,
+  message: string,
+  retryable = true
+): Promise<'pending' | 'dead'> {
+  const status = retryable && job.attempts < job.max_attempts ? 'pending' : 'dead';
+
+  const { error } = await supabase
+    .from('pipeline_jobs')
+    .update({
+      status,
+      last_error: message,
+      locked_at: null,
+      next_run_at: new Date(Date.now() + backoffDelay(job.attempts)).toISOString(),
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+  return status;
+}
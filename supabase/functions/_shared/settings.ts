@@ -0,0 +1,96 @@
+/**
+ * Per-user CRM sync preferences
+ *
+ * The Preferences screen stores these in user_profiles.settings; analyze uses
+ * them to decide whether to auto-sync and crm-sync to decide what to push.
+ * Missing keys fall back to DEFAULT_SYNC_POLICY, which matches the behavior
+ * before the settings existed.
+ */
+
+export interface SyncRecordTypes {
+  contacts: boolean;
+  accounts: boolean;
+  tasks: boolean;
+  notes: boolean;
+}
+
+export interface SyncPolicy {
+  autoSync: boolean;
+  reviewBeforeSync: boolean;
+  minConfidence: number;
+  syncOnActionItems: boolean;
+  recordTypes: SyncRecordTypes;
+}
+
+export const DEFAULT_SYNC_POLICY: SyncPolicy = {
+  autoSync: true,
+  reviewBeforeSync: false,
+  minConfidence: 0.8,
+  syncOnActionItems: false,
+  recordTypes: { contacts: true, accounts: true, tasks: true, notes: true },
+};
+
+const clampConfidence = (value: unknown): number => {
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value));
+  if (Number.isNaN(parsed)) return DEFAULT_SYNC_POLICY.minConfidence;
+  return Math.min(1, Math.max(0, parsed));
+};
+
+/**
+ * Build a sync policy from a user_profiles.settings object
+ */
+export function resolveSyncPolicy(settings: Record<string, any> | null | undefined): SyncPolicy {
+  const s = settings || {};
+
+  return {
+    autoSync: s.autoSyncToCRM !== false,
+    reviewBeforeSync: s.reviewBeforeSync === true,
+    minConfidence: s.autoSyncMinConfidence === undefined
+      ? DEFAULT_SYNC_POLICY.minConfidence
+      : clampConfidence(s.autoSyncMinConfidence),
+    syncOnActionItems: s.autoSyncOnActionItems === true,
+    recordTypes: { ...DEFAULT_SYNC_POLICY.recordTypes, ...(s.syncRecordTypes || {}) },
+  };
+}
+
+/**
+ * Load a user's sync policy and whether they have a CRM connected
+ */
+export async function loadSyncPolicy(
+  supabase: any,
+  userId: string
+): Promise<{ policy: SyncPolicy; crmConnected: boolean }> {
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('crm_connected, settings')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[Settings] Failed to load sync settings, using defaults:', error);
+  }
+
+  return {
+    policy: resolveSyncPolicy(profile?.settings),
+    crmConnected: profile?.crm_connected === true,
+  };
+}
+
+/**
+ * Whether a fresh analysis should be pushed to the CRM without review
+ */
+export function shouldAutoSync(
+  policy: SyncPolicy,
+  analysis: { confidence_score?: number; contacts?: unknown[]; action_items?: unknown[] }
+): boolean {
+  if (!policy.autoSync || policy.reviewBeforeSync) return false;
+  if ((analysis.confidence_score ?? 0) < policy.minConfidence) return false;
+
+  const { contacts, accounts, tasks, notes } = policy.recordTypes;
+  if (!contacts && !accounts && !tasks && !notes) return false;
+
+  const hasContacts = (analysis.contacts?.length ?? 0) > 0;
+  const hasActionItems = (analysis.action_items?.length ?? 0) > 0;
+
+  return hasContacts || (policy.syncOnActionItems && hasActionItems);
+}
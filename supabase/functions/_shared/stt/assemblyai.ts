@@ -0,0 +1,117 @@
+/**
+ * AssemblyAI: upload the audio, start a transcript job and poll it
+ * Sentences become segments; AssemblyAI reports times in milliseconds.
+ */
+
+import type { STTAdapter, STTConfig, STTResult } from './types.ts';
+
+const ASSEMBLYAI_URL = 'https://api.assemblyai.com/v2';
+const ASSEMBLYAI_COST_PER_MINUTE = 0.0062; // Best tier, $0.37 per hour
+const POLL_INTERVAL_MS = 3000;
+// Give up before the pipeline stage times out; the worker retries the job
+const POLL_TIMEOUT_MS = 120 * 1000;
+
+interface AssemblyAITranscript {
+  id: string;
+  status: 'queued' | 'processing' | 'completed' | 'error';
+  error?: string;
+  text?: string;
+  language_code?: string;
+  audio_duration?: number;
+  words?: { text: string; start: number; end: number }[];
+}
+
+interface AssemblyAISentence {
+  text: string;
+  start: number;
+  end: number;
+  confidence?: number;
+}
+
+export function createAssemblyAIAdapter(config: STTConfig): STTAdapter {
+  const apiKey = Deno.env.get('ASSEMBLYAI_API_KEY');
+  const costPerMinute = config.costPerMinute ?? ASSEMBLYAI_COST_PER_MINUTE;
+
+  if (!apiKey) {
+    throw new Error('ASSEMBLYAI_API_KEY not configured');
+  }
+
+  const request = async (path: string, init: RequestInit = {}) => {
+    const response = await fetch(`${ASSEMBLYAI_URL}${path}`, {
+      ...init,
+      headers: { Authorization: apiKey, ...(init.headers || {}) },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('[STT] AssemblyAI error:', errorData);
+      throw new Error(`AssemblyAI error: ${errorData.error || response.statusText}`);
+    }
+
+    return response.json();
+  };
+
+  return {
+    provider: 'assemblyai',
+    apiProvider: 'assemblyai',
+    maxBytes: null,
+    maxDurationMs: null,
+
+    async transcribe(audio, _fileName, language): Promise<STTResult> {
+      const { upload_url: audioUrl } = await request('/upload', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: audio,
+      });
+
+      let transcript: AssemblyAITranscript = await request('/transcript', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          audio_url: audioUrl,
+          ...(language ? { language_code: language } : { language_detection: true }),
+          ...(config.model ? { speech_model: config.model } : {}),
+        }),
+      });
+
+      const deadline = Date.now() + POLL_TIMEOUT_MS;
+      while (transcript.status === 'queued' || transcript.status === 'processing') {
+        if (Date.now() > deadline) {
+          throw new Error(`AssemblyAI transcript ${transcript.id} still ${transcript.status}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        transcript = await request(`/transcript/${transcript.id}`);
+      }
+
+      if (transcript.status === 'error') {
+        throw new Error(`AssemblyAI error: ${transcript.error || 'transcription failed'}`);
+      }
+
+      const { sentences }: { sentences: AssemblyAISentence[] } = await request(`/transcript/${transcript.id}/sentences`);
+
+      return {
+        text: transcript.text || '',
+        language: language || transcript.language_code?.split('_')[0] || null,
+        duration: transcript.audio_duration || 0,
+        segments: (sentences || []).map((sentence) => ({
+          start: sentence.start / 1000,
+          end: sentence.end / 1000,
+          text: sentence.text,
+          confidence: sentence.confidence ?? null,
+          avgLogprob: null,
+          compressionRatio: null,
+          noSpeechProb: null,
+        })),
+        words: (transcript.words || []).map((word) => ({
+          word: word.text,
+          start: word.start / 1000,
+          end: word.end / 1000,
+        })),
+      };
+    },
+
+    cost(durationSeconds) {
+      return (durationSeconds / 60) * costPerMinute;
+    },
+  };
+}
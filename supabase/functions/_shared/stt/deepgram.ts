@@ -0,0 +1,98 @@
+/**
+ * Deepgram pre-recorded audio API
+ * Utterances become segments; Deepgram reports its own confidence for each.
+ */
+
+import type { STTAdapter, STTConfig, STTResult } from './types.ts';
+
+const DEEPGRAM_URL = 'https://api.deepgram.com/v1/listen';
+const DEEPGRAM_COST_PER_MINUTE = 0.0043; // Nova-2, pay as you go
+
+interface DeepgramWord {
+  word: string;
+  punctuated_word?: string;
+  start: number;
+  end: number;
+}
+
+interface DeepgramResponse {
+  metadata?: { duration?: number };
+  results?: {
+    channels?: {
+      detected_language?: string;
+      alternatives?: { transcript?: string; words?: DeepgramWord[] }[];
+    }[];
+    utterances?: { start: number; end: number; transcript: string; confidence?: number }[];
+  };
+}
+
+export function createDeepgramAdapter(config: STTConfig): STTAdapter {
+  const apiKey = Deno.env.get('DEEPGRAM_API_KEY');
+  const model = config.model || 'nova-2';
+  const costPerMinute = config.costPerMinute ?? DEEPGRAM_COST_PER_MINUTE;
+
+  if (!apiKey) {
+    throw new Error('DEEPGRAM_API_KEY not configured');
+  }
+
+  return {
+    provider: 'deepgram',
+    apiProvider: 'deepgram',
+    maxBytes: null,
+    maxDurationMs: null,
+
+    async transcribe(audio, _fileName, language): Promise<STTResult> {
+      const params = new URLSearchParams({
+        model,
+        punctuate: 'true',
+        smart_format: 'true',
+        utterances: 'true',
+        ...(language ? { language } : { detect_language: 'true' }),
+      });
+
+      const response = await fetch(`${DEEPGRAM_URL}?${params}`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Token ${apiKey}`,
+          'Content-Type': 'application/octet-stream',
+        },
+        body: audio,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('[STT] Deepgram error:', errorData);
+        throw new Error(`Deepgram error: ${errorData.err_msg || response.statusText}`);
+      }
+
+      const data: DeepgramResponse = await response.json();
+      const channel = data.results?.channels?.[0];
+      const alternative = channel?.alternatives?.[0];
+
+      return {
+        text: alternative?.transcript || '',
+        // Detected codes can carry a region (e.g. en-US)
+        language: language || channel?.detected_language?.split('-')[0] || null,
+        duration: data.metadata?.duration || 0,
+        segments: (data.results?.utterances || []).map((utterance) => ({
+          start: utterance.start,
+          end: utterance.end,
+          text: utterance.transcript,
+          confidence: utterance.confidence ?? null,
+          avgLogprob: null,
+          compressionRatio: null,
+          noSpeechProb: null,
+        })),
+        words: (alternative?.words || []).map((word) => ({
+          word: word.punctuated_word || word.word,
+          start: word.start,
+          end: word.end,
+        })),
+      };
+    },
+
+    cost(durationSeconds) {
+      return (durationSeconds / 60) * costPerMinute;
+    },
+  };
+}
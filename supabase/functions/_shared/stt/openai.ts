@@ -0,0 +1,231 @@
+/**
+ * OpenAI Whisper, and any server exposing the same
+ * /v1/audio/transcriptions API (e.g. a self-hosted faster-whisper)
+ */
+
+import type { STTAdapter, STTConfig, STTResult } from './types.ts';
+import { segmentConfidence } from '../confidence.ts';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const OPENAI_COST_PER_MINUTE = 0.006;
+// Whisper rejects uploads over 25 MB; leave room for the piece header.
+// AudioFileUpload.jsx holds formats that cannot be split to these limits.
+const MAX_PIECE_BYTES = 24 * 1024 * 1024;
+// Shorter pieces keep each call well inside the stage timeout
+const MAX_PIECE_DURATION_MS = 10 * 60 * 1000;
+
+// OpenAI reports the detected language by name; compatible servers may use
+// codes. Every language Whisper detects, mapped to ISO 639-1 (Cantonese as
+// Chinese). Hawaiian has no ISO 639-1 code and is stored as unknown.
+const LANGUAGE_CODES: Record<string, string> = {
+  english: 'en',
+  chinese: 'zh',
+  german: 'de',
+  spanish: 'es',
+  russian: 'ru',
+  korean: 'ko',
+  french: 'fr',
+  japanese: 'ja',
+  portuguese: 'pt',
+  turkish: 'tr',
+  polish: 'pl',
+  catalan: 'ca',
+  dutch: 'nl',
+  arabic: 'ar',
+  swedish: 'sv',
+  italian: 'it',
+  indonesian: 'id',
+  hindi: 'hi',
+  finnish: 'fi',
+  vietnamese: 'vi',
+  hebrew: 'he',
+  ukrainian: 'uk',
+  greek: 'el',
+  malay: 'ms',
+  czech: 'cs',
+  romanian: 'ro',
+  danish: 'da',
+  hungarian: 'hu',
+  tamil: 'ta',
+  norwegian: 'no',
+  thai: 'th',
+  urdu: 'ur',
+  croatian: 'hr',
+  bulgarian: 'bg',
+  lithuanian: 'lt',
+  latin: 'la',
+  maori: 'mi',
+  malayalam: 'ml',
+  welsh: 'cy',
+  slovak: 'sk',
+  telugu: 'te',
+  persian: 'fa',
+  latvian: 'lv',
+  bengali: 'bn',
+  serbian: 'sr',
+  azerbaijani: 'az',
+  slovenian: 'sl',
+  kannada: 'kn',
+  estonian: 'et',
+  macedonian: 'mk',
+  breton: 'br',
+  basque: 'eu',
+  icelandic: 'is',
+  armenian: 'hy',
+  nepali: 'ne',
+  mongolian: 'mn',
+  bosnian: 'bs',
+  kazakh: 'kk',
+  albanian: 'sq',
+  swahili: 'sw',
+  galician: 'gl',
+  marathi: 'mr',
+  punjabi: 'pa',
+  sinhala: 'si',
+  khmer: 'km',
+  shona: 'sn',
+  yoruba: 'yo',
+  somali: 'so',
+  afrikaans: 'af',
+  occitan: 'oc',
+  georgian: 'ka',
+  belarusian: 'be',
+  tajik: 'tg',
+  sindhi: 'sd',
+  gujarati: 'gu',
+  amharic: 'am',
+  yiddish: 'yi',
+  lao: 'lo',
+  uzbek: 'uz',
+  faroese: 'fo',
+  'haitian creole': 'ht',
+  pashto: 'ps',
+  turkmen: 'tk',
+  nynorsk: 'nn',
+  maltese: 'mt',
+  sanskrit: 'sa',
+  luxembourgish: 'lb',
+  myanmar: 'my',
+  tibetan: 'bo',
+  tagalog: 'tl',
+  malagasy: 'mg',
+  assamese: 'as',
+  tatar: 'tt',
+  lingala: 'ln',
+  hausa: 'ha',
+  bashkir: 'ba',
+  javanese: 'jv',
+  sundanese: 'su',
+  cantonese: 'zh',
+  // Other names Whisper accepts for the same languages
+  burmese: 'my',
+  valencian: 'ca',
+  flemish: 'nl',
+  haitian: 'ht',
+  letzeburgesch: 'lb',
+  pushto: 'ps',
+  panjabi: 'pa',
+  moldavian: 'ro',
+  moldovan: 'ro',
+  sinhalese: 'si',
+  castilian: 'es',
+  mandarin: 'zh',
+  // Whisper's codes that are not ISO 639-1
+  jw: 'jv',
+  yue: 'zh',
+};
+
+const toLanguageCode = (language: string | undefined) => {
+  if (!language) return null;
+  const normalized = language.toLowerCase();
+  return LANGUAGE_CODES[normalized] || (normalized.length === 2 ? normalized : null);
+};
+
+interface WhisperResponse {
+  text: string;
+  language?: string;
+  duration: number;
+  segments?: {
+    start: number;
+    end: number;
+    text: string;
+    avg_logprob?: number;
+    compression_ratio?: number;
+    no_speech_prob?: number;
+  }[];
+  words?: { word: string; start: number; end: number }[];
+}
+
+export function createOpenAIAdapter(config: STTConfig): STTAdapter {
+  const compatible = config.provider === 'openai_compatible';
+  const baseUrl = compatible ? config.baseUrl?.replace(/\/$/, '') : OPENAI_BASE_URL;
+  // The OpenAI key is never sent to a self-hosted server
+  const apiKey = compatible ? Deno.env.get('STT_API_KEY') : Deno.env.get('OPENAI_API_KEY');
+  const model = config.model || 'whisper-1';
+  const costPerMinute = config.costPerMinute ?? (compatible ? 0 : OPENAI_COST_PER_MINUTE);
+
+  if (!baseUrl) {
+    throw new Error('STT base URL not configured for openai_compatible');
+  }
+  if (!compatible && !apiKey) {
+    throw new Error('OPENAI_API_KEY not configured');
+  }
+
+  return {
+    provider: config.provider,
+    apiProvider: compatible ? 'openai_compatible' : 'openai_whisper',
+    maxBytes: MAX_PIECE_BYTES,
+    maxDurationMs: MAX_PIECE_DURATION_MS,
+
+    async transcribe(audio, fileName, language): Promise<STTResult> {
+      const formData = new FormData();
+      formData.append('file', new File([audio], fileName));
+      formData.append('model', model);
+      // Whisper detects the language when none is given
+      if (language) formData.append('language', language);
+      formData.append('response_format', 'verbose_json'); // Get segment timestamps
+      formData.append('timestamp_granularities[]', 'segment');
+      formData.append('timestamp_granularities[]', 'word');
+
+      const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('[STT] Whisper API error:', errorData);
+        throw new Error(`Whisper API error: ${errorData.error?.message || response.statusText}`);
+      }
+
+      const data: WhisperResponse = await response.json();
+
+      return {
+        text: data.text || '',
+        language: language || toLanguageCode(data.language),
+        duration: data.duration || 0,
+        segments: (data.segments || []).map((segment) => {
+          const signals = {
+            avgLogprob: segment.avg_logprob ?? null,
+            compressionRatio: segment.compression_ratio ?? null,
+            noSpeechProb: segment.no_speech_prob ?? null,
+          };
+
+          return {
+            start: segment.start,
+            end: segment.end,
+            text: segment.text,
+            ...signals,
+            confidence: segmentConfidence(signals),
+          };
+        }),
+        words: data.words || [],
+      };
+    },
+
+    cost(durationSeconds) {
+      return (durationSeconds / 60) * costPerMinute;
+    },
+  };
+}
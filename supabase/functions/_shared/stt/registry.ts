@@ -0,0 +1,88 @@
+/**
+ * Speech-to-text adapter registry, keyed by provider name
+ *
+ * The provider comes from the user's team (`teams.settings.stt`), falling
+ * back to the STT_PROVIDER / STT_BASE_URL / STT_MODEL environment variables
+ * and then to OpenAI. API keys only ever come from the environment, and are
+ * sent with the audio, so a team can only choose a server the deployment
+ * lists in STT_ALLOWED_BASE_URLS (or its own STT_BASE_URL).
+ */
+
+import type { STTAdapter, STTAdapterFactory, STTConfig, STTProvider } from './types.ts';
+import { createOpenAIAdapter } from './openai.ts';
+import { createDeepgramAdapter } from './deepgram.ts';
+import { createAssemblyAIAdapter } from './assemblyai.ts';
+import { createStubAdapter } from './stub.ts';
+
+const adapters: Record<STTProvider, STTAdapterFactory> = {
+  openai: createOpenAIAdapter,
+  openai_compatible: createOpenAIAdapter,
+  deepgram: createDeepgramAdapter,
+  assemblyai: createAssemblyAIAdapter,
+  stub: createStubAdapter,
+};
+
+export function isSupportedSTTProvider(provider: string | null | undefined): provider is STTProvider {
+  return !!provider && Object.prototype.hasOwnProperty.call(adapters, provider);
+}
+
+/**
+ * Build the adapter for a provider
+ * Throws when the provider is unknown or its configuration is incomplete.
+ */
+export function getSTTAdapter(config: STTConfig): STTAdapter {
+  if (!isSupportedSTTProvider(config.provider)) {
+    throw new Error(`Speech-to-text provider '${config.provider}' not supported`);
+  }
+
+  return adapters[config.provider](config);
+}
+
+const trimUrl = (url: string) => url.trim().replace(/\/+$/, '');
+
+/**
+ * Servers teams may send audio to
+ */
+function allowedBaseUrls(): string[] {
+  return [
+    ...(Deno.env.get('STT_ALLOWED_BASE_URLS') || '').split(','),
+    Deno.env.get('STT_BASE_URL') || '',
+  ].map(trimUrl).filter(Boolean);
+}
+
+/**
+ * Provider configuration for a user: their team's choice, else the default
+ */
+export async function loadSTTConfig(supabase: any, userId: string): Promise<STTConfig> {
+  const defaults: STTConfig = {
+    provider: (Deno.env.get('STT_PROVIDER') || 'openai') as STTProvider,
+    baseUrl: Deno.env.get('STT_BASE_URL') || undefined,
+    model: Deno.env.get('STT_MODEL') || undefined,
+  };
+
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('teams:team_id (settings)')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[STT] Failed to load team settings, using defaults:', error);
+  }
+
+  const teamConfig = profile?.teams?.settings?.stt;
+  if (!teamConfig?.provider) {
+    return defaults;
+  }
+
+  if (teamConfig.baseUrl && !allowedBaseUrls().includes(trimUrl(String(teamConfig.baseUrl)))) {
+    throw new Error(`STT base URL ${teamConfig.baseUrl} is not in STT_ALLOWED_BASE_URLS`);
+  }
+
+  return {
+    provider: teamConfig.provider,
+    baseUrl: teamConfig.baseUrl || defaults.baseUrl,
+    model: teamConfig.model,
+    costPerMinute: typeof teamConfig.costPerMinute === 'number' ? teamConfig.costPerMinute : undefined,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Offline provider for testing the pipeline: returns a fixed transcript
+ * without sending the audio anywhere
+ */
+
+import type { STTAdapter, STTResult } from './types.ts';
+
+const STUB_SEGMENTS = [
+  'Just left the meeting with Jane Doe, VP of Operations at Acme Corp.',
+  'She wants a proposal for fifty seats and a follow-up demo next Tuesday.',
+  'Budget is approved for this quarter, so this looks like a strong opportunity.',
+];
+
+const SECONDS_PER_SEGMENT = 5;
+
+export function createStubAdapter(): STTAdapter {
+  return {
+    provider: 'stub',
+    apiProvider: 'stub',
+    maxBytes: null,
+    maxDurationMs: null,
+
+    async transcribe(_audio, _fileName, language): Promise<STTResult> {
+      const segments = STUB_SEGMENTS.map((text, index) => ({
+        start: index * SECONDS_PER_SEGMENT,
+        end: (index + 1) * SECONDS_PER_SEGMENT,
+        text,
+        confidence: 0.9,
+        avgLogprob: null,
+        compressionRatio: null,
+        noSpeechProb: null,
+      }));
+
+      // Spread each segment's words evenly across it
+      const words = segments.flatMap((segment) => {
+        const parts = segment.text.split(' ');
+        const step = (segment.end - segment.start) / parts.length;
+        return parts.map((word, index) => ({
+          word,
+          start: segment.start + index * step,
+          end: segment.start + (index + 1) * step,
+        }));
+      });
+
+      return {
+        text: STUB_SEGMENTS.join(' '),
+        language: language || 'en',
+        duration: segments.length * SECONDS_PER_SEGMENT,
+        segments,
+        words,
+      };
+    },
+
+    cost() {
+      return 0;
+    },
+  };
+}
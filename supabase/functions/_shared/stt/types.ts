@@ -0,0 +1,67 @@
+/**
+ * Speech-to-text provider contract
+ *
+ * Every provider implements STTAdapter so transcribe can work with any of
+ * them and store the same segments, confidence and cost. Adapters are looked
+ * up by provider name in ./registry.ts.
+ */
+
+export type STTProvider = 'openai' | 'openai_compatible' | 'deepgram' | 'assemblyai' | 'stub';
+
+/** Provider selection; `teams.settings.stt` overrides the STT_* environment defaults */
+export interface STTConfig {
+  provider: STTProvider;
+  /** OpenAI-compatible server, e.g. a self-hosted faster-whisper; from a team only when allowed (see ./registry.ts) */
+  baseUrl?: string;
+  model?: string;
+  /** Overrides the provider's list price, e.g. 0 for on-prem servers */
+  costPerMinute?: number;
+}
+
+export interface STTWord {
+  word: string;
+  /** Seconds from the start of the audio */
+  start: number;
+  end: number;
+}
+
+export interface STTSegment {
+  start: number;
+  end: number;
+  text: string;
+  /** 0-1; Whisper-style providers derive it from the signals below */
+  confidence: number | null;
+  avgLogprob: number | null;
+  compressionRatio: number | null;
+  noSpeechProb: number | null;
+}
+
+export interface STTResult {
+  text: string;
+  /** ISO 639-1 code of the spoken language, as requested or detected */
+  language: string | null;
+  /** Length of the audio in seconds */
+  duration: number;
+  segments: STTSegment[];
+  words: STTWord[];
+}
+
+export interface STTAdapter {
+  readonly provider: STTProvider;
+  /** Stored in transcriptions.api_provider */
+  readonly apiProvider: string;
+  /**
+   * Largest upload the provider accepts and the longest audio worth sending
+   * in one request; longer WebM recordings are split. Null means no limit.
+   */
+  readonly maxBytes: number | null;
+  readonly maxDurationMs: number | null;
+
+  /** `language` is an ISO 639-1 code, or null to let the provider detect it */
+  transcribe(audio: Uint8Array, fileName: string, language: string | null): Promise<STTResult>;
+
+  /** Cost in USD of transcribing this many seconds of audio */
+  cost(durationSeconds: number): number;
+}
+
+export type STTAdapterFactory = (config: STTConfig) => STTAdapter;
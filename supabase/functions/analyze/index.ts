@@ -1,19 +1,50 @@
-// Supabase Edge Function: Analyze transcription using GPT-4
+// Supabase Edge Function: Analyze a transcription or typed note with the
+// team's LLM (OpenAI by default, see ../_shared/llm/registry.ts)
 // Extract contacts, action items, sentiment, buying signals
+// Run by pipeline-worker, which also tracks the recording's status; queues
+// the crm_sync stage when the analysis is auto-synced.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { loadSyncPolicy, shouldAutoSync } from '../_shared/settings.ts';
+import { enqueuePipelineJob } from '../_shared/pipeline.ts';
+import { LOW_CONFIDENCE_THRESHOLD } from '../_shared/confidence.ts';
+import { getLLMAdapter, loadLLMConfig } from '../_shared/llm/registry.ts';
+import { coerceCustomFields, customFieldsPrompt, loadCustomFields, type CustomField } from '../_shared/custom-fields.ts';
+import {
+  applySchemaFallbacks,
+  coerceToSchema,
+  extractionSchema,
+  validateSchema,
+  type JSONSchema,
+  type SchemaError,
+} from '../_shared/extraction-schema.ts';
+import type { LLMAdapter, LLMMessage } from '../_shared/llm/types.ts';
+import { attachEvidence, type SourceSegment } from '../_shared/evidence.ts';
+import { loadReferenceDate, normalizeDates, type ReferenceDate } from '../_shared/dates.ts';
+import { loadPhoneRegion, normalizeContacts } from '../_shared/contacts.ts';
 
-const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
 
+// Exactly one of transcriptionId or noteId (a typed note, never transcribed)
 interface AnalyzeRequest {
-  transcriptionId: string;
+  transcriptionId?: string;
+  noteId?: string;
   recordingId: string;
+  /** Set by pipeline-worker; a retry of the job reuses an analysis already saved for it */
+  pipelineJobId?: string;
 }
 
-// GPT-4 extraction prompt
+// One correction round: a model that fails twice rarely gets it right on a third try
+const MAX_REPAIR_ATTEMPTS = 1;
+
+interface UnclearSpan {
+  text: string;
+  confidence: number;
+}
+
+// Extraction prompt
 const EXTRACTION_PROMPT = `You are an AI assistant analyzing sales call transcripts to extract structured CRM data.
 
 Analyze the following sales call transcript and extract:
@@ -29,6 +60,18 @@ Analyze the following sales call transcript and extract:
 9. **Next Steps**: Recommended follow-up actions
 
 For each extracted item, provide a confidence score (0.0 to 1.0).
+For each contact, action item, date and buying signal, set "evidence" to the words of the
+transcript it comes from, copied exactly (one sentence or less). Do not include anything
+you cannot quote evidence for.
+Passages wrapped in [[unclear: ...]] were transcribed with low confidence and may be misheard.
+Give anything that relies on them a confidence of 0.5 or lower, and do not guess the spelling
+of names, emails or numbers heard only there.
+
+{{SOURCE}}
+{{LANGUAGE}}
+{{REFERENCE_DATE}}
+
+{{CUSTOM_FIELDS}}
 
 Return ONLY valid JSON in this exact format:
 {
@@ -39,7 +82,8 @@ Return ONLY valid JSON in this exact format:
       "company": "string",
       "email": "string | null",
       "phone": "string | null",
-      "confidence": 0.95
+      "confidence": 0.95,
+      "evidence": "string"
     }
   ],
   "companies": [
@@ -54,28 +98,34 @@ Return ONLY valid JSON in this exact format:
     {
       "task": "string",
       "due_date": "YYYY-MM-DD | null",
+      "due_phrase": "string | null",
       "priority": "high | medium | low",
-      "confidence": 0.85
+      "confidence": 0.85,
+      "evidence": "string"
     }
   ],
   "dates": [
     {
       "date": "YYYY-MM-DD",
+      "phrase": "string",
       "context": "string",
-      "confidence": 0.90
+      "confidence": 0.90,
+      "evidence": "string"
     }
   ],
   "buying_signals": [
     {
       "signal": "string",
       "strength": "high | medium | low",
-      "confidence": 0.80
+      "confidence": 0.80,
+      "evidence": "string"
     }
   ],
   "overall_sentiment": "positive | neutral | negative | urgent",
   "sentiment_score": 0.75,
   "sentiment_explanation": "string",
   "summary": "string",
+  "summary_en": "string | null",
   "key_points": [
     {
       "point": "string",
@@ -83,6 +133,7 @@ Return ONLY valid JSON in this exact format:
     }
   ],
   "next_steps": "string",
+  "custom_fields": {},
   "confidence_score": 0.85
 }
 
@@ -93,12 +144,12 @@ Transcript:
 
 Extract the data now:`;
 
-serve(async (req: Request) => {
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
-  };
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
 
+serve(async (req: Request) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders });
   }
@@ -106,93 +157,94 @@ serve(async (req: Request) => {
   try {
     console.log('[Analyze] Function invoked');
 
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not configured');
-    }
     if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
       throw new Error('Supabase credentials not configured');
     }
 
-    const { transcriptionId, recordingId }: AnalyzeRequest = await req.json();
+    const { transcriptionId, noteId, recordingId, pipelineJobId }: AnalyzeRequest = await req.json();
 
-    if (!transcriptionId || !recordingId) {
+    if ((!transcriptionId && !noteId) || !recordingId) {
       return new Response(
-        JSON.stringify({ error: 'Missing required fields: transcriptionId, recordingId' }),
+        JSON.stringify({ error: 'Missing required fields: transcriptionId or noteId, recordingId' }),
         { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    console.log('[Analyze] Processing:', { transcriptionId, recordingId });
+    console.log('[Analyze] Processing:', { transcriptionId, noteId, recordingId });
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
-    // Update recording status
-    await supabase
-      .from('recordings')
-      .update({ status: 'analyzing' })
-      .eq('id', recordingId);
-
-    // Fetch transcription
-    const { data: transcriptionData, error: transcriptionError } = await supabase
-      .from('transcriptions')
-      .select('transcript_text, user_id')
-      .eq('id', transcriptionId)
-      .single();
-
-    if (transcriptionError || !transcriptionData) {
-      throw new Error('Failed to fetch transcription');
+    // The worker stopped waiting for an earlier attempt of this job, but it
+    // carried on and saved its analysis
+    const saved = pipelineJobId ? await findJobAnalysis(supabase, pipelineJobId) : null;
+    if (saved) {
+      console.log('[Analyze] Already analyzed for this job:', saved.id);
+      return await reuseAnalysis(supabase, saved, pipelineJobId!);
     }
 
-    const transcript = transcriptionData.transcript_text;
-    console.log('[Analyze] Transcript length:', transcript.length);
+    const source = noteId
+      ? await loadNote(supabase, noteId)
+      : await loadTranscription(supabase, transcriptionId!);
+    const { text: transcript, language, userId, unclearSpans } = source;
+    console.log('[Analyze] Source:', source.kind, 'length:', transcript.length, 'unclear spans:', unclearSpans.length);
 
-    // Call GPT-4 API
-    console.log('[Analyze] Calling GPT-4 API');
-    const startTime = Date.now();
+    const llm = getLLMAdapter(await loadLLMConfig(supabase, userId));
+    const customFields = await loadCustomFields(supabase, userId);
+    const reference = await loadReferenceDate(supabase, recordingId, userId);
+    const phoneRegion = await loadPhoneRegion(supabase, userId);
 
-    const prompt = EXTRACTION_PROMPT.replace('{{TRANSCRIPT}}', transcript);
+    // Call the LLM
+    console.log('[Analyze] Calling LLM:', { provider: llm.provider, model: llm.model });
+    const startTime = Date.now();
 
-    const gptResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
+    const prompt = EXTRACTION_PROMPT
+      .replace('{{SOURCE}}', source.kind === 'note'
+        ? 'The transcript below is a note the sales rep typed rather than a recording; it may be terse or use abbreviations.\n'
+        : '')
+      .replace('{{LANGUAGE}}', languageInstructions(language))
+      .replace('{{REFERENCE_DATE}}', referenceDateInstructions(reference))
+      .replace('{{CUSTOM_FIELDS}}', customFieldsPrompt(customFields))
+      .replace('{{TRANSCRIPT}}', transcript);
+
+    const schema = extractionSchema(customFields);
+    const extraction = await extractWithRepair(llm, [
+      {
+        role: 'system',
+        content: 'You are a sales CRM data extraction expert. Extract structured data from sales call transcripts.',
       },
-      body: JSON.stringify({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a sales CRM data extraction expert. Extract structured data from sales call transcripts.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        temperature: 0.1, // Low temperature for consistency
-        response_format: { type: 'json_object' },
-      }),
-    });
-
-    if (!gptResponse.ok) {
-      const errorData = await gptResponse.json();
-      console.error('[Analyze] GPT-4 error:', errorData);
-      throw new Error(`GPT-4 error: ${errorData.error?.message || gptResponse.statusText}`);
-    }
+      {
+        role: 'user',
+        content: prompt,
+      },
+    ], schema, customFields, reference);
 
-    const gptData = await gptResponse.json();
     const processingTime = Date.now() - startTime;
 
-    console.log('[Analyze] GPT-4 success, processing time:', processingTime);
-
-    // Parse extracted data
-    const extractedData = JSON.parse(gptData.choices[0].message.content);
+    console.log('[Analyze] LLM success, processing time:', processingTime, 'repair attempts:', extraction.repairAttempts);
+
+    // Per-model token prices (see ../_shared/llm/pricing.ts)
+    const apiCost = llm.cost(extraction.inputTokens, extraction.outputTokens);
+
+    if (extraction.data === null) {
+      await recordAnalysisError(supabase, {
+        recordingId,
+        userId,
+        analysisId: null,
+        llm,
+        extraction,
+        resolution: 'failed',
+      });
+      throw new Error(`Model returned invalid JSON: ${extraction.errors[0].message}`);
+    }
 
-    // Calculate API cost (GPT-4 Turbo: ~$0.01/1K input tokens, ~$0.03/1K output tokens)
-    const inputTokens = gptData.usage?.prompt_tokens || 0;
-    const outputTokens = gptData.usage?.completion_tokens || 0;
-    const apiCost = (inputTokens / 1000) * 0.01 + (outputTokens / 1000) * 0.03;
+    // Repair did not fix everything: keep what is valid rather than failing
+    const validData = extraction.errors.length > 0 ? applySchemaFallbacks(schema, extraction.data) : extraction.data;
+    // Canonical emails and phones first, so the evidence check compares like with like
+    const extractedData = attachEvidence(
+      capUnclearConfidence(normalizeContacts(validData as Record<string, any>, phoneRegion), unclearSpans),
+      source.plainText,
+      source.segments
+    );
 
     console.log('[Analyze] Extracted data:', {
       contacts: extractedData.contacts?.length || 0,
@@ -201,68 +253,86 @@ serve(async (req: Request) => {
       sentiment: extractedData.overall_sentiment,
     });
 
+    // Decide whether this analysis syncs straight away or waits for review,
+    // using the user's sync preferences (see ../_shared/settings.ts)
+    const { policy, crmConnected } = await loadSyncPolicy(supabase, userId);
+    const autoSync = crmConnected && shouldAutoSync(policy, extractedData);
+
+    console.log('[Analyze] Sync policy:', { ...policy, crmConnected, autoSync });
+
     // Save analysis results to database
     console.log('[Analyze] Saving analysis results');
     const { data: analysisData, error: insertError } = await supabase
       .from('analysis_results')
       .insert({
-        transcription_id: transcriptionId,
+        transcription_id: transcriptionId || null,
+        note_id: noteId || null,
+        source: source.kind,
         recording_id: recordingId,
-        user_id: transcriptionData.user_id,
-        contacts: extractedData.contacts || [],
-        companies: extractedData.companies || [],
-        action_items: extractedData.action_items || [],
-        dates: extractedData.dates || [],
-        buying_signals: extractedData.buying_signals || [],
-        overall_sentiment: extractedData.overall_sentiment || 'neutral',
-        sentiment_score: extractedData.sentiment_score || 0,
-        sentiment_explanation: extractedData.sentiment_explanation || '',
-        summary: extractedData.summary || '',
-        key_points: extractedData.key_points || [],
-        next_steps: extractedData.next_steps || '',
-        confidence_score: extractedData.confidence_score || 0,
+        user_id: userId,
+        contacts: extractedData.contacts,
+        companies: extractedData.companies,
+        action_items: extractedData.action_items,
+        dates: extractedData.dates,
+        buying_signals: extractedData.buying_signals,
+        overall_sentiment: extractedData.overall_sentiment,
+        sentiment_score: extractedData.sentiment_score,
+        sentiment_explanation: extractedData.sentiment_explanation,
+        summary: extractedData.summary,
+        summary_en: extractedData.summary_en,
+        key_points: extractedData.key_points,
+        next_steps: extractedData.next_steps,
+        custom_fields: extractedData.custom_fields,
+        confidence_score: extractedData.confidence_score,
         processing_time_ms: processingTime,
         api_cost: apiCost,
+        api_provider: llm.provider,
+        model: llm.model,
+        review_status: autoSync ? 'approved' : 'draft',
+        original_extraction: extractedData,
+        pipeline_job_id: pipelineJobId ?? null,
       })
       .select()
       .single();
 
+    // An earlier attempt of this job finished first; keep its analysis
+    if (insertError?.code === '23505' && pipelineJobId) {
+      const earlier = await findJobAnalysis(supabase, pipelineJobId);
+      if (earlier) {
+        console.log('[Analyze] An earlier attempt saved this job first:', earlier.id);
+        return await reuseAnalysis(supabase, earlier, pipelineJobId);
+      }
+    }
+
     if (insertError) {
       console.error('[Analyze] Insert error:', insertError);
       throw new Error(`Failed to save analysis: ${insertError.message}`);
     }
 
-    // Update recording status to 'analyzed'
-    await supabase
-      .from('recordings')
-      .update({ status: 'analyzed' })
-      .eq('id', recordingId);
-
     console.log('[Analyze] Success:', { analysisId: analysisData.id });
 
-    // Check if should auto-sync to CRM
-    const shouldAutoSync =
-      extractedData.confidence_score >= 0.8 && extractedData.contacts?.length > 0;
-
-    if (shouldAutoSync) {
-      console.log('[Analyze] Triggering auto-sync to CRM');
-      const syncUrl = `${SUPABASE_URL}/functions/v1/crm-sync`;
-      fetch(syncUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-        },
-        body: JSON.stringify({
-          analysisId: analysisData.id,
-          recordingId,
-        }),
-      }).catch((err) => console.error('[Analyze] Failed to trigger CRM sync:', err));
+    if (extraction.errors.length > 0) {
+      await recordAnalysisError(supabase, {
+        recordingId,
+        userId,
+        analysisId: analysisData.id,
+        llm,
+        extraction,
+        resolution: 'fallback',
+      });
+    }
+
+    if (autoSync) {
+      console.log('[Analyze] Queueing auto-sync to CRM');
+      await queueSync(supabase, analysisData, pipelineJobId ?? null);
+    } else {
+      console.log('[Analyze] Analysis saved as draft for review');
     }
 
     return new Response(
       JSON.stringify({
         analysisId: analysisData.id,
+        reviewStatus: analysisData.review_status,
         ...extractedData,
         processingTime,
       }),
@@ -274,19 +344,7 @@ serve(async (req: Request) => {
   } catch (error) {
     console.error('[Analyze] Error:', error);
 
-    if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-      const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-      const body = await req.json().catch(() => ({}));
-      if (body.recordingId) {
-        await supabase
-          .from('recordings')
-          .update({
-            status: 'failed',
-            error_message: `Analysis failed: ${error.message}`,
-          })
-          .eq('id', body.recordingId);
-      }
-    }
+    // pipeline-worker records the failure and retries or marks the recording failed
 
     return new Response(
       JSON.stringify({
@@ -297,3 +355,321 @@ serve(async (req: Request) => {
     );
   }
 });
+
+interface Extraction {
+  /** Coerced model output; null when it never parsed as a JSON object */
+  data: Record<string, any> | null;
+  /** Problems left after the last attempt */
+  errors: SchemaError[];
+  rawOutput: string;
+  repairAttempts: number;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+/**
+ * Ask for the extraction, coerce it to the schema and, while it is still
+ * invalid, show the model its errors and ask for a corrected reply
+ */
+async function extractWithRepair(
+  llm: LLMAdapter,
+  messages: LLMMessage[],
+  schema: JSONSchema,
+  customFields: CustomField[],
+  reference: ReferenceDate
+): Promise<Extraction> {
+  let conversation = messages;
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const completion = await llm.complete({
+      messages: conversation,
+      temperature: 0.1, // Low temperature for consistency
+      json: true,
+    });
+    inputTokens += completion.inputTokens;
+    outputTokens += completion.outputTokens;
+
+    const { data, errors } = checkExtraction(completion.content, schema, customFields, reference);
+
+    if (errors.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS) {
+      return { data, errors, rawOutput: completion.content, repairAttempts: attempt, inputTokens, outputTokens };
+    }
+
+    console.warn('[Analyze] Extraction does not match the schema, asking for a repair:', errors);
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: 'Your reply does not match the required JSON format:\n' +
+          errors.slice(0, 20).map((error) => `- ${error.path}: ${error.message}`).join('\n') +
+          '\nReturn the complete corrected JSON object only.',
+      },
+    ];
+  }
+}
+
+/**
+ * Parse a reply and coerce it to the schema; custom fields are coerced by
+ * their own type rules. Spoken dates are resolved before validation, so a
+ * recognized phrase never needs a repair round.
+ */
+function checkExtraction(content: string, schema: JSONSchema, customFields: CustomField[], reference: ReferenceDate) {
+  let parsed: unknown;
+  try {
+    // Some models wrap JSON in a Markdown code fence despite JSON mode
+    parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return { data: null, errors: [{ path: '$', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { data: null, errors: [{ path: '$', message: 'must be a JSON object', value: parsed }] };
+  }
+
+  const data = normalizeDates(coerceToSchema(schema, parsed) as Record<string, any>, reference);
+  data.custom_fields = coerceCustomFields(customFields, data.custom_fields);
+
+  return { data, errors: validateSchema(schema, data) };
+}
+
+/**
+ * Keep a record of model output that could not be fully validated, with the
+ * analysis it produced (if any). A failure to record is only logged.
+ */
+async function recordAnalysisError(
+  supabase: any,
+  { recordingId, userId, analysisId, llm, extraction, resolution }: {
+    recordingId: string;
+    userId: string;
+    analysisId: string | null;
+    llm: LLMAdapter;
+    extraction: Extraction;
+    resolution: 'fallback' | 'failed';
+  }
+): Promise<void> {
+  const { error } = await supabase.from('analysis_errors').insert({
+    recording_id: recordingId,
+    user_id: userId,
+    analysis_id: analysisId,
+    kind: extraction.data === null ? 'invalid_json' : 'schema_violation',
+    errors: extraction.errors,
+    raw_output: extraction.rawOutput,
+    repair_attempts: extraction.repairAttempts,
+    resolution,
+    api_provider: llm.provider,
+    model: llm.model,
+  });
+
+  if (error) {
+    console.error('[Analyze] Failed to record analysis error:', error);
+  }
+}
+
+interface AnalysisSource {
+  kind: 'transcription' | 'note';
+  /** What the model reads, with unclear passages marked */
+  text: string;
+  /** What evidence quotes are checked against */
+  plainText: string;
+  segments: SourceSegment[];
+  language: string | null;
+  userId: string;
+  unclearSpans: UnclearSpan[];
+}
+
+/**
+ * Transcript text with low-confidence segments marked [[unclear: ...]]
+ */
+async function loadTranscription(supabase: any, transcriptionId: string): Promise<AnalysisSource> {
+  const { data: transcriptionData, error: transcriptionError } = await supabase
+    .from('transcriptions')
+    .select('transcript_text, language, user_id')
+    .eq('id', transcriptionId)
+    .single();
+
+  if (transcriptionError || !transcriptionData) {
+    throw new Error('Failed to fetch transcription');
+  }
+
+  // Segments carry per-span confidence; older transcriptions have none
+  const { data: segments, error: segmentsError } = await supabase
+    .from('transcription_segments')
+    .select('text, confidence, start_ms, end_ms')
+    .eq('transcription_id', transcriptionId)
+    .order('segment_index', { ascending: true });
+
+  if (segmentsError) {
+    throw new Error(`Failed to fetch transcript segments: ${segmentsError.message}`);
+  }
+
+  const isUnclear = (segment: { confidence: number | null }) =>
+    segment.confidence !== null && segment.confidence < LOW_CONFIDENCE_THRESHOLD;
+  const unclearSpans: UnclearSpan[] = (segments || []).filter(isUnclear);
+
+  return {
+    kind: 'transcription',
+    text: unclearSpans.length > 0
+      ? segments.map((segment: { text: string; confidence: number | null }) => (isUnclear(segment) ? `[[unclear: ${segment.text}]]` : segment.text)).join(' ')
+      : transcriptionData.transcript_text,
+    plainText: transcriptionData.transcript_text,
+    segments: segments || [],
+    language: transcriptionData.language,
+    userId: transcriptionData.user_id,
+    unclearSpans,
+  };
+}
+
+/**
+ * A typed note: nothing was misheard, and the LLM detects its language
+ */
+async function loadNote(supabase: any, noteId: string): Promise<AnalysisSource> {
+  const { data: noteData, error: noteError } = await supabase
+    .from('notes')
+    .select('note_text, user_id')
+    .eq('id', noteId)
+    .single();
+
+  if (noteError || !noteData) {
+    throw new Error('Failed to fetch note');
+  }
+
+  return {
+    kind: 'note',
+    text: noteData.note_text,
+    plainText: noteData.note_text,
+    segments: [],
+    language: null,
+    userId: noteData.user_id,
+    unclearSpans: [],
+  };
+}
+
+/**
+ * Tell the model when the note was recorded so it can place "next Tuesday";
+ * normalizeDates has the final say for phrases it recognizes
+ */
+function referenceDateInstructions(reference: ReferenceDate): string {
+  const weekday = new Date(`${reference.date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+
+  return `This was recorded on ${weekday}, ${reference.date} (${reference.timeZone}). ` +
+    'Resolve relative dates ("tomorrow", "next Tuesday", "end of the quarter") against that day. ' +
+    'Put the words the speaker used for each date in "due_phrase" (action items) or "phrase" (dates), exactly as said.';
+}
+
+/**
+ * Analysis an attempt of the pipeline job already saved
+ */
+async function findJobAnalysis(supabase: any, pipelineJobId: string): Promise<any | null> {
+  const { data, error } = await supabase
+    .from('analysis_results')
+    .select('*')
+    .eq('pipeline_job_id', pipelineJobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check for an earlier analysis: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Queue the CRM sync of a saved analysis; only once per analyze job
+ */
+async function queueSync(supabase: any, analysis: any, pipelineJobId: string | null): Promise<void> {
+  await enqueuePipelineJob(supabase, {
+    recordingId: analysis.recording_id,
+    userId: analysis.user_id,
+    stage: 'crm_sync',
+    payload: {
+      analysisId: analysis.id,
+      recordingId: analysis.recording_id,
+    },
+    queuedBy: pipelineJobId,
+  });
+}
+
+/**
+ * Finish a job with the analysis an earlier attempt saved, queueing its
+ * auto-sync in case that attempt stopped before doing so
+ */
+async function reuseAnalysis(supabase: any, analysis: any, pipelineJobId: string): Promise<Response> {
+  // Approved without a review means the sync policy approved it
+  if (analysis.review_status === 'approved' && !analysis.reviewed_at) {
+    await queueSync(supabase, analysis, pipelineJobId);
+  }
+
+  return new Response(
+    JSON.stringify({
+      analysisId: analysis.id,
+      reviewStatus: analysis.review_status,
+      processingTime: analysis.processing_time_ms,
+    }),
+    {
+      status: 200,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Keep extracted values in the language spoken, with an English summary
+ * alongside when that is not English
+ */
+function languageInstructions(language: string | null): string {
+  const keepOriginal = 'Write every extracted value (titles, tasks, signals, explanation, summary, key points, next steps) ' +
+    'in the language of the transcript, exactly as the speaker would; do not translate names.';
+
+  if (language === 'en') {
+    return `The transcript is in English. Set "summary_en" to null.`;
+  }
+
+  if (!language) {
+    return `${keepOriginal} If the transcript is not in English, set "summary_en" to an English translation ` +
+      'of the summary; otherwise set it to null.';
+  }
+
+  let languageName = language;
+  try {
+    languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch {
+    // Unknown code: use it as is
+  }
+
+  return `The transcript is in ${languageName}. ${keepOriginal} ` +
+    'Set "summary_en" to an English translation of the summary.';
+}
+
+/**
+ * Lower the confidence of contacts and companies whose names were heard in
+ * a low-confidence span to that span's confidence
+ */
+function capUnclearConfidence(extracted: any, spans: UnclearSpan[]) {
+  if (spans.length === 0) return extracted;
+
+  const spanWords = spans.map((span) => ({
+    confidence: span.confidence,
+    words: new Set(span.text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []),
+  }));
+
+  const cap = (item: any, name: string | undefined) => {
+    if (!name) return item;
+
+    // Any distinctive word of the name appearing in the span counts
+    const nameWords = (name.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((word) => word.length >= 3);
+    const matches = spanWords.filter((span) => nameWords.some((word) => span.words.has(word)));
+    if (matches.length === 0) return item;
+
+    const spanConfidence = Math.min(...matches.map((span) => span.confidence));
+    return { ...item, confidence: Math.min(item.confidence ?? spanConfidence, spanConfidence) };
+  };
+
+  return {
+    ...extracted,
+    contacts: (extracted.contacts || []).map((contact: any) => cap(contact, contact.name)),
+    companies: (extracted.companies || []).map((company: any) => cap(company, company.name)),
+  };
+}
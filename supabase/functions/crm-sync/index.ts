@@ -1,7 +1,16 @@
 /**
  * CRM Sync Edge Function
  *
- * Syncs analysis results (contacts, action items) to connected CRM (Salesforce)
+ * Syncs analysis results (companies, contacts, action items, summary) to each
+ * CRM connection the recording targets (the user's default connection when it
+ * names none), through the adapter registered for the connection's provider
+ * (see ../_shared/crm/registry.ts). Every CRM record touched gets its own
+ * crm_sync_logs row, with a link to the record and the payload sent.
+ * Tasks and the summary note already logged for the analysis and connection
+ * are not created again, so a retried or repeated sync does not duplicate
+ * them (contacts and accounts are upserts).
+ * Runs as the crm_sync stage of pipeline-worker, which sets the recording's
+ * status and retries when nothing could be synced (HTTP 502).
  *
  * Input:
  *   - analysisId: ID of the analysis_results record
@@ -9,12 +18,32 @@
  *
  * Output:
  *   - success: boolean
- *   - synced: { contacts: number, tasks: number }
+ *   - synced: { contacts: number, accounts: number, tasks: number, notes: number } (all connections)
+ *   - connections: per-connection status, counts and errors
  *   - error: string (if failed)
  */
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1';
+import { getCRMAdapter } from '../_shared/crm/registry.ts';
+import { CRMReauthRequiredError, withTokenRefresh } from '../_shared/crm/auth.ts';
+import {
+  loadCRMConnections,
+  markCRMConnectionNeedsReauth,
+  updateCRMCredentials,
+} from '../_shared/crm/connections.ts';
+import type { CRMConnection } from '../_shared/crm/connections.ts';
+import { taskSubject } from '../_shared/crm/mapping.ts';
+import { loadSyncPolicy } from '../_shared/settings.ts';
+import type { SyncRecordTypes } from '../_shared/settings.ts';
+import type {
+  ActionItem,
+  CRMAdapter,
+  CRMFieldMapping,
+  ExtractedCompany,
+  ExtractedContact,
+  SyncedRecord,
+} from '../_shared/crm/types.ts';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -26,20 +55,33 @@ interface SyncRequest {
   recordingId: string;
 }
 
-interface SalesforceContact {
-  name: string;
-  email?: string;
-  phone?: string;
-  company?: string;
-  title?: string;
-  confidence?: number;
+interface ExtractedData {
+  contacts: ExtractedContact[];
+  companies: ExtractedCompany[];
+  actionItems: ActionItem[];
+  summary: string | null;
+  recordTypes: SyncRecordTypes;
 }
 
-interface SalesforceTask {
-  title: string;
-  description?: string;
-  priority?: 'low' | 'medium' | 'high' | 'urgent';
-  due_date?: string;
+type RecordType = CRMFieldMapping['object'];
+
+interface ConnectionSyncResult {
+  connectionId: string;
+  provider: string;
+  status: 'completed' | 'partial' | 'failed' | 'skipped';
+  synced: { contacts: number; accounts: number; tasks: number; notes: number };
+  errors: string[];
+}
+
+/** Outcome of pushing one record; each becomes a crm_sync_logs row */
+interface RecordResult {
+  type: RecordType;
+  /** crm_sync_logs.record_key for records that must only be created once */
+  key: string | null;
+  status: 'completed' | 'failed';
+  record: SyncedRecord | null;
+  durationMs: number;
+  error: string | null;
 }
 
 serve(async (req: Request) => {
@@ -48,11 +90,15 @@ serve(async (req: Request) => {
     return new Response('ok', { headers: corsHeaders });
   }
 
+  // Parsed once up front so the error handler can still log against the recording
+  let body: Partial<SyncRequest> = {};
+
   try {
     console.log('[CRM Sync] Function invoked');
 
     // Parse request
-    const { analysisId, recordingId }: SyncRequest = await req.json();
+    body = await req.json();
+    const { analysisId, recordingId } = body;
 
     if (!analysisId || !recordingId) {
       throw new Error('Missing required fields: analysisId, recordingId');
@@ -86,29 +132,52 @@ serve(async (req: Request) => {
 
     console.log('[CRM Sync] Analysis found for user:', userId);
 
-    // Get user's CRM credentials
-    console.log('[CRM Sync] Fetching CRM credentials');
-    const { data: profile, error: profileError } = await supabaseAdmin
-      .from('user_profiles')
-      .select('crm_provider, crm_connected, crm_access_token, crm_refresh_token, settings')
-      .eq('id', userId)
-      .single();
+    // Browser calls carry the user's JWT; only the analysis owner may sync it
+    const callerToken = req.headers.get('Authorization')?.replace('Bearer ', '');
+    if (callerToken && callerToken !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+      const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(callerToken);
+      if (userError || !user || user.id !== userId) {
+        throw new Error('Not authorized to sync this analysis');
+      }
+    }
+
+    // Drafts wait for the user to review and approve them
+    if (analysis.review_status === 'draft') {
+      console.log('[CRM Sync] Analysis is a draft, not syncing');
 
-    if (profileError || !profile) {
-      console.error('[CRM Sync] Profile not found:', profileError);
-      throw new Error('User profile not found');
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: 'Analysis is awaiting review - approve it before syncing',
+        }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 409,
+        }
+      );
     }
 
+    // Connections chosen for this recording; the default connection otherwise
+    const { data: recording } = await supabaseAdmin
+      .from('recordings')
+      .select('crm_target_connection_ids')
+      .eq('id', recordingId)
+      .single();
+
+    // Get CRM credentials (decrypted server-side only)
+    console.log('[CRM Sync] Fetching CRM connections');
+    const connections = await loadCRMConnections(supabaseAdmin, userId, recording?.crm_target_connection_ids);
+
     // Check if CRM is connected
-    if (!profile.crm_connected || !profile.crm_access_token) {
+    if (connections.length === 0) {
       console.log('[CRM Sync] CRM not connected for user');
 
       // Log as skipped
       await supabaseAdmin.from('crm_sync_logs').insert({
+        analysis_id: analysisId,
         user_id: userId,
         recording_id: recordingId,
-        provider: profile.crm_provider || 'none',
-        status: 'skipped',
+        sync_status: 'skipped',
         error_message: 'CRM not connected',
       });
 
@@ -119,133 +188,64 @@ serve(async (req: Request) => {
         }),
         {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-          status: 200, // Not an error, just skipped
+          status: 422, // Retrying will not help until the user connects a CRM
         }
       );
     }
 
-    console.log('[CRM Sync] CRM provider:', profile.crm_provider);
-
-    // Currently only Salesforce is supported
-    if (profile.crm_provider !== 'salesforce') {
-      throw new Error(`CRM provider '${profile.crm_provider}' not yet supported`);
-    }
-
-    // Get Salesforce instance URL
-    const salesforceInstanceUrl = profile.settings?.salesforce_instance_url;
-    if (!salesforceInstanceUrl) {
-      throw new Error('Salesforce instance URL not found');
-    }
+    console.log('[CRM Sync] Target connections:', connections.map(c => `${c.provider}:${c.id}`));
 
-    console.log('[CRM Sync] Salesforce instance:', salesforceInstanceUrl);
+    // Record types the user chose to push
+    const { policy } = await loadSyncPolicy(supabaseAdmin, userId);
 
-    // Extract contacts and action items from analysis
-    const contacts: SalesforceContact[] = analysis.contacts || [];
-    const actionItems: SalesforceTask[] = analysis.action_items || [];
+    // Extract contacts, companies and action items from analysis
+    const extracted: ExtractedData = {
+      contacts: analysis.contacts || [],
+      companies: analysis.companies || [],
+      actionItems: analysis.action_items || [],
+      summary: analysis.summary,
+      recordTypes: policy.recordTypes,
+    };
 
     console.log('[CRM Sync] Data to sync:', {
-      contacts: contacts.length,
-      actionItems: actionItems.length,
+      contacts: extracted.contacts.length,
+      companies: extracted.companies.length,
+      actionItems: extracted.actionItems.length,
+      recordTypes: extracted.recordTypes,
     });
 
-    // Sync to Salesforce
-    const syncedContacts: any[] = [];
-    const syncedTasks: any[] = [];
-    const errors: string[] = [];
-
-    // Sync contacts
-    for (const contact of contacts) {
-      try {
-        const result = await syncContactToSalesforce(
-          contact,
-          profile.crm_access_token,
-          salesforceInstanceUrl
-        );
-        syncedContacts.push(result);
-        console.log('[CRM Sync] Contact synced:', result.id);
-      } catch (error) {
-        const errorMsg = `Failed to sync contact ${contact.name}: ${error.message}`;
-        console.error('[CRM Sync]', errorMsg);
-        errors.push(errorMsg);
-      }
-    }
-
-    // Sync action items as tasks
-    for (const actionItem of actionItems) {
-      try {
-        // Link to first synced contact if available
-        const contactId = syncedContacts[0]?.id;
-
-        const result = await syncTaskToSalesforce(
-          actionItem,
-          contactId,
-          profile.crm_access_token,
-          salesforceInstanceUrl
-        );
-        syncedTasks.push(result);
-        console.log('[CRM Sync] Task synced:', result.id);
-      } catch (error) {
-        const errorMsg = `Failed to sync task ${actionItem.title}: ${error.message}`;
-        console.error('[CRM Sync]', errorMsg);
-        errors.push(errorMsg);
-      }
+    // Connections are independent: one failing does not stop the others
+    const results: ConnectionSyncResult[] = [];
+    for (const connection of connections) {
+      results.push(await syncConnection(supabaseAdmin, connection, userId, analysisId, recordingId, extracted));
     }
 
-    // Determine overall status
-    const hasErrors = errors.length > 0;
-    const allFailed = syncedContacts.length === 0 && syncedTasks.length === 0 && (contacts.length > 0 || actionItems.length > 0);
-    const status = allFailed ? 'failed' : hasErrors ? 'partial' : 'completed';
-
-    // Log sync result to database
-    console.log('[CRM Sync] Logging sync result:', status);
-    const { error: logError } = await supabaseAdmin
-      .from('crm_sync_logs')
-      .insert({
-        user_id: userId,
-        recording_id: recordingId,
-        provider: 'salesforce',
-        status: status,
-        synced_data: {
-          contacts: syncedContacts.length,
-          tasks: syncedTasks.length,
-          contactIds: syncedContacts.map(c => c.id),
-          taskIds: syncedTasks.map(t => t.id),
-        },
-        error_message: errors.length > 0 ? errors.join('; ') : null,
-      });
-
-    if (logError) {
-      console.error('[CRM Sync] Failed to log sync:', logError);
-    }
+    const status = results.every(r => r.status === 'completed' || r.status === 'skipped')
+      ? 'completed'
+      : results.every(r => r.status === 'failed') ? 'failed' : 'partial';
 
-    // Update recording status
-    if (status === 'completed') {
-      await supabaseAdmin
-        .from('recordings')
-        .update({ status: 'synced' })
-        .eq('id', recordingId);
-    }
+    const totals = {
+      contacts: results.reduce((sum, r) => sum + r.synced.contacts, 0),
+      accounts: results.reduce((sum, r) => sum + r.synced.accounts, 0),
+      tasks: results.reduce((sum, r) => sum + r.synced.tasks, 0),
+      notes: results.reduce((sum, r) => sum + r.synced.notes, 0),
+    };
+    const errors = results.flatMap(r => r.errors);
 
-    console.log('[CRM Sync] Sync completed:', {
-      status,
-      contacts: syncedContacts.length,
-      tasks: syncedTasks.length,
-      errors: errors.length,
-    });
+    console.log('[CRM Sync] Sync completed:', { status, connections: results.length, ...totals, errors: errors.length });
 
     return new Response(
       JSON.stringify({
         success: status !== 'failed',
         status,
-        synced: {
-          contacts: syncedContacts.length,
-          tasks: syncedTasks.length,
-        },
+        synced: totals,
+        connections: results,
         errors: errors.length > 0 ? errors : undefined,
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 200,
+        // Nothing reached the CRM: pipeline-worker retries the job
+        status: status === 'failed' ? 502 : 200,
       }
     );
 
@@ -254,8 +254,7 @@ serve(async (req: Request) => {
 
     // Try to log the error
     try {
-      const body = await req.json().catch(() => ({}));
-      if (body.recordingId) {
+      if (body.recordingId && body.analysisId) {
         const supabaseAdmin = createClient(
           Deno.env.get('SUPABASE_URL') ?? '',
           Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
@@ -270,10 +269,10 @@ serve(async (req: Request) => {
 
         if (recording) {
           await supabaseAdmin.from('crm_sync_logs').insert({
+            analysis_id: body.analysisId,
             user_id: recording.user_id,
             recording_id: body.recordingId,
-            provider: 'salesforce',
-            status: 'failed',
+            sync_status: 'failed',
             error_message: error.message,
           });
         }
@@ -296,160 +295,229 @@ serve(async (req: Request) => {
 });
 
 /**
- * Sync a contact to Salesforce
- * Creates new contact or updates existing one (matched by email)
+ * Sync one CRM connection and write its log rows
+ * Every record pushed (or that failed to push) gets its own row. Errors are
+ * captured in the result so the remaining connections still run.
  */
-async function syncContactToSalesforce(
-  contact: SalesforceContact,
-  accessToken: string,
-  instanceUrl: string
-): Promise<any> {
-  console.log('[CRM Sync] Syncing contact:', contact.name);
-
-  // Salesforce requires at least LastName
-  const nameParts = contact.name?.split(' ') || [];
-  const firstName = nameParts.slice(0, -1).join(' ') || '';
-  const lastName = nameParts[nameParts.length - 1] || contact.name || 'Unknown';
-
-  // Prepare contact data
-  const contactData: any = {
-    FirstName: firstName || undefined,
-    LastName: lastName,
-  };
+async function syncConnection(
+  supabaseAdmin: any,
+  connection: CRMConnection,
+  userId: string,
+  analysisId: string,
+  recordingId: string,
+  extracted: ExtractedData
+): Promise<ConnectionSyncResult> {
+  console.log(`[CRM Sync] Syncing ${connection.provider} connection:`, connection.id);
+
+  const records: RecordResult[] = [];
+  let connectionError: string | null = null;
+  let fieldMappings: CRMFieldMapping[] = [];
 
-  if (contact.email) contactData.Email = contact.email;
-  if (contact.phone) contactData.Phone = contact.phone;
-  if (contact.title) contactData.Title = contact.title;
-  if (contact.company) contactData.Account = { Name: contact.company }; // This might need adjustment
+  try {
+    const created = await loadCreatedRecordKeys(supabaseAdmin, analysisId, connection.id);
 
-  // Add description with confidence score
-  if (contact.confidence) {
-    contactData.Description = `Extracted from voice recording. Confidence: ${Math.round(contact.confidence * 100)}%`;
-  }
+    const baseAdapter = getCRMAdapter(connection.provider, connection.credentials);
+    fieldMappings = baseAdapter.describeFields();
 
-  // If we have an email, try to find existing contact
-  let existingContactId = null;
-  if (contact.email) {
-    try {
-      const searchQuery = `SELECT Id FROM Contact WHERE Email = '${contact.email}' LIMIT 1`;
-      const searchUrl = `${instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(searchQuery)}`;
-
-      const searchResponse = await fetch(searchUrl, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
+    // Refreshed tokens are stored right away so the next run starts with them
+    const adapter = withTokenRefresh(baseAdapter, async (refreshed) => {
+      try {
+        await updateCRMCredentials(supabaseAdmin, connection, refreshed);
+      } catch (updateError) {
+        console.error('[CRM Sync] Failed to store refreshed token:', updateError);
+      }
+    });
 
-      if (searchResponse.ok) {
-        const searchResult = await searchResponse.json();
-        if (searchResult.records && searchResult.records.length > 0) {
-          existingContactId = searchResult.records[0].Id;
-          console.log('[CRM Sync] Found existing contact:', existingContactId);
-        }
+    if (adapter.needsRefresh()) {
+      await adapter.refreshToken();
+    }
+
+    await syncWithAdapter(adapter, extracted, records, created);
+  } catch (error) {
+    console.error(`[CRM Sync] ${connection.provider} connection failed:`, error);
+
+    // The stored refresh token no longer works; the user has to reconnect
+    if (error instanceof CRMReauthRequiredError) {
+      try {
+        await markCRMConnectionNeedsReauth(supabaseAdmin, connection.id);
+      } catch (flagError) {
+        console.error('[CRM Sync] Failed to flag connection for re-auth:', flagError);
       }
-    } catch (searchError) {
-      console.log('[CRM Sync] Search failed, will create new contact:', searchError.message);
     }
+
+    connectionError = error.message;
   }
 
-  // Update existing or create new contact
-  if (existingContactId) {
-    // Update existing contact
-    const updateUrl = `${instanceUrl}/services/data/v58.0/sobjects/Contact/${existingContactId}`;
-
-    const response = await fetch(updateUrl, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(contactData),
-    });
+  const errors = records.filter(r => r.error).map(r => r.error as string);
+  if (connectionError) errors.push(connectionError);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to update contact: ${errorText}`);
-    }
+  const succeeded = records.filter(r => r.status === 'completed');
+  const count = (type: RecordType) => succeeded.filter(r => r.type === type).length;
 
-    return { id: existingContactId, action: 'updated' };
+  // Connection status for the response; the log keeps a row per record instead
+  const status = errors.length === 0
+    ? (records.length === 0 ? 'skipped' : 'completed')
+    : (succeeded.length === 0 ? 'failed' : 'partial');
 
-  } else {
-    // Create new contact
-    const createUrl = `${instanceUrl}/services/data/v58.0/sobjects/Contact`;
+  const baseRow = {
+    analysis_id: analysisId,
+    recording_id: recordingId,
+    user_id: userId,
+    crm_connection_id: connection.id,
+    crm_provider: connection.provider,
+  };
 
-    const response = await fetch(createUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(contactData),
+  const rows = records.map(r => ({
+    ...baseRow,
+    sync_status: r.status,
+    crm_record_type: r.type,
+    record_key: r.key,
+    crm_record_id: r.record?.id ?? null,
+    crm_record_url: r.record?.url ?? null,
+    sync_duration_ms: r.durationMs,
+    field_mapping: fieldMappings.filter(m => m.object === r.type),
+    synced_data: r.record ? { action: r.record.action, payload: r.record.payload ?? {} } : {},
+    error_message: r.error,
+  }));
+
+  // A connection that never got as far as a record, or had nothing to push,
+  // still leaves a trace
+  if (connectionError || rows.length === 0) {
+    rows.push({
+      ...baseRow,
+      sync_status: connectionError ? 'failed' : 'skipped',
+      crm_record_type: null,
+      record_key: null,
+      crm_record_id: null,
+      crm_record_url: null,
+      sync_duration_ms: null,
+      field_mapping: [],
+      synced_data: {},
+      error_message: connectionError ?? 'Nothing to sync',
     });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to create contact: ${errorText}`);
-    }
+  // Log sync results to database
+  console.log('[CRM Sync] Logging sync result:', status, `(${rows.length} rows)`);
+  const { error: logError } = await supabaseAdmin.from('crm_sync_logs').insert(rows);
 
-    const result = await response.json();
-    return { id: result.id, action: 'created' };
+  if (logError) {
+    console.error('[CRM Sync] Failed to log sync:', logError);
   }
+
+  return {
+    connectionId: connection.id,
+    provider: connection.provider,
+    status,
+    synced: {
+      contacts: count('contact'),
+      accounts: count('account'),
+      tasks: count('task'),
+      notes: count('note'),
+    },
+    errors,
+  };
+}
+
+/**
+ * Keys of the tasks and notes already created for an analysis in a connection
+ */
+async function loadCreatedRecordKeys(supabaseAdmin: any, analysisId: string, connectionId: string): Promise<Set<string>> {
+  const { data, error } = await supabaseAdmin
+    .from('crm_sync_logs')
+    .select('record_key')
+    .eq('analysis_id', analysisId)
+    .eq('crm_connection_id', connectionId)
+    .eq('sync_status', 'completed')
+    .not('record_key', 'is', null);
+
+  // Creating a duplicate is worse than waiting for the retry
+  if (error) {
+    throw new Error(`Failed to load earlier sync logs: ${error.message}`);
+  }
+
+  return new Set((data || []).map((row: { record_key: string }) => row.record_key));
 }
 
 /**
- * Sync a task/action item to Salesforce
+ * Push extracted data through a CRM adapter
+ * Accounts are synced first so contacts can be linked to them; tasks and the
+ * summary note are attached to the first synced contact and account. Record
+ * types the user turned off are skipped, as are tasks and notes whose key is
+ * in `created`. Outcomes are appended to `results` as they happen, so they
+ * survive a connection-level failure part way through.
  */
-async function syncTaskToSalesforce(
-  task: SalesforceTask,
-  contactId: string | undefined,
-  accessToken: string,
-  instanceUrl: string
-): Promise<any> {
-  console.log('[CRM Sync] Syncing task:', task.title);
-
-  // Map priority
-  const priorityMap: { [key: string]: string } = {
-    'low': 'Low',
-    'medium': 'Normal',
-    'high': 'High',
-    'urgent': 'High',
+async function syncWithAdapter(
+  adapter: CRMAdapter,
+  { contacts, companies, actionItems, summary, recordTypes }: ExtractedData,
+  results: RecordResult[],
+  created: Set<string>
+): Promise<void> {
+  /** Run one adapter call, timing it and capturing failures as results */
+  const push = async (type: RecordType, label: string, call: () => Promise<SyncedRecord>, key: string | null = null) => {
+    const startedAt = Date.now();
+    try {
+      const record = await call();
+      results.push({ type, key, status: 'completed', record, durationMs: Date.now() - startedAt, error: null });
+      console.log(`[CRM Sync] ${adapter.label} ${type} synced:`, record.id);
+      return record;
+    } catch (error) {
+      if (error instanceof CRMReauthRequiredError) throw error;
+      const errorMsg = `Failed to sync ${label}: ${error.message}`;
+      console.error('[CRM Sync]', errorMsg);
+      results.push({ type, key, status: 'failed', record: null, durationMs: Date.now() - startedAt, error: errorMsg });
+      return null;
+    }
   };
 
-  const taskData: any = {
-    Subject: task.title || 'Follow-up from voice recording',
-    Description: task.description || '',
-    Status: 'Not Started',
-    Priority: priorityMap[task.priority || 'medium'] || 'Normal',
+  // Account IDs by lower-cased name, so contacts can be linked to them
+  const accountIds = new Map<string, string | null>();
+
+  const syncAccount = async (company: ExtractedCompany) => {
+    const name = company.name.trim();
+    const key = name.toLowerCase();
+    if (!accountIds.has(key)) {
+      const record = await push('account', `account ${name}`, () => adapter.upsertAccount({ ...company, name }));
+      accountIds.set(key, record?.id ?? null);
+    }
+    return accountIds.get(key) ?? undefined;
   };
 
-  // Add due date if provided
-  if (task.due_date) {
-    taskData.ActivityDate = task.due_date;
+  for (const company of recordTypes.accounts ? companies : []) {
+    if (!company.name?.trim()) continue;
+    await syncAccount(company);
   }
 
-  // Link to contact if available
-  if (contactId) {
-    taskData.WhoId = contactId;
+  const contactIds: string[] = [];
+  for (const contact of recordTypes.contacts ? contacts : []) {
+    // Companies only mentioned on a contact still get an account
+    const accountId = recordTypes.accounts && contact.company?.trim()
+      ? await syncAccount({ name: contact.company })
+      : undefined;
+    const record = await push('contact', `contact ${contact.name}`, () => adapter.upsertContact(contact, accountId));
+    if (record) contactIds.push(record.id);
   }
 
-  // Create task
-  const createUrl = `${instanceUrl}/services/data/v58.0/sobjects/Task`;
-
-  const response = await fetch(createUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(taskData),
-  });
+  const firstAccount = results.find(r => r.type === 'account' && r.record);
+  const links = {
+    contactIds,
+    accountId: firstAccount?.record?.id,
+  };
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to create task: ${errorText}`);
+  for (const actionItem of recordTypes.tasks ? actionItems : []) {
+    const key = `task:${taskSubject(actionItem).trim().toLowerCase()}`;
+    if (created.has(key)) {
+      console.log(`[CRM Sync] ${adapter.label} task already created:`, taskSubject(actionItem));
+      continue;
+    }
+    await push('task', `task ${taskSubject(actionItem)}`, () => adapter.createTask(actionItem, links), key);
   }
 
-  const result = await response.json();
-  return { id: result.id, action: 'created' };
+  if (recordTypes.notes && summary) {
+    if (created.has('note')) {
+      console.log(`[CRM Sync] ${adapter.label} summary note already created`);
+    } else {
+      await push('note', 'summary note', () => adapter.createNote(summary, links), 'note');
+    }
+  }
 }
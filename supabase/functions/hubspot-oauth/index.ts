@@ -0,0 +1,164 @@
+/**
+ * HubSpot OAuth Token Exchange Edge Function
+ *
+ * This function runs server-side to exchange the authorization code for tokens,
+ * so the HubSpot client secret never reaches the browser.
+ *
+ * Environment variables required:
+ * - HUBSPOT_CLIENT_ID
+ * - HUBSPOT_CLIENT_SECRET
+ * - CRM_TOKEN_ENCRYPTION_KEY (tokens are encrypted before they are stored)
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1';
+import { saveCRMConnection } from '../_shared/crm/connections.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    // Get authorization code from request
+    const { code, redirectUri } = await req.json();
+
+    if (!code || !redirectUri) {
+      throw new Error('Missing required parameters: code or redirectUri');
+    }
+
+    console.log('[HubSpot OAuth] Exchanging authorization code for tokens');
+    console.log('[HubSpot OAuth] Redirect URI:', redirectUri);
+
+    // Get HubSpot credentials from environment (no VITE_ prefix in Edge Functions)
+    const clientId = Deno.env.get('HUBSPOT_CLIENT_ID');
+    const clientSecret = Deno.env.get('HUBSPOT_CLIENT_SECRET');
+
+    if (!clientId || !clientSecret) {
+      console.error('[HubSpot OAuth] Missing credentials in Edge Function environment');
+      throw new Error('HubSpot credentials not configured in Edge Function. Please set HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET secrets.');
+    }
+
+    // Exchange authorization code for tokens
+    const tokenResponse = await fetch('https://api.hubapi.com/oauth/v1/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uri: redirectUri,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('[HubSpot OAuth] Token exchange failed');
+      console.error('[HubSpot OAuth] Status:', tokenResponse.status);
+      console.error('[HubSpot OAuth] Error:', errorText);
+      throw new Error(`Token exchange failed: ${errorText}`);
+    }
+
+    const tokens = await tokenResponse.json();
+    console.log('[HubSpot OAuth] Tokens received');
+
+    // Get HubSpot portal and user info for this token
+    const tokenInfoResponse = await fetch(
+      `https://api.hubapi.com/oauth/v1/access-tokens/${tokens.access_token}`
+    );
+
+    if (!tokenInfoResponse.ok) {
+      throw new Error('Failed to fetch HubSpot token info');
+    }
+
+    const tokenInfo = await tokenInfoResponse.json();
+    console.log('[HubSpot OAuth] Token info retrieved for portal:', tokenInfo.hub_id);
+
+    // Get authenticated user from Supabase
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) {
+      console.error('[HubSpot OAuth] Missing authorization header');
+      throw new Error('Missing authorization header');
+    }
+
+    // Extract JWT token from "Bearer <token>"
+    const token = authHeader.replace('Bearer ', '');
+
+    // Create Supabase client with service role key to access auth admin
+    const supabaseAdmin = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    );
+
+    // Verify the user's JWT token and get user
+    const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(token);
+
+    if (userError) {
+      console.error('[HubSpot OAuth] User verification failed:', userError);
+      throw userError;
+    }
+    if (!user) {
+      console.error('[HubSpot OAuth] No user found in token');
+      throw new Error('User not authenticated');
+    }
+
+    console.log('[HubSpot OAuth] User authenticated:', user.id);
+
+    // Store encrypted tokens (using admin client for database operations)
+    try {
+      await saveCRMConnection(supabaseAdmin, user.id, 'hubspot', {
+        externalUserId: tokenInfo.user_id ? String(tokenInfo.user_id) : null,
+        externalOrgId: String(tokenInfo.hub_id),
+        displayName: tokenInfo.hub_domain || null,
+      }, {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        settings: {
+          hubspot_portal_id: tokenInfo.hub_id,
+          hubspot_token_expires_at: Date.now() + tokens.expires_in * 1000,
+        },
+      });
+    } catch (saveError) {
+      console.error('[HubSpot OAuth] Database update failed:', saveError);
+      throw saveError;
+    }
+
+    console.log('[HubSpot OAuth] Connection saved successfully');
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        user: {
+          email: tokenInfo.user,
+          portal: tokenInfo.hub_domain,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+  } catch (error) {
+    console.error('[HubSpot OAuth] Error:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
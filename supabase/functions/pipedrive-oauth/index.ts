@@ -0,0 +1,166 @@
+/**
+ * Pipedrive OAuth Token Exchange Edge Function
+ *
+ * This function runs server-side to exchange the authorization code for tokens,
+ * so the Pipedrive client secret never reaches the browser.
+ *
+ * Environment variables required:
+ * - PIPEDRIVE_CLIENT_ID
+ * - PIPEDRIVE_CLIENT_SECRET
+ * - CRM_TOKEN_ENCRYPTION_KEY (tokens are encrypted before they are stored)
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1';
+import { saveCRMConnection } from '../_shared/crm/connections.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    // Get authorization code from request
+    const { code, redirectUri } = await req.json();
+
+    if (!code || !redirectUri) {
+      throw new Error('Missing required parameters: code or redirectUri');
+    }
+
+    console.log('[Pipedrive OAuth] Exchanging authorization code for tokens');
+    console.log('[Pipedrive OAuth] Redirect URI:', redirectUri);
+
+    // Get Pipedrive credentials from environment (no VITE_ prefix in Edge Functions)
+    const clientId = Deno.env.get('PIPEDRIVE_CLIENT_ID');
+    const clientSecret = Deno.env.get('PIPEDRIVE_CLIENT_SECRET');
+
+    if (!clientId || !clientSecret) {
+      console.error('[Pipedrive OAuth] Missing credentials in Edge Function environment');
+      throw new Error('Pipedrive credentials not configured in Edge Function. Please set PIPEDRIVE_CLIENT_ID and PIPEDRIVE_CLIENT_SECRET secrets.');
+    }
+
+    // Exchange authorization code for tokens (Pipedrive expects HTTP Basic client auth)
+    const tokenResponse = await fetch('https://oauth.pipedrive.com/oauth/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${btoa(`${clientId}:${clientSecret}`)}`,
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: redirectUri,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('[Pipedrive OAuth] Token exchange failed');
+      console.error('[Pipedrive OAuth] Status:', tokenResponse.status);
+      console.error('[Pipedrive OAuth] Error:', errorText);
+      throw new Error(`Token exchange failed: ${errorText}`);
+    }
+
+    const tokens = await tokenResponse.json();
+    console.log('[Pipedrive OAuth] Tokens received for:', tokens.api_domain);
+
+    // Get Pipedrive user info
+    const userInfoResponse = await fetch(`${tokens.api_domain}/api/v1/users/me`, {
+      headers: {
+        Authorization: `Bearer ${tokens.access_token}`,
+      },
+    });
+
+    if (!userInfoResponse.ok) {
+      throw new Error('Failed to fetch Pipedrive user info');
+    }
+
+    const { data: userInfo } = await userInfoResponse.json();
+    console.log('[Pipedrive OAuth] User info retrieved');
+
+    // Get authenticated user from Supabase
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) {
+      console.error('[Pipedrive OAuth] Missing authorization header');
+      throw new Error('Missing authorization header');
+    }
+
+    // Extract JWT token from "Bearer <token>"
+    const token = authHeader.replace('Bearer ', '');
+
+    // Create Supabase client with service role key to access auth admin
+    const supabaseAdmin = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    );
+
+    // Verify the user's JWT token and get user
+    const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(token);
+
+    if (userError) {
+      console.error('[Pipedrive OAuth] User verification failed:', userError);
+      throw userError;
+    }
+    if (!user) {
+      console.error('[Pipedrive OAuth] No user found in token');
+      throw new Error('User not authenticated');
+    }
+
+    console.log('[Pipedrive OAuth] User authenticated:', user.id);
+
+    // Store encrypted tokens (using admin client for database operations)
+    try {
+      await saveCRMConnection(supabaseAdmin, user.id, 'pipedrive', {
+        externalUserId: userInfo?.id ? String(userInfo.id) : null,
+        externalOrgId: String(userInfo?.company_id ?? tokens.api_domain),
+        displayName: userInfo?.company_name || null,
+      }, {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        settings: {
+          pipedrive_api_domain: tokens.api_domain,
+          pipedrive_token_expires_at: Date.now() + tokens.expires_in * 1000,
+        },
+      });
+    } catch (saveError) {
+      console.error('[Pipedrive OAuth] Database update failed:', saveError);
+      throw saveError;
+    }
+
+    console.log('[Pipedrive OAuth] Connection saved successfully');
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        user: {
+          name: userInfo?.name,
+          email: userInfo?.email,
+          organization: userInfo?.company_name,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+  } catch (error) {
+    console.error('[Pipedrive OAuth] Error:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
@@ -0,0 +1,218 @@
+/**
+ * Pipeline Worker Edge Function
+ *
+ * Runs due pipeline_jobs (transcribe -> analyze -> crm_sync) by calling each
+ * stage's Edge Function and waiting for the result. Failed attempts are
+ * retried with exponential backoff; jobs that run out of attempts, or fail
+ * with a permanent (4xx) error, are moved to 'dead' and their recording is
+ * marked failed. Responses a stage uses to decline a job (STAGE_SKIP_STATUSES)
+ * end it 'skipped' instead. Recording status follows the jobs (see the
+ * pipeline_jobs migrations).
+ *
+ * Invoked on a schedule (pg_cron, see DEPLOYMENT.md) and nudged by the app
+ * after an upload so work starts right away.
+ *
+ * Input (optional):
+ *   - jobId: run only this job now and return the stage's response
+ *            (must belong to the caller)
+ *
+ * Output:
+ *   - processed: number of jobs run
+ *   - counts: jobs run per outcome (completed, skipped, pending, dead)
+ *   - jobs: the job's outcome and stage response (only with jobId; a sweep
+ *           runs other users' jobs)
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1';
+import {
+  STAGE_FUNCTIONS,
+  STAGE_SKIP_STATUSES,
+  completePipelineJob,
+  failPipelineJob,
+  releasePipelineJob,
+  skipPipelineJob,
+} from '../_shared/pipeline.ts';
+import type { PipelineJob } from '../_shared/pipeline.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL') ?? '';
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+const BATCH_SIZE = 5;
+// Stop claiming new jobs after this long so the worker finishes inside the
+// Edge Function time limit; the next run picks up the rest
+const RUN_BUDGET_MS = 100 * 1000;
+// A stage call that takes longer than this, or runs past the end of the run
+// budget, counts as a failed attempt
+const STAGE_TIMEOUT_MS = 90 * 1000;
+// Claimed jobs are only started with at least this much budget left; the
+// others go back to the queue for the next run
+const MIN_STAGE_TIME_MS = 20 * 1000;
+
+interface JobOutcome {
+  jobId: string;
+  stage: string;
+  recordingId: string;
+  status: 'completed' | 'skipped' | 'pending' | 'dead';
+  error?: string;
+  response?: unknown;
+}
+
+serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    console.log('[Pipeline Worker] Function invoked');
+
+    const { jobId } = await req.json().catch(() => ({}));
+
+    const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    // A specific job can only be run by its owner (or the service role)
+    if (jobId) {
+      const callerToken = req.headers.get('Authorization')?.replace('Bearer ', '');
+      if (callerToken !== SUPABASE_SERVICE_ROLE_KEY) {
+        const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(callerToken);
+        const { data: job } = await supabaseAdmin
+          .from('pipeline_jobs')
+          .select('user_id')
+          .eq('id', jobId)
+          .single();
+
+        if (userError || !user || !job || job.user_id !== user.id) {
+          throw new Error('Not authorized to run this job');
+        }
+      }
+    }
+
+    const deadline = Date.now() + RUN_BUDGET_MS;
+    const outcomes: JobOutcome[] = [];
+
+    while (deadline - Date.now() >= MIN_STAGE_TIME_MS) {
+      const { data: jobs, error: claimError } = await supabaseAdmin.rpc('claim_pipeline_jobs', {
+        batch_size: jobId ? 1 : BATCH_SIZE,
+        job_id: jobId ?? null,
+      });
+
+      if (claimError) throw claimError;
+      if (!jobs || jobs.length === 0) break;
+
+      console.log('[Pipeline Worker] Claimed jobs:', jobs.map((j: PipelineJob) => `${j.stage}:${j.id}`));
+
+      for (const job of jobs as PipelineJob[]) {
+        if (deadline - Date.now() < MIN_STAGE_TIME_MS) {
+          await releasePipelineJob(supabaseAdmin, job);
+          console.log(`[Pipeline Worker] Out of time, released ${job.stage}:`, job.id);
+          continue;
+        }
+        outcomes.push(await runJob(supabaseAdmin, job, deadline));
+      }
+
+      if (jobId) break;
+    }
+
+    console.log('[Pipeline Worker] Done:', { processed: outcomes.length });
+
+    const counts: Record<JobOutcome['status'], number> = { completed: 0, skipped: 0, pending: 0, dead: 0 };
+    for (const outcome of outcomes) counts[outcome.status]++;
+
+    return new Response(
+      JSON.stringify({
+        processed: outcomes.length,
+        counts,
+        // Outcomes carry user data (stage errors, CRM responses); only return
+        // them for a job the caller owns
+        ...(jobId ? { jobs: outcomes } : {}),
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+  } catch (error) {
+    console.error('[Pipeline Worker] Error:', error);
+
+    return new Response(
+      JSON.stringify({
+        error: error.message || 'Pipeline worker failed',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 500,
+      }
+    );
+  }
+});
+
+/**
+ * Call the stage's Edge Function for a claimed job and record the outcome
+ * The call is cut off at STAGE_TIMEOUT_MS or the run's deadline, whichever
+ * comes first.
+ */
+async function runJob(supabaseAdmin: any, job: PipelineJob, deadline: number): Promise<JobOutcome> {
+  const base = { jobId: job.id, stage: job.stage, recordingId: job.recording_id };
+  console.log(`[Pipeline Worker] Running ${job.stage} (attempt ${job.attempts}/${job.max_attempts}):`, job.id);
+
+  const timeoutMs = Math.max(0, Math.min(STAGE_TIMEOUT_MS, deadline - Date.now()));
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  let message: string;
+  let retryable = true;
+
+  try {
+    const response = await fetch(`${SUPABASE_URL}/functions/v1/${STAGE_FUNCTIONS[job.stage]}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      },
+      // Stages key what they save on the job, so a retry after a timeout
+      // reuses an earlier attempt's work instead of repeating it
+      body: JSON.stringify({ ...job.payload, pipelineJobId: job.id }),
+      signal: controller.signal,
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      await completePipelineJob(supabaseAdmin, job.id);
+      console.log(`[Pipeline Worker] ${job.stage} completed:`, job.id);
+      return { ...base, status: 'completed', response: result };
+    }
+
+    if (STAGE_SKIP_STATUSES[job.stage].includes(response.status)) {
+      const reason = result.error || `${STAGE_FUNCTIONS[job.stage]} returned HTTP ${response.status}`;
+      await skipPipelineJob(supabaseAdmin, job.id, reason);
+      console.log(`[Pipeline Worker] ${job.stage} skipped:`, job.id, reason);
+      return { ...base, status: 'skipped', error: reason, response: result };
+    }
+
+    message = result.error || `${STAGE_FUNCTIONS[job.stage]} returned HTTP ${response.status}`;
+    // A rejected request will be rejected again; timeouts and rate limits are worth retrying
+    retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  } catch (error) {
+    message = error.name === 'AbortError'
+      ? `${STAGE_FUNCTIONS[job.stage]} timed out after ${Math.round(timeoutMs / 1000)}s`
+      : error.message;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  console.error(`[Pipeline Worker] ${job.stage} failed:`, job.id, message);
+  const status = await failPipelineJob(supabaseAdmin, job, message, retryable);
+
+  if (status === 'dead') {
+    console.error(`[Pipeline Worker] ${job.stage} moved to dead letter:`, job.id);
+  }
+
+  return { ...base, status, error: message };
+}
@@ -5,13 +5,15 @@
  * This is necessary because Salesforce doesn't allow browser-side token exchanges (CORS restriction).
  *
  * Environment variables required:
- * - VITE_SALESFORCE_CLIENT_ID
- * - VITE_SALESFORCE_CLIENT_SECRET
+ * - SALESFORCE_CLIENT_ID
+ * - SALESFORCE_CLIENT_SECRET
+ * - CRM_TOKEN_ENCRYPTION_KEY (tokens are encrypted before they are stored)
  */
 
 // @deno-types="https://esm.sh/@supabase/supabase-js@2.7.1"
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1';
+import { saveCRMConnection } from '../_shared/crm/connections.ts';
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -181,24 +183,22 @@ serve(async (req: Request) => {
 
     console.log('[Salesforce OAuth] User authenticated:', user.id);
 
-    // Store tokens in database (using admin client for database operations)
-    const { error: updateError } = await supabaseAdmin
-      .from('user_profiles')
-      .update({
-        crm_provider: 'salesforce',
-        crm_connected: true,
-        crm_access_token: tokens.access_token, // TODO: Encrypt in production
-        crm_refresh_token: tokens.refresh_token, // TODO: Encrypt in production
-        crm_user_id: userInfo.user_id,
+    // Store encrypted tokens (using admin client for database operations)
+    try {
+      await saveCRMConnection(supabaseAdmin, user.id, 'salesforce', {
+        externalUserId: userInfo.user_id,
+        externalOrgId: userInfo.organization_id,
+        displayName: new URL(tokens.instance_url).hostname,
+      }, {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
         settings: {
           salesforce_instance_url: tokens.instance_url,
         },
-      })
-      .eq('id', user.id);
-
-    if (updateError) {
-      console.error('[Salesforce OAuth] Database update failed:', updateError);
-      throw updateError;
+      });
+    } catch (saveError) {
+      console.error('[Salesforce OAuth] Database update failed:', saveError);
+      throw saveError;
     }
 
     console.log('[Salesforce OAuth] Connection saved successfully');
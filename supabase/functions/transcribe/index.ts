@@ -1,25 +1,50 @@
-// Supabase Edge Function: Transcribe audio using OpenAI Whisper API
-// Deno runtime
+// Supabase Edge Function: Transcribe audio with the team's speech-to-text
+// provider (OpenAI Whisper by default, see ../_shared/stt/registry.ts).
+// Deno runtime. Run by pipeline-worker, which also tracks the recording's
+// status; on success the analyze stage is queued.
+// Recordings over the provider's upload limit (or longer than a piece) are
+// split into overlapping pieces, transcribed in parallel and stitched back
+// together. Segments and word timestamps are kept in transcription_segments.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { enqueuePipelineJob } from '../_shared/pipeline.ts';
+import { AudioSplitError, audioFileName, isWebm, splitWebm, stitchSegments } from '../_shared/audio.ts';
+import type { AudioPiece } from '../_shared/audio.ts';
+import { transcriptConfidence } from '../_shared/confidence.ts';
+import { getSTTAdapter, loadSTTConfig } from '../_shared/stt/registry.ts';
+import type { STTResult } from '../_shared/stt/types.ts';
 
-const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
 
+// Audio shared by neighbouring pieces, so words at a cut are heard in full
+const PIECE_OVERLAP_MS = 15 * 1000;
+// All pieces are transcribed at once, so the stage takes about as long as one
+// piece and fits pipeline-worker's STAGE_TIMEOUT_MS. The recorder's 60-minute
+// limit needs 7 Whisper pieces; recordings needing more are rejected rather
+// than timing out (and being billed again) on every retry.
+const MAX_PIECES = 8;
+
 interface TranscriptionRequest {
   recordingId: string;
   audioFilePath: string;
-  language?: string;
+  /** ISO 639-1 code; defaults to the user's preference, else auto-detect */
+  language?: string | null;
+  /** Set by pipeline-worker; a retry of the job reuses a transcription already saved for it */
+  pipelineJobId?: string;
 }
 
 interface TranscriptionResponse {
   transcriptionId: string;
   text: string;
-  confidence: number;
+  language: string | null;
+  confidence: number | null;
   wordCount: number;
   processingTime: number;
+  /** Null when an earlier attempt of the job made the transcription */
+  pieces: number | null;
+  provider: string;
 }
 
 serve(async (req: Request) => {
@@ -38,15 +63,12 @@ serve(async (req: Request) => {
     console.log('[Transcribe] Function invoked');
 
     // Validate environment variables
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not configured');
-    }
     if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
       throw new Error('Supabase credentials not configured');
     }
 
     // Parse request
-    const { recordingId, audioFilePath, language = 'en' }: TranscriptionRequest = await req.json();
+    const { recordingId, audioFilePath, language: requestedLanguage, pipelineJobId }: TranscriptionRequest = await req.json();
 
     if (!recordingId || !audioFilePath) {
       return new Response(
@@ -55,16 +77,38 @@ serve(async (req: Request) => {
       );
     }
 
-    console.log('[Transcribe] Processing:', { recordingId, audioFilePath, language });
+    console.log('[Transcribe] Processing:', { recordingId, audioFilePath, requestedLanguage });
 
     // Initialize Supabase client
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
-    // Update recording status to 'transcribing'
-    await supabase
+    // The worker stopped waiting for an earlier attempt of this job, but it
+    // carried on and saved its transcription
+    const saved = pipelineJobId ? await findJobTranscription(supabase, pipelineJobId) : null;
+    if (saved) {
+      console.log('[Transcribe] Already transcribed for this job:', saved.id);
+      await queueAnalysis(supabase, saved, pipelineJobId!);
+      return new Response(JSON.stringify(savedResponse(saved)), {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get user_id from recording
+    const { data: recordingData, error: recordingError } = await supabase
       .from('recordings')
-      .update({ status: 'transcribing' })
-      .eq('id', recordingId);
+      .select('user_id, mime_type')
+      .eq('id', recordingId)
+      .single();
+
+    if (recordingError) {
+      console.error('[Transcribe] Error fetching recording:', recordingError);
+      throw new Error('Failed to fetch recording data');
+    }
+
+    const language = requestedLanguage || await loadPreferredLanguage(supabase, recordingData.user_id);
+    const stt = getSTTAdapter(await loadSTTConfig(supabase, recordingData.user_id));
+    console.log('[Transcribe] Provider:', stt.apiProvider, 'language:', language || 'auto-detect');
 
     // Download audio file from Supabase Storage
     console.log('[Transcribe] Downloading audio from storage');
@@ -77,64 +121,67 @@ serve(async (req: Request) => {
       throw new Error(`Failed to download audio: ${downloadError.message}`);
     }
 
-    // Convert Blob to File for OpenAI API
-    const audioFile = new File([fileData], 'audio.webm', { type: 'audio/webm' });
+    const audioData = new Uint8Array(await fileData.arrayBuffer());
+    let pieces: AudioPiece[] = [{ data: audioData, startMs: 0, endMs: null }];
 
-    // Call OpenAI Whisper API
-    console.log('[Transcribe] Calling Whisper API');
-    const startTime = Date.now();
+    // Retrying will not make a recording that cannot be sent any smaller
+    const rejectAudio = (error: string) => new Response(
+      JSON.stringify({ error }),
+      { status: 422, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
 
-    const formData = new FormData();
-    formData.append('file', audioFile);
-    formData.append('model', 'whisper-1');
-    formData.append('language', language);
-    formData.append('response_format', 'verbose_json'); // Get word-level timestamps and confidence
-
-    const whisperResponse = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-      },
-      body: formData,
-    });
+    if (stt.maxBytes !== null && isWebm(audioData)) {
+      try {
+        pieces = splitWebm(audioData, {
+          maxBytes: stt.maxBytes,
+          maxDurationMs: stt.maxDurationMs ?? Infinity,
+          overlapMs: PIECE_OVERLAP_MS,
+        });
+      } catch (error) {
+        if (error instanceof AudioSplitError) return rejectAudio(error.message);
+        throw error;
+      }
 
-    if (!whisperResponse.ok) {
-      const errorData = await whisperResponse.json();
-      console.error('[Transcribe] Whisper API error:', errorData);
-      throw new Error(`Whisper API error: ${errorData.error?.message || whisperResponse.statusText}`);
+      if (pieces.length > MAX_PIECES) {
+        return rejectAudio(`Recording is too long to transcribe (${pieces.length} pieces, max ${MAX_PIECES})`);
+      }
+    } else if (stt.maxBytes !== null && audioData.length > stt.maxBytes) {
+      // Only WebM can be split here (the upload form caps other formats)
+      return rejectAudio(`Recording is too large to transcribe (${Math.round(audioData.length / 1024 / 1024)} MB)`);
     }
 
-    const whisperData = await whisperResponse.json();
+    // Call the speech-to-text provider
+    console.log('[Transcribe] Calling STT provider:', { pieces: pieces.length, bytes: audioData.length });
+    const startTime = Date.now();
+
+    const results = await Promise.all(pieces.map((piece) =>
+      stt.transcribe(piece.data, audioFileName(piece.data, recordingData.mime_type, audioFilePath), language)
+    ));
+
+    const segments = stitchSegments(pieces, results);
+    const lastPiece = pieces[pieces.length - 1];
+    const transcriptText = pieces.length === 1
+      ? results[0].text
+      : segments.map((segment) => segment.text).join(' ');
+    // Overlaps are transcribed (and billed) twice
+    const billedSeconds = results.reduce((sum, result) => sum + (result.duration || 0), 0);
+    const audioDurationMs = Math.round(lastPiece.startMs + (results[results.length - 1].duration || 0) * 1000);
+    const detectedLanguage = language || dominantLanguage(results);
     const processingTime = Date.now() - startTime;
 
-    console.log('[Transcribe] Whisper API success:', {
-      textLength: whisperData.text?.length,
+    console.log('[Transcribe] STT success:', {
+      textLength: transcriptText.length,
+      language: detectedLanguage,
       processingTime,
     });
 
     // Calculate metrics
-    const transcriptText = whisperData.text || '';
     const wordCount = transcriptText.split(/\s+/).filter((word: string) => word.length > 0).length;
 
-    // Estimate confidence (Whisper doesn't provide overall confidence in verbose_json)
-    // We'll use a heuristic: longer transcripts with clear words tend to be more confident
-    const confidence = Math.min(0.95, 0.7 + (wordCount / 1000) * 0.2);
+    // Duration-weighted segment confidence (see ../_shared/confidence.ts)
+    const confidence = transcriptConfidence(segments);
 
-    // Calculate API cost (Whisper: $0.006 per minute)
-    const durationMinutes = (whisperData.duration || 0) / 60;
-    const apiCost = durationMinutes * 0.006;
-
-    // Get user_id from recording
-    const { data: recordingData, error: recordingError } = await supabase
-      .from('recordings')
-      .select('user_id')
-      .eq('id', recordingId)
-      .single();
-
-    if (recordingError) {
-      console.error('[Transcribe] Error fetching recording:', recordingError);
-      throw new Error('Failed to fetch recording data');
-    }
+    const apiCost = stt.cost(billedSeconds);
 
     // Save transcription to database
     console.log('[Transcribe] Saving transcription to database');
@@ -144,50 +191,74 @@ serve(async (req: Request) => {
         recording_id: recordingId,
         user_id: recordingData.user_id,
         transcript_text: transcriptText,
-        language,
+        language: detectedLanguage,
         confidence_score: confidence,
         processing_time_ms: processingTime,
         word_count: wordCount,
-        api_provider: 'openai_whisper',
+        api_provider: stt.apiProvider,
         api_cost: apiCost,
+        audio_duration_ms: audioDurationMs,
+        pipeline_job_id: pipelineJobId ?? null,
       })
       .select()
       .single();
 
+    // An earlier attempt of this job finished first; keep its transcription
+    if (insertError?.code === '23505' && pipelineJobId) {
+      const earlier = await findJobTranscription(supabase, pipelineJobId);
+      if (earlier) {
+        console.log('[Transcribe] An earlier attempt saved this job first:', earlier.id);
+        await queueAnalysis(supabase, earlier, pipelineJobId);
+        return new Response(JSON.stringify(savedResponse(earlier)), {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+    }
+
     if (insertError) {
       console.error('[Transcribe] Insert error:', insertError);
       throw new Error(`Failed to save transcription: ${insertError.message}`);
     }
 
-    // Update recording status to 'transcribed'
-    await supabase
-      .from('recordings')
-      .update({ status: 'transcribed' })
-      .eq('id', recordingId);
+    if (segments.length > 0) {
+      const { error: segmentsError } = await supabase
+        .from('transcription_segments')
+        .insert(segments.map((segment, index) => ({
+          transcription_id: transcriptionData.id,
+          recording_id: recordingId,
+          user_id: recordingData.user_id,
+          segment_index: index,
+          start_ms: segment.startMs,
+          end_ms: segment.endMs,
+          text: segment.text,
+          words: segment.words,
+          avg_logprob: segment.avgLogprob,
+          compression_ratio: segment.compressionRatio,
+          no_speech_prob: segment.noSpeechProb,
+          confidence: segment.confidence,
+        })));
+
+      if (segmentsError) {
+        console.error('[Transcribe] Segments insert error:', segmentsError);
+        throw new Error(`Failed to save transcript segments: ${segmentsError.message}`);
+      }
+    }
 
     console.log('[Transcribe] Success:', { transcriptionId: transcriptionData.id });
 
-    // Trigger analysis function (fire and forget)
-    const analysisUrl = `${SUPABASE_URL}/functions/v1/analyze`;
-    fetch(analysisUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      },
-      body: JSON.stringify({
-        transcriptionId: transcriptionData.id,
-        recordingId,
-      }),
-    }).catch((err) => console.error('[Transcribe] Failed to trigger analysis:', err));
+    await queueAnalysis(supabase, transcriptionData, pipelineJobId ?? null);
 
     // Return response
     const response: TranscriptionResponse = {
       transcriptionId: transcriptionData.id,
       text: transcriptText,
+      language: detectedLanguage,
       confidence,
       wordCount,
       processingTime,
+      pieces: pieces.length,
+      provider: stt.apiProvider,
     };
 
     return new Response(JSON.stringify(response), {
@@ -197,21 +268,7 @@ serve(async (req: Request) => {
   } catch (error) {
     console.error('[Transcribe] Error:', error);
 
-    // Update recording status to 'failed'
-    if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-      const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-      const body = await req.json().catch(() => ({}));
-      if (body.recordingId) {
-        await supabase
-          .from('recordings')
-          .update({
-            status: 'failed',
-            error_message: error.message || 'Transcription failed',
-          })
-          .eq('id', body.recordingId);
-      }
-    }
-
+    // pipeline-worker records the failure and retries or marks the recording failed
     return new Response(
       JSON.stringify({
         error: error.message || 'Transcription failed',
@@ -221,3 +278,81 @@ serve(async (req: Request) => {
     );
   }
 });
+
+/**
+ * Transcription an attempt of the pipeline job already saved
+ */
+async function findJobTranscription(supabase: any, pipelineJobId: string): Promise<any | null> {
+  const { data, error } = await supabase
+    .from('transcriptions')
+    .select('*')
+    .eq('pipeline_job_id', pipelineJobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check for an earlier transcription: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Queue the analysis of a saved transcription; only once per transcribe job
+ */
+async function queueAnalysis(supabase: any, transcription: any, pipelineJobId: string | null): Promise<void> {
+  await enqueuePipelineJob(supabase, {
+    recordingId: transcription.recording_id,
+    userId: transcription.user_id,
+    stage: 'analyze',
+    payload: {
+      transcriptionId: transcription.id,
+      recordingId: transcription.recording_id,
+    },
+    queuedBy: pipelineJobId,
+  });
+}
+
+function savedResponse(transcription: any): TranscriptionResponse {
+  return {
+    transcriptionId: transcription.id,
+    text: transcription.transcript_text,
+    language: transcription.language,
+    confidence: transcription.confidence_score,
+    wordCount: transcription.word_count,
+    processingTime: transcription.processing_time_ms,
+    pieces: null,
+    provider: transcription.api_provider,
+  };
+}
+
+/**
+ * The user's preferred transcription language, or null to auto-detect
+ */
+async function loadPreferredLanguage(supabase: any, userId: string): Promise<string | null> {
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('settings')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[Transcribe] Failed to load language preference, auto-detecting:', error);
+  }
+
+  return profile?.settings?.transcriptionLanguage || null;
+}
+
+/**
+ * Language detected for most of the audio when pieces disagree
+ */
+function dominantLanguage(results: STTResult[]): string | null {
+  const seconds: Record<string, number> = {};
+
+  for (const result of results) {
+    if (!result.language) continue;
+    seconds[result.language] = (seconds[result.language] || 0) + (result.duration || 1);
+  }
+
+  const ranked = Object.entries(seconds).sort((a, b) => b[1] - a[1]);
+  return ranked[0]?.[0] ?? null;
+}
@@ -0,0 +1,5 @@
+-- Flag CRM connections whose refresh token stopped working
+-- crm-sync sets this when a token refresh fails; reconnecting clears it
+
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS crm_needs_reauth BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,61 @@
+-- Move CRM credentials out of user_profiles
+-- Tokens are encrypted by Edge Functions (AES-GCM, CRM_TOKEN_ENCRYPTION_KEY secret)
+-- and the table has no client policies, so only the service role can read it.
+
+CREATE TABLE public.crm_connections (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  provider crm_provider NOT NULL,
+  access_token_encrypted TEXT NOT NULL,
+  refresh_token_encrypted TEXT,
+  external_user_id TEXT,
+  settings JSONB DEFAULT '{}', -- { salesforce_instance_url, hubspot_portal_id, pipedrive_api_domain, *_token_expires_at }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.crm_connections ENABLE ROW LEVEL SECURITY;
+-- Intentionally no policies: anon and authenticated roles cannot see any row
+REVOKE ALL ON public.crm_connections FROM anon, authenticated;
+
+CREATE TRIGGER update_crm_connections_updated_at
+  BEFORE UPDATE ON public.crm_connections
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Plaintext tokens cannot be encrypted from SQL (the key lives in Edge Functions),
+-- so existing connections are dropped and their owners asked to reconnect
+UPDATE public.user_profiles
+  SET crm_needs_reauth = true
+  WHERE crm_connected = true;
+
+ALTER TABLE public.user_profiles
+  DROP COLUMN crm_access_token,
+  DROP COLUMN crm_refresh_token;
+
+-- Connection details written by the old OAuth functions now live on crm_connections
+UPDATE public.user_profiles
+  SET settings = settings
+    - 'salesforce_instance_url'
+    - 'hubspot_portal_id'
+    - 'hubspot_token_expires_at'
+    - 'pipedrive_api_domain'
+    - 'pipedrive_token_expires_at'
+  WHERE settings IS NOT NULL;
+
+-- Clients cannot touch crm_connections, so disconnecting goes through this function
+CREATE OR REPLACE FUNCTION public.disconnect_crm()
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM public.crm_connections WHERE user_id = auth.uid();
+
+  UPDATE public.user_profiles
+    SET crm_provider = NULL,
+        crm_connected = FALSE,
+        crm_user_id = NULL,
+        crm_needs_reauth = FALSE
+    WHERE id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.disconnect_crm() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.disconnect_crm() TO authenticated;
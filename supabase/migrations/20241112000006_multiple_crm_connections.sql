@@ -0,0 +1,136 @@
+-- Multiple CRM connections per user
+-- One row per provider and org (Salesforce org, HubSpot portal, Pipedrive company).
+-- Recordings can target specific connections; otherwise the default one is used.
+
+ALTER TABLE public.crm_connections
+  DROP CONSTRAINT IF EXISTS crm_connections_user_id_key;
+
+ALTER TABLE public.crm_connections
+  ADD COLUMN external_org_id TEXT,
+  ADD COLUMN display_name TEXT,
+  ADD COLUMN is_default BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN needs_reauth BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing rows: derive the org from the stored connection details
+UPDATE public.crm_connections
+  SET external_org_id = COALESCE(
+        settings->>'hubspot_portal_id',
+        settings->>'pipedrive_api_domain',
+        settings->>'salesforce_instance_url',
+        ''
+      ),
+      is_default = true;
+
+ALTER TABLE public.crm_connections
+  ALTER COLUMN external_org_id SET NOT NULL;
+
+ALTER TABLE public.crm_connections
+  ADD CONSTRAINT crm_connections_user_provider_org_key UNIQUE (user_id, provider, external_org_id);
+
+-- At most one default connection per user
+CREATE UNIQUE INDEX idx_crm_connections_one_default
+  ON public.crm_connections(user_id) WHERE is_default;
+
+CREATE INDEX idx_crm_connections_user_id ON public.crm_connections(user_id);
+
+-- Clients may list their connections, but never the encrypted token columns
+GRANT SELECT (id, user_id, provider, external_org_id, display_name, is_default, needs_reauth, created_at, updated_at)
+  ON public.crm_connections TO authenticated;
+
+CREATE POLICY "Users can view own crm connections"
+  ON public.crm_connections FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Target connections chosen when recording (NULL = the default connection)
+ALTER TABLE public.recordings
+  ADD COLUMN crm_target_connection_ids UUID[];
+
+-- One log row per connection a sync fans out to
+ALTER TABLE public.crm_sync_logs
+  ADD COLUMN crm_connection_id UUID REFERENCES public.crm_connections(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_crm_sync_connection_id ON public.crm_sync_logs(crm_connection_id);
+
+-- Keep the user_profiles summary flags in step with the connections:
+-- connected if any connection exists, provider of the default one,
+-- needs re-auth if any connection does
+CREATE OR REPLACE FUNCTION public.sync_crm_profile_flags()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_user UUID := COALESCE(NEW.user_id, OLD.user_id);
+BEGIN
+  UPDATE public.user_profiles p
+    SET crm_connected = EXISTS (SELECT 1 FROM public.crm_connections c WHERE c.user_id = target_user),
+        crm_provider = (
+          SELECT c.provider FROM public.crm_connections c
+          WHERE c.user_id = target_user
+          ORDER BY c.is_default DESC, c.created_at
+          LIMIT 1
+        ),
+        crm_needs_reauth = EXISTS (
+          SELECT 1 FROM public.crm_connections c WHERE c.user_id = target_user AND c.needs_reauth
+        )
+    WHERE p.id = target_user;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER sync_crm_profile_flags
+  AFTER INSERT OR UPDATE OR DELETE ON public.crm_connections
+  FOR EACH ROW EXECUTE FUNCTION public.sync_crm_profile_flags();
+
+CREATE OR REPLACE FUNCTION public.set_default_crm_connection(connection_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.crm_connections WHERE id = connection_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'CRM connection not found';
+  END IF;
+
+  UPDATE public.crm_connections
+    SET is_default = false
+    WHERE user_id = auth.uid() AND is_default AND id <> connection_id;
+
+  UPDATE public.crm_connections
+    SET is_default = true
+    WHERE id = connection_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Replaces disconnect_crm(): removes one connection and promotes another
+-- to default when the default one goes away
+CREATE OR REPLACE FUNCTION public.disconnect_crm_connection(connection_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  was_default BOOLEAN;
+BEGIN
+  DELETE FROM public.crm_connections
+    WHERE id = connection_id AND user_id = auth.uid()
+    RETURNING is_default INTO was_default;
+
+  IF was_default THEN
+    UPDATE public.crm_connections
+      SET is_default = true
+      WHERE id = (
+        SELECT id FROM public.crm_connections
+        WHERE user_id = auth.uid()
+        ORDER BY created_at
+        LIMIT 1
+      );
+  END IF;
+
+  -- Forget the connection on recordings that targeted it
+  UPDATE public.recordings
+    SET crm_target_connection_ids = array_remove(crm_target_connection_ids, connection_id)
+    WHERE user_id = auth.uid() AND connection_id = ANY(crm_target_connection_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP FUNCTION IF EXISTS public.disconnect_crm();
+
+REVOKE ALL ON FUNCTION public.set_default_crm_connection(UUID) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.disconnect_crm_connection(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_default_crm_connection(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.disconnect_crm_connection(UUID) TO authenticated;
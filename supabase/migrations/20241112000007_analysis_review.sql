@@ -0,0 +1,45 @@
+-- Review before sync
+-- Analyses can land as drafts that the user corrects and approves before
+-- anything is pushed to the CRM. The model's untouched output is kept in
+-- original_extraction so edits can be diffed against it.
+
+CREATE TYPE review_status AS ENUM ('draft', 'approved');
+
+-- Existing analyses were synced (or not) under the old rules; treat them as approved
+ALTER TABLE public.analysis_results
+  ADD COLUMN review_status review_status NOT NULL DEFAULT 'approved',
+  ADD COLUMN original_extraction JSONB,
+  ADD COLUMN reviewed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.analysis_results
+  ALTER COLUMN review_status SET DEFAULT 'draft';
+
+UPDATE public.analysis_results
+  SET original_extraction = jsonb_build_object(
+    'contacts', contacts,
+    'companies', companies,
+    'action_items', action_items,
+    'dates', dates,
+    'buying_signals', buying_signals,
+    'summary', summary,
+    'key_points', key_points,
+    'next_steps', next_steps
+  )
+  WHERE original_extraction IS NULL;
+
+-- The original extraction is written once by the analyze function and never changes
+CREATE OR REPLACE FUNCTION public.preserve_original_extraction()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.original_extraction IS NOT NULL THEN
+    NEW.original_extraction = OLD.original_extraction;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER preserve_analysis_original_extraction
+  BEFORE UPDATE ON public.analysis_results
+  FOR EACH ROW EXECUTE FUNCTION public.preserve_original_extraction();
+
+CREATE INDEX idx_analysis_review_status ON public.analysis_results(user_id, review_status);
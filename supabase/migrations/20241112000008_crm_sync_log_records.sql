@@ -0,0 +1,13 @@
+-- Per-record CRM sync logs
+-- crm-sync writes one row per CRM record it touched, so a row either
+-- completed or failed. 'skipped' covers syncs with no connection or nothing
+-- to push.
+
+ALTER TYPE sync_status ADD VALUE IF NOT EXISTS 'skipped';
+
+-- Skipped syncs with no connection have no provider
+ALTER TABLE public.crm_sync_logs
+  ALTER COLUMN crm_provider DROP NOT NULL;
+
+-- The recording detail view lists a recording's rows
+CREATE INDEX IF NOT EXISTS idx_crm_sync_recording_id ON public.crm_sync_logs(recording_id);
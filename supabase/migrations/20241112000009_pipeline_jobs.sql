@@ -0,0 +1,184 @@
+-- Durable processing pipeline
+-- Each stage (transcribe -> analyze -> crm_sync) runs as a job picked up by the
+-- pipeline-worker Edge Function. Failed jobs are retried with backoff and end
+-- up 'dead' once they run out of attempts. Recording status is derived from
+-- the jobs, so stage functions no longer set it themselves.
+
+CREATE TYPE pipeline_stage AS ENUM ('transcribe', 'analyze', 'crm_sync');
+CREATE TYPE pipeline_job_status AS ENUM ('pending', 'running', 'completed', 'dead');
+
+CREATE TABLE public.pipeline_jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  recording_id UUID REFERENCES public.recordings(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE NOT NULL,
+
+  stage pipeline_stage NOT NULL,
+  status pipeline_job_status DEFAULT 'pending' NOT NULL,
+  payload JSONB DEFAULT '{}' NOT NULL, -- request body for the stage's Edge Function
+
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  max_attempts INTEGER DEFAULT 5 NOT NULL,
+  next_run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one queued or running job per recording and stage
+CREATE UNIQUE INDEX idx_pipeline_jobs_active
+  ON public.pipeline_jobs(recording_id, stage)
+  WHERE status IN ('pending', 'running');
+
+CREATE INDEX idx_pipeline_jobs_due ON public.pipeline_jobs(next_run_at) WHERE status = 'pending';
+CREATE INDEX idx_pipeline_jobs_recording_id ON public.pipeline_jobs(recording_id);
+
+ALTER TABLE public.pipeline_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Users can follow their jobs; only the service role writes them
+CREATE POLICY "Users can view own pipeline jobs"
+  ON public.pipeline_jobs FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_pipeline_jobs_updated_at
+  BEFORE UPDATE ON public.pipeline_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim due jobs for a worker. Jobs left 'running' longer than lock_timeout
+-- belong to a worker that died and are claimed again. SKIP LOCKED lets
+-- several workers run side by side without picking the same job.
+CREATE OR REPLACE FUNCTION public.claim_pipeline_jobs(
+  batch_size INTEGER DEFAULT 5,
+  lock_timeout INTERVAL DEFAULT INTERVAL '10 minutes',
+  job_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.pipeline_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.pipeline_jobs j
+    SET status = 'running',
+        locked_at = NOW(),
+        attempts = j.attempts + 1
+    WHERE j.id IN (
+      SELECT id FROM public.pipeline_jobs
+      WHERE (job_id IS NULL OR id = job_id)
+        AND (
+          (status = 'pending' AND next_run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - lock_timeout)
+        )
+      ORDER BY next_run_at
+      LIMIT batch_size
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.claim_pipeline_jobs(INTEGER, INTERVAL, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Recording status follows its jobs:
+-- running -> in-progress status, completed -> done status, dead -> failed
+CREATE OR REPLACE FUNCTION public.sync_recording_status_from_job()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status = 'running' THEN
+    UPDATE public.recordings
+      SET status = CASE NEW.stage
+            WHEN 'transcribe' THEN 'transcribing'::recording_status
+            WHEN 'analyze' THEN 'analyzing'::recording_status
+            ELSE 'syncing'::recording_status
+          END,
+          error_message = NULL
+      WHERE id = NEW.recording_id;
+  ELSIF NEW.status = 'completed' THEN
+    UPDATE public.recordings
+      SET status = CASE NEW.stage
+            WHEN 'transcribe' THEN 'transcribed'::recording_status
+            WHEN 'analyze' THEN 'analyzed'::recording_status
+            ELSE 'synced'::recording_status
+          END
+      WHERE id = NEW.recording_id;
+  ELSIF NEW.status = 'dead' THEN
+    UPDATE public.recordings
+      SET status = 'failed',
+          error_message = INITCAP(REPLACE(NEW.stage::text, '_', ' ')) || ' failed: ' || COALESCE(NEW.last_error, 'unknown error')
+      WHERE id = NEW.recording_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER sync_recording_status_from_job
+  AFTER INSERT OR UPDATE OF status ON public.pipeline_jobs
+  FOR EACH ROW EXECUTE FUNCTION public.sync_recording_status_from_job();
+
+-- A new upload queues its transcription
+CREATE OR REPLACE FUNCTION public.enqueue_transcription()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.audio_file_path IS NOT NULL THEN
+    INSERT INTO public.pipeline_jobs (recording_id, user_id, stage, payload)
+    VALUES (
+      NEW.id,
+      NEW.user_id,
+      'transcribe',
+      jsonb_build_object('recordingId', NEW.id, 'audioFilePath', NEW.audio_file_path, 'language', 'en')
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER enqueue_transcription_on_upload
+  AFTER INSERT ON public.recordings
+  FOR EACH ROW EXECUTE FUNCTION public.enqueue_transcription();
+
+-- Manual "Sync to CRM" from the app: queue a crm_sync job for an approved
+-- analysis the caller owns. Returns the job, reusing one already queued.
+CREATE OR REPLACE FUNCTION public.enqueue_crm_sync(analysis_id UUID)
+RETURNS UUID AS $$
+DECLARE
+  target public.analysis_results%ROWTYPE;
+  queued_id UUID;
+BEGIN
+  SELECT * INTO target FROM public.analysis_results a
+    WHERE a.id = analysis_id AND a.user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Analysis not found';
+  END IF;
+
+  IF target.review_status = 'draft' THEN
+    RAISE EXCEPTION 'Analysis is awaiting review - approve it before syncing';
+  END IF;
+
+  SELECT id INTO queued_id FROM public.pipeline_jobs
+    WHERE recording_id = target.recording_id AND stage = 'crm_sync' AND status IN ('pending', 'running');
+
+  IF queued_id IS NULL THEN
+    INSERT INTO public.pipeline_jobs (recording_id, user_id, stage, payload)
+    VALUES (
+      target.recording_id,
+      target.user_id,
+      'crm_sync',
+      jsonb_build_object('analysisId', target.id, 'recordingId', target.recording_id)
+    )
+    RETURNING id INTO queued_id;
+  END IF;
+
+  RETURN queued_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.enqueue_crm_sync(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.enqueue_crm_sync(UUID) TO authenticated;
+
+COMMENT ON TABLE public.pipeline_jobs IS 'Durable queue for the transcribe -> analyze -> crm_sync pipeline';
@@ -0,0 +1,88 @@
+-- Retry a failed recording from the stage that failed
+-- Re-transcribes, re-analyzes the existing transcription, or re-syncs the
+-- existing analysis, by queueing a fresh pipeline job for that stage. The
+-- dead job is kept for history.
+
+CREATE OR REPLACE FUNCTION public.retry_recording(recording_id UUID)
+RETURNS UUID AS $$
+DECLARE
+  target public.recordings%ROWTYPE;
+  failed_stage pipeline_stage;
+  latest_transcription_id UUID;
+  latest_analysis_id UUID;
+  job_payload JSONB;
+  queued_id UUID;
+BEGIN
+  SELECT * INTO target FROM public.recordings r
+    WHERE r.id = recording_id AND r.user_id = auth.uid() AND r.deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Recording not found';
+  END IF;
+
+  IF target.status <> 'failed' THEN
+    RAISE EXCEPTION 'Only failed recordings can be retried';
+  END IF;
+
+  SELECT t.id INTO latest_transcription_id FROM public.transcriptions t
+    WHERE t.recording_id = target.id ORDER BY t.created_at DESC LIMIT 1;
+
+  SELECT a.id INTO latest_analysis_id FROM public.analysis_results a
+    WHERE a.recording_id = target.id ORDER BY a.created_at DESC LIMIT 1;
+
+  -- The stage of the job that gave up; recordings that failed before the job
+  -- queue existed resume after the last stage that produced output
+  SELECT j.stage INTO failed_stage FROM public.pipeline_jobs j
+    WHERE j.recording_id = target.id AND j.status = 'dead'
+    ORDER BY j.updated_at DESC LIMIT 1;
+
+  IF failed_stage IS NULL THEN
+    failed_stage := CASE
+      WHEN latest_analysis_id IS NOT NULL THEN 'crm_sync'::pipeline_stage
+      WHEN latest_transcription_id IS NOT NULL THEN 'analyze'::pipeline_stage
+      ELSE 'transcribe'::pipeline_stage
+    END;
+  END IF;
+
+  -- A later stage cannot run without the earlier stage's output
+  IF failed_stage = 'crm_sync' AND latest_analysis_id IS NULL THEN
+    failed_stage := 'analyze';
+  END IF;
+  IF failed_stage = 'analyze' AND latest_transcription_id IS NULL THEN
+    failed_stage := 'transcribe';
+  END IF;
+
+  job_payload := CASE failed_stage
+    WHEN 'transcribe' THEN jsonb_build_object(
+      'recordingId', target.id, 'audioFilePath', target.audio_file_path, 'language', 'en')
+    WHEN 'analyze' THEN jsonb_build_object(
+      'transcriptionId', latest_transcription_id, 'recordingId', target.id)
+    ELSE jsonb_build_object(
+      'analysisId', latest_analysis_id, 'recordingId', target.id)
+  END;
+
+  SELECT id INTO queued_id FROM public.pipeline_jobs
+    WHERE pipeline_jobs.recording_id = target.id AND stage = failed_stage AND status IN ('pending', 'running');
+
+  IF queued_id IS NULL THEN
+    INSERT INTO public.pipeline_jobs (recording_id, user_id, stage, payload)
+    VALUES (target.id, target.user_id, failed_stage, job_payload)
+    RETURNING id INTO queued_id;
+  END IF;
+
+  -- Back to the status before the failed stage until the worker picks it up
+  UPDATE public.recordings
+    SET status = CASE failed_stage
+          WHEN 'transcribe' THEN 'completed'::recording_status
+          WHEN 'analyze' THEN 'transcribed'::recording_status
+          ELSE 'analyzed'::recording_status
+        END,
+        error_message = NULL
+    WHERE id = target.id;
+
+  RETURN queued_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.retry_recording(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.retry_recording(UUID) TO authenticated;
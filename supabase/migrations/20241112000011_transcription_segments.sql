@@ -0,0 +1,38 @@
+-- Time-aligned transcripts
+-- Keeps Whisper's segments (with their word timestamps) so the app can play
+-- the recording alongside the transcript and highlight what is being said.
+
+ALTER TABLE public.transcriptions
+  ADD COLUMN audio_duration_ms INTEGER;
+
+CREATE TABLE public.transcription_segments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  transcription_id UUID REFERENCES public.transcriptions(id) ON DELETE CASCADE NOT NULL,
+  recording_id UUID REFERENCES public.recordings(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE NOT NULL,
+
+  segment_index INTEGER NOT NULL,
+  start_ms INTEGER NOT NULL, -- offset into the recording
+  end_ms INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  words JSONB DEFAULT '[]', -- [{ word, start_ms, end_ms }]
+
+  -- Whisper's per-segment quality signals
+  avg_logprob DOUBLE PRECISION,
+  no_speech_prob DOUBLE PRECISION,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (transcription_id, segment_index)
+);
+
+CREATE INDEX idx_transcription_segments_recording_id ON public.transcription_segments(recording_id);
+
+ALTER TABLE public.transcription_segments ENABLE ROW LEVEL SECURITY;
+
+-- Written by the transcribe Edge Function (service role)
+CREATE POLICY "Users can view own transcription segments"
+  ON public.transcription_segments FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.transcription_segments IS 'Whisper transcript segments with timings and word timestamps';
@@ -0,0 +1,10 @@
+-- Transcription confidence from Whisper's log-probabilities
+-- Each segment gets a confidence from avg_logprob, compression_ratio and
+-- no_speech_prob; transcriptions.confidence_score becomes their
+-- duration-weighted mean instead of a word-count heuristic.
+
+ALTER TABLE public.transcription_segments
+  ADD COLUMN compression_ratio DOUBLE PRECISION,
+  ADD COLUMN confidence DECIMAL(3,2); -- 0.00 to 1.00
+
+COMMENT ON COLUMN public.transcriptions.confidence_score IS 'Duration-weighted mean of segment confidences (NULL when Whisper returned no segments)';
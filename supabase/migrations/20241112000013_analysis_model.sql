@@ -0,0 +1,10 @@
+-- Record which LLM produced each analysis
+-- The provider and model are chosen per team (teams.settings.llm), so costs
+-- and extraction quality can be compared across models.
+
+ALTER TABLE public.analysis_results
+  ADD COLUMN api_provider TEXT DEFAULT 'openai',
+  ADD COLUMN model TEXT;
+
+-- Every analysis so far came from the hardcoded model
+UPDATE public.analysis_results SET model = 'gpt-4-turbo-preview' WHERE model IS NULL;
@@ -0,0 +1,204 @@
+-- Typed notes
+-- A rep who cannot talk can type a note instead. The note is a recordings
+-- entry without audio (entry_type 'note') so History, the Dashboard, retries
+-- and CRM sync handle it like a voice note; its text lives in notes and goes
+-- straight to the analyze stage, skipping transcription.
+
+ALTER TABLE public.recordings
+  ADD COLUMN entry_type TEXT DEFAULT 'voice' NOT NULL
+    CHECK (entry_type IN ('voice', 'note'));
+
+ALTER TABLE public.recordings
+  ALTER COLUMN audio_file_path DROP NOT NULL,
+  ALTER COLUMN duration_ms DROP NOT NULL,
+  ALTER COLUMN file_size_bytes DROP NOT NULL,
+  ALTER COLUMN mime_type DROP NOT NULL;
+
+ALTER TABLE public.recordings
+  ADD CONSTRAINT recordings_voice_has_audio CHECK (
+    entry_type = 'note' OR (
+      audio_file_path IS NOT NULL AND duration_ms IS NOT NULL
+      AND file_size_bytes IS NOT NULL AND mime_type IS NOT NULL
+    )
+  );
+
+CREATE TABLE public.notes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  recording_id UUID REFERENCES public.recordings(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE NOT NULL,
+  note_text TEXT NOT NULL CHECK (length(trim(note_text)) > 0),
+  word_count INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_notes_updated_at
+  BEFORE UPDATE ON public.notes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notes"
+  ON public.notes FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Analyses come from a transcription or a typed note
+ALTER TABLE public.analysis_results
+  ALTER COLUMN transcription_id DROP NOT NULL,
+  ADD COLUMN note_id UUID REFERENCES public.notes(id) ON DELETE CASCADE,
+  ADD COLUMN source TEXT DEFAULT 'transcription' NOT NULL
+    CHECK (source IN ('transcription', 'note'));
+
+ALTER TABLE public.analysis_results
+  ADD CONSTRAINT analysis_results_source_check CHECK (
+    (source = 'transcription' AND transcription_id IS NOT NULL) OR
+    (source = 'note' AND note_id IS NOT NULL)
+  );
+
+-- Save a typed note for the caller and queue its analysis.
+-- Returns the new recordings entry.
+CREATE OR REPLACE FUNCTION public.create_typed_note(
+  note_text TEXT,
+  crm_target_connection_ids UUID[] DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  new_recording_id UUID;
+  new_note_id UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF note_text IS NULL OR length(trim(note_text)) = 0 THEN
+    RAISE EXCEPTION 'Note is empty';
+  END IF;
+
+  INSERT INTO public.recordings (user_id, entry_type, status, metadata, crm_target_connection_ids)
+  VALUES (
+    auth.uid(),
+    'note',
+    'transcribed',
+    jsonb_build_object('recorded_at', NOW()),
+    NULLIF(crm_target_connection_ids, '{}')
+  )
+  RETURNING id INTO new_recording_id;
+
+  INSERT INTO public.notes (recording_id, user_id, note_text, word_count)
+  VALUES (
+    new_recording_id,
+    auth.uid(),
+    trim(note_text),
+    array_length(regexp_split_to_array(trim(note_text), '\s+'), 1)
+  )
+  RETURNING id INTO new_note_id;
+
+  INSERT INTO public.pipeline_jobs (recording_id, user_id, stage, payload)
+  VALUES (
+    new_recording_id,
+    auth.uid(),
+    'analyze',
+    jsonb_build_object('noteId', new_note_id, 'recordingId', new_recording_id)
+  );
+
+  RETURN new_recording_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.create_typed_note(TEXT, UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.create_typed_note(TEXT, UUID[]) TO authenticated;
+
+-- Typed notes have nothing to transcribe: a failed note is retried from
+-- analyze (with its note) or crm_sync
+CREATE OR REPLACE FUNCTION public.retry_recording(recording_id UUID)
+RETURNS UUID AS $$
+DECLARE
+  target public.recordings%ROWTYPE;
+  failed_stage pipeline_stage;
+  latest_transcription_id UUID;
+  latest_note_id UUID;
+  latest_analysis_id UUID;
+  job_payload JSONB;
+  queued_id UUID;
+BEGIN
+  SELECT * INTO target FROM public.recordings r
+    WHERE r.id = recording_id AND r.user_id = auth.uid() AND r.deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Recording not found';
+  END IF;
+
+  IF target.status <> 'failed' THEN
+    RAISE EXCEPTION 'Only failed recordings can be retried';
+  END IF;
+
+  SELECT t.id INTO latest_transcription_id FROM public.transcriptions t
+    WHERE t.recording_id = target.id ORDER BY t.created_at DESC LIMIT 1;
+
+  SELECT n.id INTO latest_note_id FROM public.notes n
+    WHERE n.recording_id = target.id;
+
+  SELECT a.id INTO latest_analysis_id FROM public.analysis_results a
+    WHERE a.recording_id = target.id ORDER BY a.created_at DESC LIMIT 1;
+
+  -- The stage of the job that gave up; recordings that failed before the job
+  -- queue existed resume after the last stage that produced output
+  SELECT j.stage INTO failed_stage FROM public.pipeline_jobs j
+    WHERE j.recording_id = target.id AND j.status = 'dead'
+    ORDER BY j.updated_at DESC LIMIT 1;
+
+  IF failed_stage IS NULL THEN
+    failed_stage := CASE
+      WHEN latest_analysis_id IS NOT NULL THEN 'crm_sync'::pipeline_stage
+      WHEN latest_transcription_id IS NOT NULL OR latest_note_id IS NOT NULL THEN 'analyze'::pipeline_stage
+      ELSE 'transcribe'::pipeline_stage
+    END;
+  END IF;
+
+  -- A later stage cannot run without the earlier stage's output
+  IF failed_stage = 'crm_sync' AND latest_analysis_id IS NULL THEN
+    failed_stage := 'analyze';
+  END IF;
+  IF failed_stage = 'analyze' AND latest_transcription_id IS NULL AND latest_note_id IS NULL THEN
+    failed_stage := 'transcribe';
+  END IF;
+
+  IF failed_stage = 'transcribe' AND target.entry_type = 'note' THEN
+    RAISE EXCEPTION 'Note has no text to analyze';
+  END IF;
+
+  job_payload := CASE
+    WHEN failed_stage = 'transcribe' THEN jsonb_build_object(
+      'recordingId', target.id, 'audioFilePath', target.audio_file_path)
+    WHEN failed_stage = 'analyze' AND target.entry_type = 'note' THEN jsonb_build_object(
+      'noteId', latest_note_id, 'recordingId', target.id)
+    WHEN failed_stage = 'analyze' THEN jsonb_build_object(
+      'transcriptionId', latest_transcription_id, 'recordingId', target.id)
+    ELSE jsonb_build_object(
+      'analysisId', latest_analysis_id, 'recordingId', target.id)
+  END;
+
+  SELECT id INTO queued_id FROM public.pipeline_jobs
+    WHERE pipeline_jobs.recording_id = target.id AND stage = failed_stage AND status IN ('pending', 'running');
+
+  IF queued_id IS NULL THEN
+    INSERT INTO public.pipeline_jobs (recording_id, user_id, stage, payload)
+    VALUES (target.id, target.user_id, failed_stage, job_payload)
+    RETURNING id INTO queued_id;
+  END IF;
+
+  -- Back to the status before the failed stage until the worker picks it up
+  UPDATE public.recordings
+    SET status = CASE failed_stage
+          WHEN 'transcribe' THEN 'completed'::recording_status
+          WHEN 'analyze' THEN 'transcribed'::recording_status
+          ELSE 'analyzed'::recording_status
+        END,
+        error_message = NULL
+    WHERE id = target.id;
+
+  RETURN queued_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON TABLE public.notes IS 'Typed notes, analyzed without transcription';
@@ -0,0 +1,101 @@
+-- Team-configurable extraction fields
+-- Admins define extra fields per team in teams.settings.customFields
+-- ([{ name, type, description, values }]); analyze extracts them and stores
+-- the values here, keyed by field name.
+
+ALTER TABLE public.analysis_results
+  ADD COLUMN custom_fields JSONB DEFAULT '{}' NOT NULL; -- { field_name: value }
+
+-- Team settings functions trust user_profiles.role and team_id, but "Users
+-- can update own profile" covers every column. Only the service role (and
+-- direct database access) may change them; users keep editing the rest.
+CREATE OR REPLACE FUNCTION public.protect_profile_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(auth.role(), '') IN ('authenticated', 'anon')
+    AND (NEW.role IS DISTINCT FROM OLD.role OR NEW.team_id IS DISTINCT FROM OLD.team_id) THEN
+    RAISE EXCEPTION 'Your role and team can only be changed by an administrator';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE TRIGGER protect_profile_role
+  BEFORE UPDATE OF role, team_id ON public.user_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_profile_role();
+
+-- The caller's team, when they may change its settings: admins and the
+-- team's manager. Teams have no client write policy, so team settings are
+-- written by functions that check this first.
+CREATE OR REPLACE FUNCTION public.require_team_admin()
+RETURNS UUID AS $$
+DECLARE
+  caller public.user_profiles%ROWTYPE;
+BEGIN
+  SELECT * INTO caller FROM public.user_profiles WHERE id = auth.uid();
+
+  IF NOT FOUND OR caller.team_id IS NULL THEN
+    RAISE EXCEPTION 'You are not on a team';
+  END IF;
+
+  IF COALESCE(caller.role, '') NOT IN ('admin', 'manager') THEN
+    RAISE EXCEPTION 'Only team admins can change team settings';
+  END IF;
+
+  RETURN caller.team_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.require_team_admin() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.require_team_admin() TO authenticated;
+
+-- Replace the caller's team's custom field definitions
+CREATE OR REPLACE FUNCTION public.set_team_custom_fields(fields JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  target_team UUID := public.require_team_admin();
+  field JSONB;
+  field_names TEXT[] := '{}';
+BEGIN
+
+  IF jsonb_typeof(fields) <> 'array' THEN
+    RAISE EXCEPTION 'Fields must be a list';
+  END IF;
+
+  IF jsonb_array_length(fields) > 20 THEN
+    RAISE EXCEPTION 'A team can have at most 20 custom fields';
+  END IF;
+
+  FOR field IN SELECT * FROM jsonb_array_elements(fields) LOOP
+    IF NOT COALESCE(field->>'name' ~ '^[a-z][a-z0-9_]{0,39}$', FALSE) THEN
+      RAISE EXCEPTION 'Invalid field name "%": use lowercase letters, digits and underscores', field->>'name';
+    END IF;
+
+    IF field->>'name' = ANY(field_names) THEN
+      RAISE EXCEPTION 'Duplicate field name "%"', field->>'name';
+    END IF;
+
+    IF COALESCE(field->>'type', '') NOT IN ('text', 'number', 'boolean', 'date', 'enum', 'list') THEN
+      RAISE EXCEPTION 'Invalid type for field "%"', field->>'name';
+    END IF;
+
+    IF field->>'type' = 'enum' AND (
+      jsonb_typeof(field->'values') IS DISTINCT FROM 'array' OR jsonb_array_length(field->'values') = 0
+    ) THEN
+      RAISE EXCEPTION 'Field "%" needs at least one allowed value', field->>'name';
+    END IF;
+
+    field_names := field_names || (field->>'name');
+  END LOOP;
+
+  UPDATE public.teams
+    SET settings = jsonb_set(COALESCE(settings, '{}'), '{customFields}', fields)
+    WHERE id = target_team;
+
+  RETURN fields;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.set_team_custom_fields(JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_team_custom_fields(JSONB) TO authenticated;
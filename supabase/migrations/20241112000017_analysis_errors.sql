@@ -0,0 +1,33 @@
+-- Analysis errors
+-- analyze validates the model's extraction against a schema and asks the
+-- model to repair it. When the reply is still invalid, the problems are
+-- recorded here: 'fallback' means the analysis was saved with invalid values
+-- replaced by defaults or dropped, 'failed' means nothing usable came back
+-- and the pipeline job failed.
+
+CREATE TABLE public.analysis_errors (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  recording_id UUID REFERENCES public.recordings(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE NOT NULL,
+  analysis_id UUID REFERENCES public.analysis_results(id) ON DELETE SET NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('invalid_json', 'schema_violation')),
+  errors JSONB DEFAULT '[]' NOT NULL, -- [{ path, message, value }]
+  raw_output TEXT, -- the model's last reply
+  repair_attempts INTEGER DEFAULT 0 NOT NULL,
+  resolution TEXT NOT NULL CHECK (resolution IN ('fallback', 'failed')),
+  api_provider TEXT,
+  model TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_analysis_errors_recording_id ON public.analysis_errors(recording_id);
+CREATE INDEX idx_analysis_errors_created_at ON public.analysis_errors(created_at DESC);
+
+ALTER TABLE public.analysis_errors ENABLE ROW LEVEL SECURITY;
+
+-- Written by the analyze Edge Function (service role)
+CREATE POLICY "Users can view own analysis errors"
+  ON public.analysis_errors FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.analysis_errors IS 'Model extractions that failed schema validation after repair';
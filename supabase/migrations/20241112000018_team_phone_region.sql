@@ -0,0 +1,26 @@
+-- Default phone region per team
+-- analyze converts spoken phone numbers to E.164; numbers said without a
+-- country code are read in teams.settings.phoneRegion (ISO 3166-1 alpha-2,
+-- US when unset).
+
+-- Set the caller's team's default phone region (team admins only, see
+-- require_team_admin)
+CREATE OR REPLACE FUNCTION public.set_team_phone_region(region TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  target_team UUID := public.require_team_admin();
+BEGIN
+  IF NOT COALESCE(region ~ '^[A-Z]{2}$', FALSE) THEN
+    RAISE EXCEPTION 'Invalid region "%": use a two-letter country code', region;
+  END IF;
+
+  UPDATE public.teams
+    SET settings = jsonb_set(COALESCE(settings, '{}'), '{phoneRegion}', to_jsonb(region))
+    WHERE id = target_team;
+
+  RETURN region;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.set_team_phone_region(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_team_phone_region(TEXT) TO authenticated;
@@ -0,0 +1,44 @@
+-- Keep user_profiles.crm_user_id in step with the CRM connections
+-- The CRM user id now lives on crm_connections.external_user_id, but the
+-- profile column kept whatever the old OAuth functions wrote, so it survived
+-- disconnecting and pointed at the wrong CRM user after connecting another
+-- account. It now mirrors the default connection and is cleared with the
+-- last one.
+
+CREATE OR REPLACE FUNCTION public.sync_crm_profile_flags()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_user UUID := COALESCE(NEW.user_id, OLD.user_id);
+BEGIN
+  UPDATE public.user_profiles p
+    SET crm_connected = EXISTS (SELECT 1 FROM public.crm_connections c WHERE c.user_id = target_user),
+        crm_provider = (
+          SELECT c.provider FROM public.crm_connections c
+          WHERE c.user_id = target_user
+          ORDER BY c.is_default DESC, c.created_at
+          LIMIT 1
+        ),
+        crm_user_id = (
+          SELECT c.external_user_id FROM public.crm_connections c
+          WHERE c.user_id = target_user
+          ORDER BY c.is_default DESC, c.created_at
+          LIMIT 1
+        ),
+        crm_needs_reauth = EXISTS (
+          SELECT 1 FROM public.crm_connections c WHERE c.user_id = target_user AND c.needs_reauth
+        )
+    WHERE p.id = target_user;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Clear ids left behind by earlier disconnects
+UPDATE public.user_profiles p
+  SET crm_user_id = (
+    SELECT c.external_user_id FROM public.crm_connections c
+    WHERE c.user_id = p.id
+    ORDER BY c.is_default DESC, c.created_at
+    LIMIT 1
+  )
+  WHERE p.crm_user_id IS NOT NULL;
@@ -0,0 +1,94 @@
+-- Pipeline job limits and skipped jobs
+-- Stale 'running' jobs were claimed again without checking max_attempts, so a
+-- stage that kept timing out was retried forever. Claiming now dead-letters
+-- them once they are out of attempts.
+-- A stage can also decline a job it has nothing to do for (crm_sync for a
+-- draft analysis or a user with no CRM connected). Those jobs end 'skipped'
+-- and leave the recording analyzed instead of marking it synced or failed.
+
+ALTER TYPE pipeline_job_status ADD VALUE IF NOT EXISTS 'skipped';
+
+CREATE OR REPLACE FUNCTION public.claim_pipeline_jobs(
+  batch_size INTEGER DEFAULT 5,
+  lock_timeout INTERVAL DEFAULT INTERVAL '10 minutes',
+  job_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.pipeline_jobs AS $$
+BEGIN
+  -- Abandoned on their last attempt: there is no attempt left to give them
+  UPDATE public.pipeline_jobs j
+    SET status = 'dead',
+        locked_at = NULL,
+        last_error = COALESCE(j.last_error, 'Worker stopped before the stage finished')
+    WHERE (job_id IS NULL OR j.id = job_id)
+      AND j.status = 'running'
+      AND j.locked_at < NOW() - lock_timeout
+      AND j.attempts >= j.max_attempts;
+
+  RETURN QUERY
+  UPDATE public.pipeline_jobs j
+    SET status = 'running',
+        locked_at = NOW(),
+        attempts = j.attempts + 1
+    WHERE j.id IN (
+      SELECT id FROM public.pipeline_jobs
+      WHERE (job_id IS NULL OR id = job_id)
+        AND (
+          (status = 'pending' AND next_run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - lock_timeout AND attempts < max_attempts)
+        )
+      ORDER BY next_run_at
+      LIMIT batch_size
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.claim_pipeline_jobs(INTEGER, INTERVAL, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Recording status follows its jobs:
+-- running -> in-progress status, completed -> done status, dead -> failed,
+-- skipped -> the status the previous stage left it in
+CREATE OR REPLACE FUNCTION public.sync_recording_status_from_job()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status = 'running' THEN
+    UPDATE public.recordings
+      SET status = CASE NEW.stage
+            WHEN 'transcribe' THEN 'transcribing'::recording_status
+            WHEN 'analyze' THEN 'analyzing'::recording_status
+            ELSE 'syncing'::recording_status
+          END,
+          error_message = NULL
+      WHERE id = NEW.recording_id;
+  ELSIF NEW.status = 'completed' THEN
+    UPDATE public.recordings
+      SET status = CASE NEW.stage
+            WHEN 'transcribe' THEN 'transcribed'::recording_status
+            WHEN 'analyze' THEN 'analyzed'::recording_status
+            ELSE 'synced'::recording_status
+          END
+      WHERE id = NEW.recording_id;
+  ELSIF NEW.status = 'skipped' THEN
+    UPDATE public.recordings
+      SET status = CASE NEW.stage
+            WHEN 'transcribe' THEN 'completed'::recording_status
+            WHEN 'analyze' THEN 'transcribed'::recording_status
+            ELSE 'analyzed'::recording_status
+          END
+      WHERE id = NEW.recording_id;
+  ELSIF NEW.status = 'dead' THEN
+    UPDATE public.recordings
+      SET status = 'failed',
+          error_message = INITCAP(REPLACE(NEW.stage::text, '_', ' ')) || ' failed: ' || COALESCE(NEW.last_error, 'unknown error')
+      WHERE id = NEW.recording_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
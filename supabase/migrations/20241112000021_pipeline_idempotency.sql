@@ -0,0 +1,26 @@
+-- Idempotent pipeline stages
+-- pipeline-worker gives up on a stage call after its timeout, but the stage
+-- keeps running, so a retried job could save a second transcription or
+-- analysis, queue the next stage twice and create CRM tasks and notes twice.
+-- Each stage now records the job that produced its output; a retry of the
+-- same job reuses what an earlier attempt saved.
+
+-- The job whose attempt saved the row (NULL for rows saved outside the pipeline)
+ALTER TABLE public.transcriptions
+  ADD COLUMN pipeline_job_id UUID REFERENCES public.pipeline_jobs(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX idx_transcriptions_pipeline_job_id ON public.transcriptions(pipeline_job_id);
+
+ALTER TABLE public.analysis_results
+  ADD COLUMN pipeline_job_id UUID REFERENCES public.pipeline_jobs(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX idx_analysis_results_pipeline_job_id ON public.analysis_results(pipeline_job_id);
+
+-- The job that queued this one; a stage queues at most one next stage per job
+ALTER TABLE public.pipeline_jobs
+  ADD COLUMN queued_by UUID REFERENCES public.pipeline_jobs(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX idx_pipeline_jobs_queued_by ON public.pipeline_jobs(queued_by);
+
+-- What a log row's record was synced from ('task:<subject>', 'note'), so
+-- crm-sync does not create the same task or note twice for an analysis
+ALTER TABLE public.crm_sync_logs
+  ADD COLUMN record_key TEXT;
+CREATE INDEX idx_crm_sync_logs_analysis_connection ON public.crm_sync_logs(analysis_id, crm_connection_id);
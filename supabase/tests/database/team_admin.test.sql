@@ -0,0 +1,58 @@
+-- Reps cannot make themselves team admins (run with `supabase test db`)
+BEGIN;
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+SELECT plan(7);
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-0000000000a1', 'rep@example.com'),
+  ('00000000-0000-0000-0000-0000000000a2', 'admin@example.com');
+INSERT INTO public.teams (id, name) VALUES
+  ('00000000-0000-0000-0000-0000000000b1', 'Field team'),
+  ('00000000-0000-0000-0000-0000000000b2', 'Other team');
+UPDATE public.user_profiles SET team_id = '00000000-0000-0000-0000-0000000000b1'
+  WHERE id IN ('00000000-0000-0000-0000-0000000000a1', '00000000-0000-0000-0000-0000000000a2');
+UPDATE public.user_profiles SET role = 'admin' WHERE id = '00000000-0000-0000-0000-0000000000a2';
+
+-- Signed in as the rep
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-0000000000a1", "role": "authenticated"}', true);
+
+SELECT throws_ok(
+  $$ UPDATE public.user_profiles SET role = 'admin' WHERE id = auth.uid() $$,
+  'Your role and team can only be changed by an administrator',
+  'a rep cannot promote themselves'
+);
+SELECT throws_ok(
+  $$ UPDATE public.user_profiles SET team_id = '00000000-0000-0000-0000-0000000000b2' WHERE id = auth.uid() $$,
+  'Your role and team can only be changed by an administrator',
+  'a rep cannot move to another team'
+);
+SELECT lives_ok(
+  $$ UPDATE public.user_profiles SET full_name = 'Rep', role = 'sales_rep' WHERE id = auth.uid() $$,
+  'a rep can still edit the rest of their profile'
+);
+SELECT throws_ok(
+  $$ SELECT public.set_team_custom_fields('[]') $$,
+  'Only team admins can change team settings',
+  'a rep cannot change extraction fields'
+);
+SELECT throws_ok(
+  $$ SELECT public.set_team_phone_region('GB') $$,
+  'Only team admins can change team settings',
+  'a rep cannot change the phone region'
+);
+
+-- Signed in as the admin
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-0000000000a2", "role": "authenticated"}', true);
+
+SELECT lives_ok(
+  $$ SELECT public.set_team_custom_fields('[]') $$,
+  'a team admin can change extraction fields'
+);
+SELECT lives_ok(
+  $$ SELECT public.set_team_phone_region('GB') $$,
+  'a team admin can change the phone region'
+);
+
+SELECT * FROM finish();
+ROLLBACK;
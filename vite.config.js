@@ -38,6 +38,8 @@ export default defineConfig({
         ]
       },
       workbox: {
+        // Background Sync handler that drains the offline recording outbox
+        importScripts: ['outbox-sync.js'],
         // Enable offline support
         runtimeCaching: [
           {